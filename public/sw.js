@@ -0,0 +1,130 @@
+/**
+ * Service Worker - offline support
+ *
+ * Two caches:
+ * - SHELL_CACHE: the app itself (index.html, built JS/CSS, icons, the pitch
+ *   worklet, hymn_index.json) and the instrument samples listed in
+ *   /instruments/manifest.json. Precached on install and refreshed from the
+ *   network when online.
+ * - HYMN_CACHE: melodies, MIDI and sheet-music pages for the hymns the user
+ *   chose to keep offline. Written by the page (src/storage/offline.js), only
+ *   read here.
+ *
+ * Bump VERSION to drop the old app shell after a breaking change.
+ */
+
+const VERSION = 'v2';
+const SHELL_CACHE = `shell-${VERSION}`;
+const HYMN_CACHE = 'hymns-v1'; // must match src/storage/offline.js
+
+const INSTRUMENT_MANIFEST = '/instruments/manifest.json';
+
+const SHELL_URLS = [
+  '/',
+  '/manifest.json',
+  '/icon.svg',
+  '/icon-192.png',
+  '/icon-512.png',
+  '/pitch-processor.js',
+  '/hymn_index.json',
+];
+
+// Hymn assets are served from HYMN_CACHE first
+const HYMN_ASSET = /^\/(hymn_melodies|hymn_midi|sheet_music)\//;
+
+/**
+ * Cache the shell, plus the hashed bundles index.html links to
+ */
+async function precacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+
+  const html = await (await cache.match('/')).text();
+  const assets = [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(m => m[1]);
+  await cache.addAll(assets);
+
+  // Samples for every bundled instrument; a failure here must not block install
+  try {
+    await cache.add(INSTRUMENT_MANIFEST);
+    const manifest = await (await cache.match(INSTRUMENT_MANIFEST)).json();
+    const samples = Object.entries(manifest).flatMap(([name, def]) =>
+      Object.values(def.samples || {}).map(file => `/instruments/${name}/${file}`));
+    await cache.addAll(samples);
+  } catch (e) {
+    console.warn('Service worker: instrument samples not precached', e);
+  }
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith('shell-') && k !== SHELL_CACHE)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+/**
+ * Network first, falling back to the cache (and refreshing it when online)
+ */
+async function networkFirst(request, cacheKey = request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(cacheKey, response.clone());
+    return response;
+  } catch (e) {
+    const cached = await cache.match(cacheKey);
+    if (cached) return cached;
+    throw e;
+  }
+}
+
+/**
+ * Cache first, storing what the network returns
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) return;
+
+  // Single-page app: every navigation gets index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, '/'));
+    return;
+  }
+
+  // Hymns kept offline; anything else goes to the network as usual
+  if (HYMN_ASSET.test(url.pathname)) {
+    event.respondWith(caches.open(HYMN_CACHE)
+      .then(cache => cache.match(request))
+      .then(cached => cached || fetch(request)));
+    return;
+  }
+
+  // Hashed bundles never change under the same name; samples rarely do
+  if (url.pathname.startsWith('/assets/') || url.pathname.startsWith('/instruments/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
@@ -0,0 +1,71 @@
+/**
+ * Render the "hum" voice samples in public/instruments/hum/
+ *
+ * A soft closed-mouth hum: a strong fundamental, quickly falling harmonics
+ * and a gentle nasal resonance around 260 Hz. The tone is steady after a
+ * short attack so the sample player can loop it for long notes.
+ *
+ * Usage: node scripts/render-hum.mjs
+ */
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+
+const SAMPLE_RATE = 16000;
+const SECONDS = 1.6;
+const ATTACK = 0.08;
+const OUT_DIR = new URL('../public/instruments/hum/', import.meta.url);
+
+// Same pitches as the organ and piano sets: C and F# in octaves 2-5
+const NOTES = [];
+for (let octave = 2; octave <= 5; octave++) {
+  NOTES.push({ name: `C${octave}`, midi: (octave + 1) * 12 });
+  NOTES.push({ name: `Fs${octave}`, midi: (octave + 1) * 12 + 6 });
+}
+
+function render(midi) {
+  const f0 = 440 * Math.pow(2, (midi - 69) / 12);
+  const n = Math.round(SAMPLE_RATE * SECONDS);
+  const data = new Float32Array(n);
+
+  const harmonics = [];
+  for (let k = 1; k * f0 < SAMPLE_RATE / 2.5; k++) {
+    const f = k * f0;
+    const nasal = 1 + 1.5 * Math.exp(-(((f - 260) / 120) ** 2));
+    harmonics.push({ f, amp: nasal / Math.pow(k, 1.8) });
+  }
+  const norm = harmonics.reduce((sum, h) => sum + h.amp, 0);
+
+  for (let i = 0; i < n; i++) {
+    const t = i / SAMPLE_RATE;
+    let v = 0;
+    for (const h of harmonics) v += h.amp * Math.sin(2 * Math.PI * h.f * t);
+    const env = t < ATTACK ? 0.5 - 0.5 * Math.cos(Math.PI * t / ATTACK) : 1;
+    data[i] = 0.6 * env * v / norm;
+  }
+  return data;
+}
+
+function toWav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((s, i) => buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, s)) * 32767), 44 + i * 2));
+  return buffer;
+}
+
+mkdirSync(OUT_DIR, { recursive: true });
+for (const note of NOTES) {
+  writeFileSync(new URL(`${note.name}.wav`, OUT_DIR), toWav(render(note.midi)));
+  console.log(`hum/${note.name}.wav`);
+}
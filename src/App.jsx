@@ -1,9 +1,20 @@
 import { useState, useEffect, useRef, useCallback, useMemo } from "react";
-import { AudioRecorder, gradePerformance, PitchEngine } from "./audio";
-import { PitchVisualizer } from "./components/PitchVisualizer";
+import { AudioRecorder, gradePerformance, evaluateLeadershipTest, PitchEngine, buildExpectedTiming, expectedNoteAt, getMsPerBeatUnit } from "./audio";
+import { PitchVisualizer, PitchTraceReview } from "./components/PitchVisualizer";
 import { NotationDisplay } from "./components/NotationDisplay";
+import { HistoryView } from "./components/HistoryView";
+import { MelodyEditor } from "./components/MelodyEditor";
+import { OfflineManager } from "./components/OfflineManager";
+import { StartingPitchDrill } from "./components/StartingPitchDrill";
+import { IntervalDrill } from "./components/IntervalDrill";
+import { saveAttempt, getAttempts, clearHistory } from "./storage/history";
+import { getOfflineHymnIds } from "./storage/offline";
+import { getHymnPreferences, setHymnPreferences } from "./storage/preferences";
 import { loadMidiFromUrl } from "./audio/midi-parser";
-import Soundfont from "soundfont-player";
+import { loadMusicXmlFile } from "./audio/musicxml-parser";
+import { normalizeMelody, selectPart, availableVoices, clefForVoice, transposeMelody, verseCount, expandVerses, performedLength, pickupLength, VOICES } from "./audio/melody-format";
+import { loadInstrument as loadSampledInstrument, listInstruments, createSynthPlayer } from "./audio/instruments";
+import { KEYS, scaleDegToMidi } from "./audio/scales";
 
 // ═══════════════════════════════════════════════════════════════
 // TIME SIGNATURE ENGINE (all required meters)
@@ -11,6 +22,9 @@ import Soundfont from "soundfont-player";
 
 const METERS = ["2/4","3/4","4/4","4/2","6/8","9/8","12/8"];
 
+// Furthest a hymn can be moved from its written key, in semitones
+const MAX_TRANSPOSE = 6;
+
 function parseTS(ts) { const [n,d]=(ts||"4/4").split("/").map(Number); return {n,d}; }
 
 function isCompound(ts) { const {n,d}=parseTS(ts); return d>=8 && n>3 && n%3===0; }
@@ -27,6 +41,19 @@ function getBeatPattern(ts) {
   return {beats,groups:n<=3?1:2,compound:false,total:n,d,feltBeats:n};
 }
 
+// Felt beats a leader counts off before the first note: a measure, less any pickup
+function countOffBeats(ts, pickup=0) {
+  const {feltBeats,compound}=getBeatPattern(ts);
+  return Math.max(1, Math.round(feltBeats - (compound ? pickup/3 : pickup)));
+}
+
+// Where a pickup comes in, in the felt beats of the measure before the first full one
+function pickupCue(ts, pickup) {
+  const {feltBeats,compound}=getBeatPattern(ts);
+  const entry=feltBeats-(compound?pickup/3:pickup);
+  return Math.abs(entry-Math.round(entry))<0.01 ? `come in on beat ${Math.round(entry)+1}` : `come in partway through beat ${Math.floor(entry)+1}`;
+}
+
 // BPM interpretation per PRD
 function getBpmUnit(ts) {
   const {d}=parseTS(ts);
@@ -49,17 +76,10 @@ function tsDesc(ts) {
 // MELODY GENERATOR (Hymn-Style Rules from PRD §4)
 // ═══════════════════════════════════════════════════════════════
 
-const KEYS = ["C","Db","D","Eb","E","F","F#","G","Ab","A","Bb","B"];
-const MAJOR_SCALE = [0,2,4,5,7,9,11]; // intervals from root
+// Keys, scale degrees and scaleDegToMidi live in audio/scales.js (shared with the drills)
 const NOTE_NAMES = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
 
 function midiToFreq(m) { return 440 * Math.pow(2, (m-69)/12); }
-function scaleDegToMidi(root, deg, octave=4) {
-  const rootMidi = 60 + KEYS.indexOf(root); // C4 = 60 base
-  const interval = MAJOR_SCALE[((deg-1)%7+7)%7];
-  const octShift = Math.floor((deg-1)/7);
-  return rootMidi + interval + (octave-4)*12 + octShift*12;
-}
 
 // Rhythm templates per meter (note durations in beats)
 function getRhythmTemplates(ts) {
@@ -183,10 +203,11 @@ function buildTokenList(syllableLevel) {
 function assignLyrics(notes, melismaPercent=0, syllableLevel=1) {
   const pool = buildTokenList(syllableLevel);
   // Build a token stream by picking random words
+  // Each syllable but a word's last is hyphenated to the next
   let allTokens = [];
   while (allTokens.length < notes.length * 2) {
     const w = pool[Math.floor(Math.random()*pool.length)];
-    allTokens.push(...w.tokens);
+    allTokens.push(...w.tokens.map((text,k)=>({text, hyphen:k<w.tokens.length-1})));
   }
 
   // Determine melisma positions
@@ -213,11 +234,13 @@ function assignLyrics(notes, melismaPercent=0, syllableLevel=1) {
       // Start a melisma: 2-3 notes on one syllable
       const len = Math.random() < 0.5 ? 2 : 3;
       const actualLen = Math.min(len, notes.length - i - 1);
-      lyrics.push({ text: allTokens[ti % allTokens.length] || "la", melisma: false, melismaStart: true });
+      const tok = allTokens[ti % allTokens.length];
+      lyrics.push({ text: tok?.text || "la", hyphen: !!tok?.hyphen, melisma: false, melismaStart: true });
       ti++;
       inMelisma = actualLen;
     } else {
-      lyrics.push({ text: allTokens[ti % allTokens.length] || "la", melisma: false });
+      const tok = allTokens[ti % allTokens.length];
+      lyrics.push({ text: tok?.text || "la", hyphen: !!tok?.hyphen, melisma: false });
       ti++;
     }
   }
@@ -308,13 +331,76 @@ function Ring({s,label,size=76}) {
   </div>;
 }
 
-function TempLine({data,h=90}) {
-  if(!data?.length)return null;
-  const mx=Math.max(...data.map(d=>d.bpm))+3,mn=Math.min(...data.map(d=>d.bpm))-3,rng=mx-mn||1,w=100;
-  const pts=data.map((d,i)=>`${(i/(data.length-1))*w},${((mx-d.bpm)/rng)*(h-22)+8}`).join(" ");
-  const tY=((mx-84)/rng)*(h-22)+8;
+// Tempo per measure with its likely range; hollow dots rest on too few notes to trust
+function TempLine({data,target,h=90}) {
+  const pts=(data||[]).filter(d=>d.bpm!=null);
+  if(!pts.length)return null;
+  const w=300,top=8,bot=h-14;
+  const vals=[...pts.flatMap(d=>[d.lo,d.hi]),...(target?[target]:[])];
+  const mx=Math.max(...vals)+3,mn=Math.min(...vals)-3,rng=mx-mn||1;
+  const X=i=>data.length>1?8+(i/(data.length-1))*(w-16):w/2,Y=b=>top+((mx-b)/rng)*(bot-top);
+  // Break the line and band where a measure has no estimate
+  const runs=[];let cur=null;
+  data.forEach((d,i)=>{if(d.bpm==null){cur=null;return;}if(!cur){cur=[];runs.push(cur);}cur.push({...d,x:X(i)});});
   return <div><div style={{fontSize:9,color:"#8a7e70",marginBottom:4,fontWeight:600,letterSpacing:"0.08em",textTransform:"uppercase"}}>Tempo by Measure</div>
-    <svg viewBox={`0 0 ${w} ${h}`} style={{width:"100%",height:h}}><line x1="0" y1={tY} x2={w} y2={tY} stroke="#b08d3a" strokeWidth="0.5" strokeDasharray="2,2"/><polyline points={pts} fill="none" stroke="#5c7a5e" strokeWidth="1.5" strokeLinejoin="round"/>{data.map((d,i)=><circle key={i} cx={(i/(data.length-1))*w} cy={((mx-d.bpm)/rng)*(h-22)+8} r="1.6" fill="#5c7a5e"/>)}</svg>
+    <svg viewBox={`0 0 ${w} ${h}`} style={{width:"100%",display:"block"}}>
+      {runs.map((r,k)=><polygon key={`b${k}`} points={[...r.map(d=>`${d.x},${Y(d.hi)}`),...r.slice().reverse().map(d=>`${d.x},${Y(d.lo)}`)].join(" ")} fill="#5c7a5e" fillOpacity="0.12" stroke="none"/>)}
+      {target&&<><line x1="0" y1={Y(target)} x2={w} y2={Y(target)} stroke="#b08d3a" strokeWidth="1" strokeDasharray="4,3"/><text x={w-2} y={Y(target)-3} textAnchor="end" style={{fontSize:8,fill:"#b08d3a"}}>♩ = {target}</text></>}
+      {runs.map((r,k)=><polyline key={`l${k}`} points={r.map(d=>`${d.x},${Y(d.bpm)}`).join(" ")} fill="none" stroke="#5c7a5e" strokeWidth="1.5" strokeLinejoin="round"/>)}
+      {data.map((d,i)=>d.bpm!=null&&<circle key={i} cx={X(i)} cy={Y(d.bpm)} r="2.6" fill={d.few?"#fff":"#5c7a5e"} stroke={d.few?"#b08d3a":"#5c7a5e"} strokeWidth="1.2"><title>{`m. ${d.m}: ${d.bpm} BPM (${d.lo}–${d.hi})${d.few?" — few notes":""}`}</title></circle>)}
+      {data.map((d,i)=>(data.length<=16||i%Math.ceil(data.length/16)===0)&&<text key={`m${i}`} x={X(i)} y={h-3} textAnchor="middle" style={{fontSize:7,fill:d.bpm==null?"#d4cabb":"#b5a998"}}>{d.m}</text>)}
+    </svg>
+    <div style={{fontSize:10,color:"#b5a998",marginTop:2}}>Shaded: likely range · hollow dots: too few notes to be sure · dashed: marked tempo</div>
+  </div>;
+}
+
+// The tempo the leader set in the first phrase, against the marking
+function TempoSummary({tempo,verses}) {
+  if(!tempo?.establishedBpm)return null;
+  const d=tempo.bpmDifference,s=tempo.steadinessScore;
+  const led=(verses||[]).filter(v=>v.bpm!=null),first=led[0]?.bpm;
+  return <div style={{marginBottom:10,fontSize:12,color:"#8a7e70"}}>
+    <div style={{display:"flex",alignItems:"baseline",gap:8,flexWrap:"wrap"}}>
+      <span>Your tempo <strong style={{fontFamily:"var(--serif)",fontSize:16,color:"#3b3127"}}>{tempo.establishedBpm}</strong> BPM</span>
+      <span>· marked {tempo.targetBpm}{d!==0&&<span style={{color:Math.abs(d)/tempo.targetBpm>0.08?"#b08d3a":"#8a7e70"}}> ({d>0?"+":""}{d})</span>}</span>
+      <span>· steadiness <strong style={{color:s>=85?"#5c7a5e":s>=65?"#b08d3a":"#a33b3b"}}>{s}</strong></span>
+    </div>
+    {led.length>1&&<div style={{display:"flex",alignItems:"baseline",gap:8,flexWrap:"wrap",marginTop:4}}>
+      <span>By verse:</span>
+      {led.map(v=><span key={v.verse}>{v.verse} · <strong style={{color:Math.abs(v.bpm-first)/first>0.05?"#b08d3a":"#3b3127"}}>{v.bpm}</strong></span>)}
+      <span>BPM</span>
+    </div>}
+  </div>;
+}
+
+// Held note lengths from the grader's sung-note events
+function HeldNotes({raw}) {
+  if(!raw?.noteEvents?.length)return null;
+  const s=raw.durationScore??0,sm=raw.summary||{};
+  const cut=(raw.noteByNote||[]).map((n,i)=>n.cutOff?(n.expected?.lyric||`#${i+1}`):null).filter(Boolean);
+  return <div><div style={{fontSize:9,color:"#8a7e70",marginBottom:6,fontWeight:600,letterSpacing:"0.08em",textTransform:"uppercase"}}>Held Notes</div>
+    <div style={{display:"flex",alignItems:"center",gap:10,marginBottom:6}}><div style={{flex:1,fontSize:12,color:"#8a7e70"}}>Note lengths</div><div style={{width:100,height:5,borderRadius:3,background:"#e8e0d4",overflow:"hidden"}}><div style={{height:"100%",borderRadius:3,width:`${s}%`,background:s>=85?"#5c7a5e":s>=65?"#b08d3a":"#a33b3b",transition:"width 1s"}}/></div><span style={{fontSize:12,fontWeight:700,width:28,textAlign:"right"}}>{s}</span></div>
+    <div style={{fontSize:11,color:"#8a7e70",lineHeight:1.6}}>{sm.cutOffNotes??0} cut short · {sm.extraNotes??0} extra · {sm.missingNotes??0} not sung{cut.length>0&&<> — cut short: {cut.slice(0,8).join(", ")}{cut.length>8?"…":""}</>}</div>
+  </div>;
+}
+
+// "#237 — Title" for hymnal hymns; opened MusicXML files have no number
+function hymnLabel(h) { return h.number ? `#${h.number} — ${h.title}` : h.title; }
+
+// Pass/fail summary for a Leadership Test — kept apart from the practice breakdown
+function TestCertificate({test,hymn,bpm}) {
+  const cl=test.passed?"#2d6a4f":"#a33b3b";
+  return <div style={{background:test.passed?"#f0f8f0":"#fdf3f3",border:`2px solid ${cl}`,borderRadius:12,padding:"18px 20px",marginBottom:10,textAlign:"center"}}>
+    <div style={{fontSize:10,fontWeight:700,color:T.tm,letterSpacing:"0.12em",textTransform:"uppercase"}}>Leadership Test</div>
+    <div style={{fontFamily:"var(--serif)",fontSize:30,color:cl,margin:"6px 0 2px"}}>{test.passed?"Passed":"Not Passed"}</div>
+    <div style={{fontSize:12,color:T.tm,marginBottom:12}}>{hymnLabel(hymn)}{bpm?` · ${bpm} BPM`:""} · {new Date().toLocaleDateString()}</div>
+    <div style={{display:"flex",justifyContent:"center",gap:8,flexWrap:"wrap",marginBottom:test.reasons.length?12:0}}>
+      {test.criteria.map(c=><div key={c.label} style={{padding:"6px 10px",borderRadius:8,background:"#fff",border:`1px solid ${c.passed?"#c4d9c4":"#f0c0c0"}`,minWidth:74}}>
+        <div style={{fontSize:9,fontWeight:700,color:T.tm,textTransform:"uppercase",letterSpacing:"0.06em"}}>{c.label}</div>
+        <div style={{fontFamily:"var(--serif)",fontSize:18,color:c.passed?"#2d6a4f":"#a33b3b"}}>{c.score}<span style={{fontSize:10,color:T.tl}}> / {c.required}</span></div>
+      </div>)}
+    </div>
+    {test.reasons.map((r,i)=><div key={i} style={{fontSize:11,color:"#8a5c5c",lineHeight:1.6}}>{r}</div>)}
   </div>;
 }
 
@@ -407,10 +493,11 @@ function SheetViewer({hymn}) {
 // MAIN APP
 // ═══════════════════════════════════════════════════════════════
 
-const V={HOME:0,HYMNS:1,GEN:2,PRAC:3,RES:4,GEN_PRAC:5,GEN_RES:6};
+const V={HOME:0,HYMNS:1,GEN:2,PRAC:3,RES:4,GEN_PRAC:5,GEN_RES:6,HISTORY:7,EDITOR:8,OFFLINE:9,PITCH_DRILL:10,INTERVAL_DRILL:11};
 
 export default function App() {
   const [hymnIndex,setHymnIndex]=useState([]);
+  const [offlineIds,setOfflineIds]=useState(new Set());
   const [vw,setVw]=useState(V.HOME);
   const [hymn,setHymn]=useState(null);
   const [mode,setMode]=useState("practice");
@@ -420,7 +507,12 @@ export default function App() {
   const [res,setRes]=useState(null);
   const [pitchOn,setPO]=useState(false);
   const [sheet,setSheet]=useState(true);
+  // Opening a MusicXML file: { busy } while reading, { error } when it fails, { over } while a file is dragged over
+  const [xmlStatus,setXmlStatus]=useState(null);
   const [search,setSearch]=useState("");
+  // Practice history (loaded from IndexedDB when the history view opens)
+  const [history,setHistory]=useState([]);
+  const [historyFilter,setHistoryFilter]=useState("all");
   // Generator settings
   const [genTS,setGenTS]=useState("4/4");
   const [genBPM,setGenBPM]=useState(80);
@@ -436,6 +528,10 @@ export default function App() {
   const melodyTimers=useRef([]);
   const melodyOscs=useRef([]);
   const genNotesRef=useRef(null); // Ref to avoid closure issues with stop button
+  // Follow-along cursor: index of the note expected right now, -1 when nothing is playing
+  const [followNote,setFollowNote]=useState(-1);
+  const [followStart,setFollowStart]=useState(null); // performance.now() at the first note, for the piano roll
+  const followFrame=useRef(null);
 
   // Audio recording state
   const [currentPitch, setCurrentPitch] = useState(null);
@@ -445,44 +541,78 @@ export default function App() {
 
   // Mic test state
   const [micTesting, setMicTesting] = useState(false);
+  const [vizMode, setVizMode] = useState("meter"); // mic test display: "meter" or "trace"
   const micTestRef = useRef(null);
 
   // Hymn melody data (when available)
   const [hymnMelody, setHymnMelody] = useState(null);
   const [hymnMelodyLoading, setHymnMelodyLoading] = useState(false);
+  const [voice, setVoice] = useState("soprano");
+  // Grade in the singer's own octave ("auto") or strictly as written ("written")
+  const [octaveMode, setOctaveMode] = useState("auto");
+  // Semitones the hymn is moved from its written key (remembered per hymn)
+  const [transpose, setTranspose] = useState(0);
+  // Verses led in one take, first to last (1-based)
+  const [verseRange, setVerseRange] = useState([1, 1]);
+  // Starting-pitch drill: the hymn whose first note is being drilled (null = random prompts)
+  const [drillPrompt, setDrillPrompt] = useState(null);
+  // Accompaniment: the other SATB parts play while the chosen voice sings
+  const [accomp, setAccomp] = useState(false);
+  const [partGains, setPartGains] = useState({soprano:0.6,alto:0.6,tenor:0.6,bass:0.6});
+  const partGainsRef = useRef(partGains);
+  const accompTimer = useRef(null);
 
   // Lead-in / drop point settings
   // dropMode: "off" = no lead-in, "measure" = drop after N measures, "note" = drop after N notes, "full" = play entire melody
   const [dropMode, setDropMode] = useState("measure");
   const [dropPoint, setDropPoint] = useState(4); // Default: drop after 4 measures
   const [leadInPlaying, setLeadInPlaying] = useState(false);
+  // Leadership Test: starting pitch is sounded once before the take
+  const [givingPitch, setGivingPitch] = useState(false);
 
   const tmr=useRef(null),actx=useRef(null);
   const instrumentRef = useRef(null);
-  const [instrumentLoading, setInstrumentLoading] = useState(false);
+  const instrumentCache = useRef({}); // name -> Promise<player>
+  const [instrumentName, setInstrumentName] = useState("organ");
+  const [instrumentList, setInstrumentList] = useState([{name: "organ", label: "Church organ"}]);
+  // { state: "loading" | "ready" | "fallback", message }
+  const [instrumentStatus, setInstrumentStatus] = useState(null);
 
-  // Load soundfont instrument (church organ for hymns)
-  const loadInstrument = useCallback(async () => {
-    if (instrumentRef.current) return instrumentRef.current;
-    if (instrumentLoading) return null;
+  useEffect(() => { listInstruments().then(setInstrumentList); }, []);
 
-    setInstrumentLoading(true);
-    try {
-      if (!actx.current) {
-        actx.current = new (window.AudioContext || window.webkitAudioContext)();
-      }
-      // Use church organ for authentic hymn sound
-      const instrument = await Soundfont.instrument(actx.current, 'church_organ', {
-        soundfont: 'MusyngKite'
-      });
-      instrumentRef.current = instrument;
-      setInstrumentLoading(false);
-      return instrument;
-    } catch (e) {
-      setInstrumentLoading(false);
-      return null;
+  // Load the chosen instrument's bundled samples (organ for hymns by default).
+  // Concurrent callers share one load; if the samples fail the synth plays instead.
+  const loadInstrument = useCallback(async () => {
+    if (!actx.current) {
+      actx.current = new (window.AudioContext || window.webkitAudioContext)();
     }
-  }, [instrumentLoading]);
+    const ctx = actx.current;
+    if (!instrumentCache.current[instrumentName]) {
+      setInstrumentStatus({state: "loading"});
+      instrumentCache.current[instrumentName] = loadSampledInstrument(ctx, instrumentName)
+        .then(player => {
+          setInstrumentStatus({state: "ready"});
+          return player;
+        })
+        .catch(e => {
+          console.warn("Instrument failed to load, using synth:", e);
+          // Forget the failure so Retry (or the next play) tries again
+          delete instrumentCache.current[instrumentName];
+          setInstrumentStatus({state: "fallback", message: e.message});
+          return createSynthPlayer(ctx);
+        });
+    }
+    const instrument = await instrumentCache.current[instrumentName];
+    if (instrumentRef.current && instrumentRef.current !== instrument) instrumentRef.current.stop();
+    instrumentRef.current = instrument;
+    return instrument;
+  }, [instrumentName]);
+
+  const chooseInstrument = (name) => {
+    try { instrumentRef.current?.stop(); } catch { /* nothing playing */ }
+    setInstrumentName(name);
+    setInstrumentStatus(null);
+  };
 
   // Load hymn melody when a hymn is selected
   useEffect(() => {
@@ -491,6 +621,15 @@ export default function App() {
       return;
     }
     setHymnMelodyLoading(true);
+    setTranspose(getHymnPreferences(hymn.id).transpose || 0);
+    setVerseRange([1, 1]);
+
+    // Opened from a MusicXML file: the melody came with it
+    if (hymn.melody) {
+      setHymnMelody(hymn.melody);
+      setHymnMelodyLoading(false);
+      return;
+    }
 
     // Try MIDI file first, then fall back to JSON melody data
     loadMidiFromUrl(`/hymn_midi/${hymn.id}.mid`)
@@ -502,6 +641,7 @@ export default function App() {
           bpm: midiData.tempo,
           keySignature: midiData.keySignature,
           notes: midiData.notes,
+          parts: midiData.parts,
           tracks: midiData.tracks,
           selectedTrack: midiData.selectedTrack,
           source: 'midi',
@@ -516,14 +656,7 @@ export default function App() {
             return r.json();
           })
           .then(data => {
-            const notes = data.notes.map(n => ({
-              midi: n.midi,
-              freq: 440 * Math.pow(2, (n.midi - 69) / 12),
-              dur: n.dur,
-              measure: n.measure,
-              lyric: n.lyric
-            }));
-            setHymnMelody({ ...data, notes, source: 'json' });
+            setHymnMelody({ ...normalizeMelody(data), source: 'json' });
             setHymnMelodyLoading(false);
           })
           .catch(() => {
@@ -533,6 +666,25 @@ export default function App() {
       });
   }, [hymn]);
 
+  // The hymn in the key it is being practiced in: notation, lead-in, accompaniment and grading all use this
+  const keyedMelody = useMemo(() => transposeMelody(hymnMelody, transpose), [hymnMelody, transpose]);
+
+  // The chosen verses sung through in order, for the lead-in, accompaniment and grading.
+  // Notation shows one pass with the chosen verses' words stacked under it.
+  const verseMelody = useMemo(() => expandVerses(keyedMelody, verseRange[0], verseRange[1]), [keyedMelody, verseRange]);
+  const verseLyrics = useMemo(() => {
+    if (verseCount(keyedMelody) < 2 || selectPart(keyedMelody, voice).voice !== "soprano") return undefined;
+    return keyedMelody.verses.slice(verseRange[0] - 1, verseRange[1]);
+  }, [keyedMelody, verseRange, voice]);
+
+  // Generated lyrics as the notation's single verse (stable, so highlighting doesn't redraw the score)
+  const genLyricLines = useMemo(() => genLyrics ? [genLyrics] : undefined, [genLyrics]);
+
+  // Which hymns are kept for offline use (marked in the hymn list)
+  useEffect(() => {
+    getOfflineHymnIds().then(setOfflineIds).catch(() => {});
+  }, []);
+
   // Load the full hymn index from public/hymn_index.json
   useEffect(() => {
     fetch("/hymn_index.json")
@@ -586,7 +738,32 @@ export default function App() {
     }
   }, []);
 
-  // Play the full generated melody as audio using soundfont
+  // Move followNote through `notes` in time, the first note starting `delayMs` from now.
+  // Same timing as the grader's expected notes, so the cursor shows what is being graded.
+  const startFollow = useCallback((notes, ts, tempo, delayMs = 0) => {
+    cancelAnimationFrame(followFrame.current);
+    if (!notes?.length) return;
+    const expected = buildExpectedTiming(notes, getMsPerBeatUnit(tempo, ts));
+    const origin = performance.now() + delayMs;
+    setFollowStart(origin);
+    let shown = null;
+    const tick = () => {
+      const elapsed = performance.now() - origin;
+      const idx = expectedNoteAt(expected, elapsed);
+      if (idx !== shown) { shown = idx; setFollowNote(idx); }
+      followFrame.current = idx === -1 && elapsed > 0 ? null : requestAnimationFrame(tick);
+    };
+    tick();
+  }, []);
+
+  const stopFollow = useCallback(() => {
+    cancelAnimationFrame(followFrame.current);
+    followFrame.current = null;
+    setFollowNote(-1);
+    setFollowStart(null);
+  }, []);
+
+  // Play the full generated melody as audio using the chosen instrument
   const playMelodyAudio = useCallback(async () => {
     if (!genNotes?.length) return;
     try {
@@ -616,10 +793,11 @@ export default function App() {
 
       let time = ctx.currentTime + 0.1;
       let totalDuration = 0;
+      startFollow(genNotes, genTS, genBPM, 100);
 
       genNotes.forEach((note) => {
-        const dur = note.dur * secPerUnit;
-        instrument.play(note.midi, time, { duration: dur, gain: 0.7 });
+        const dur = performedLength(note) * secPerUnit;
+        if (!note.rest) instrument.play(note.midi, time, { duration: dur, gain: 0.7 });
         totalDuration = (time - ctx.currentTime) + dur;
         time += dur;
       });
@@ -628,22 +806,44 @@ export default function App() {
       const endTimer = setTimeout(() => setMelodyPlaying(false), totalDuration * 1000);
       melodyTimers.current.push(endTimer);
     } catch(e) { setMelodyPlaying(false); }
-  }, [genNotes, genTS, genBPM, loadInstrument]);
+  }, [genNotes, genTS, genBPM, loadInstrument, startFollow]);
+
+  // Change one part's accompaniment volume; notes not yet scheduled pick it up
+  const setPartGain = useCallback((v, gain) => {
+    setPartGains(g => {
+      const next = {...g, [v]: gain};
+      partGainsRef.current = next;
+      return next;
+    });
+  }, []);
 
   const stopMelody = useCallback(() => {
+    // Stop accompaniment scheduler
+    clearInterval(accompTimer.current);
+    accompTimer.current = null;
     // Stop any oscillators (legacy)
     melodyOscs.current.forEach(o => { try{o.stop();}catch(e){} });
     melodyOscs.current = [];
     // Clear timers
     melodyTimers.current.forEach(t => clearTimeout(t));
     melodyTimers.current = [];
-    // Stop soundfont instrument
+    // Stop instrument playback
     if (instrumentRef.current) {
       try { instrumentRef.current.stop(); } catch(e) {}
     }
+    stopFollow();
     setMelodyPlaying(false);
     setLeadInPlaying(false);
-  }, []);
+    setGivingPitch(false);
+  }, [stopFollow]);
+
+  // Move the hymn to another key and remember it for next time
+  const changeTranspose = (semitones) => {
+    const next = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, semitones));
+    stopMelody();
+    setTranspose(next);
+    if (hymn) setHymnPreferences(hymn.id, { transpose: next || null });
+  };
 
   const doGenerate = useCallback(() => {
     const key = genKey==="auto" ? KEYS[Math.floor(Math.random()*KEYS.length)] : genKey;
@@ -654,16 +854,65 @@ export default function App() {
     setGenLyrics(lyrics);
   }, [genTS, genBPM, genMeasures, genKey, genOctave, genSyllables, genMelisma]);
 
-  const playPitch = useCallback((key) => {
-    const freq={C:261.63,Db:277.18,D:293.66,Eb:311.13,E:329.63,F:349.23,"F#":369.99,G:392,Ab:415.3,A:440,Bb:466.16,B:493.88}[key]||261.63;
+  const playFreq = useCallback((freq) => {
     try{if(!actx.current)actx.current=new(window.AudioContext||window.webkitAudioContext)();const c=actx.current,o=c.createOscillator(),g=c.createGain();o.type="sine";o.frequency.value=freq;g.gain.setValueAtTime(.3,c.currentTime);g.gain.exponentialRampToValueAtTime(.001,c.currentTime+2);o.connect(g).connect(c.destination);o.start();o.stop(c.currentTime+2);setPO(true);setTimeout(()=>setPO(false),2000);}catch(e){}
   }, []);
 
+  const playPitch = useCallback((key) => {
+    playFreq({C:261.63,Db:277.18,D:293.66,Eb:311.13,E:329.63,F:349.23,"F#":369.99,G:392,Ab:415.3,A:440,Bb:466.16,B:493.88}[key]||261.63);
+  }, [playFreq]);
+
+  // One note on the chosen instrument (drill references)
+  const playNote = useCallback(async (midi, seconds = 2) => {
+    const instrument = await loadInstrument();
+    instrument.play(midi, actx.current.currentTime + 0.05, {duration: seconds});
+  }, [loadInstrument]);
+
+  // Practice a MusicXML score chosen or dropped on the home screen, as if it were a hymn
+  const openMusicXml = async (file) => {
+    if (!file) return;
+    setXmlStatus({ busy: true });
+    try {
+      const data = await loadMusicXmlFile(file);
+      if (!data.notes.some(n => !n.rest)) throw new Error('No melody found in this score');
+      const title = data.title || file.name.replace(/\.(musicxml|xml|mxl)$/i, '');
+      const melody = normalizeMelody({
+        title,
+        key: data.keySignature,
+        timeSignature: data.timeSignature,
+        bpm: data.tempo,
+        pickup: data.pickup,
+        structure: data.structure,
+        verses: data.verses,
+        notes: data.parts.soprano,
+        parts: data.parts
+      });
+      setXmlStatus(null);
+      setHymn({ id: `file:${file.name}`, number: '', title, melody: { ...melody, tracks: data.tracks, source: 'musicxml' } });
+      setSheet(false);
+      setVw(V.PRAC);
+    } catch (err) {
+      console.warn('Could not open MusicXML:', err);
+      setXmlStatus({ error: err.message || 'Could not read this file' });
+    }
+  };
+
+  const openPitchDrill = (prompt = null) => {
+    stopMelody();
+    setDrillPrompt(prompt);
+    setVw(V.PITCH_DRILL);
+  };
+
   // Calculate which note index the drop point corresponds to
   const getDropNoteIndex = useCallback((notes, mode, point) => {
     if (!notes?.length || mode === "off") return 0;
     if (mode === "full") return notes.length; // Play entire melody
-    if (mode === "note") return Math.min(point, notes.length);
+    if (mode === "note") {
+      // Counted in sung notes; a rest goes with the note before it
+      let sung = 0;
+      const idx = notes.findIndex(n => !n.rest && ++sung > point);
+      return idx === -1 ? notes.length : idx;
+    }
     if (mode === "measure") {
       // Find the first note that's in measure >= point
       const idx = notes.findIndex(n => n.measure >= point);
@@ -672,8 +921,9 @@ export default function App() {
     return 0;
   }, []);
 
-  // Play lead-in portion of melody using soundfont, then trigger callback when done
-  const playLeadIn = useCallback(async (notes, ts, tempo, dropNoteIndex, onDropPoint) => {
+  // Play lead-in portion of melody using the chosen instrument, then trigger callback when done
+  // onStart (optional) is called with the delay in ms until the first note sounds
+  const playLeadIn = useCallback(async (notes, ts, tempo, dropNoteIndex, onDropPoint, onStart) => {
     if (!notes?.length || dropNoteIndex <= 0) {
       onDropPoint();
       return;
@@ -710,11 +960,12 @@ export default function App() {
       let time = ctx.currentTime + 0.1;
       const leadInNotes = notes.slice(0, dropNoteIndex);
       let totalDuration = 0;
+      onStart?.((time - ctx.currentTime) * 1000);
 
-      // Schedule all notes using soundfont
+      // Schedule all notes on the instrument; rests only take time, fermatas are held
       leadInNotes.forEach((note) => {
-        const dur = note.dur * secPerUnit;
-        instrument.play(note.midi, time, { duration: dur, gain: 0.7 });
+        const dur = performedLength(note) * secPerUnit;
+        if (!note.rest) instrument.play(note.midi, time, { duration: dur, gain: 0.7 });
         totalDuration = (time - ctx.currentTime) + dur;
         time += dur;
       });
@@ -732,7 +983,45 @@ export default function App() {
     }
   }, [loadInstrument]);
 
-  const startRec = useCallback(async (ts, tempo, referenceMelody = null, useLeadIn = false, leadInDropMode = "off", leadInDropPoint = 0) => {
+  // Play other voices' parts from the start of the hymn, each at its own volume.
+  // Notes are scheduled a second ahead so volume changes take effect while playing.
+  const playAccompaniment = useCallback(async (parts, ts, tempo) => {
+    const instrument = await loadInstrument();
+    if (!instrument) return;
+    const ctx = actx.current;
+
+    const secPerUnit = isCompound(ts) ? 60 / (tempo * 3) : 60 / tempo;
+    const events = [];
+    Object.entries(parts).forEach(([v, notes]) => {
+      let t = 0;
+      notes.forEach(note => {
+        const dur = performedLength(note) * secPerUnit;
+        if (!note.rest) events.push({ v, midi: note.midi, t, dur });
+        t += dur;
+      });
+    });
+    events.sort((a, b) => a.t - b.t);
+
+    const start = ctx.currentTime + 0.1;
+    let next = 0;
+    const schedule = () => {
+      const horizon = ctx.currentTime - start + 1;
+      while (next < events.length && events[next].t < horizon) {
+        const e = events[next++];
+        const gain = partGainsRef.current[e.v] ?? 0.6;
+        if (gain > 0) instrument.play(e.midi, start + e.t, { duration: e.dur, gain });
+      }
+      if (next >= events.length) {
+        clearInterval(accompTimer.current);
+        accompTimer.current = null;
+      }
+    };
+    clearInterval(accompTimer.current);
+    schedule();
+    accompTimer.current = setInterval(schedule, 250);
+  }, [loadInstrument]);
+
+  const startRec = useCallback(async (ts, tempo, referenceMelody = null, useLeadIn = false, leadInDropMode = "off", leadInDropPoint = 0, recordCountOff = false, vocalRange = "auto", accompParts = null) => {
     // Stop mic test if running
     if (micTestRef.current) {
       micTestRef.current.stop();
@@ -765,9 +1054,11 @@ export default function App() {
       return;
     }
     setMicPermission('granted');
+    engine.setVocalRange(vocalRange);
 
-    // Calculate drop note index for grading
-    const dropNoteIndex = useLeadIn && leadInDropMode !== "off"
+    // Calculate drop note index for grading. A Leadership Test has no lead-in:
+    // the whole hymn is required, from the count-off on.
+    const dropNoteIndex = !recordCountOff && useLeadIn && leadInDropMode !== "off"
       ? getDropNoteIndex(referenceMelody, leadInDropMode, leadInDropPoint)
       : 0;
 
@@ -781,6 +1072,12 @@ export default function App() {
     recorderRef.current._dropNoteIndex = dropNoteIndex;
     recorderRef.current._ts = ts;
     recorderRef.current._tempo = tempo;
+    // Leadership Test: the leader gives the pitch and counts in themselves, so record from the start
+    // A pickup is counted in: three beats before a one-beat pickup in 4/4
+    const pickup = pickupLength(referenceMelody, ts);
+    recorderRef.current._countOff = recordCountOff && referenceMelody?.length
+      ? { beats: countOffBeats(ts, pickup) }
+      : null;
 
     // Function to start recording (called after lead-in or count-in)
     const beginRecording = () => {
@@ -791,13 +1088,29 @@ export default function App() {
       tmr.current = setInterval(() => setEl(Math.floor((Date.now() - st) / 1000)), 200);
     };
 
-    // Use lead-in playback if configured, otherwise count-in
-    if (useLeadIn && leadInDropMode !== "off" && referenceMelody?.length && dropNoteIndex > 0) {
+    // Leadership Test: sound the starting pitch once, then record the leader's count-off as part of the take
+    if (recorderRef.current._countOff) {
+      setGivingPitch(true);
+      const first = referenceMelody.find(n => !n.rest);
+      playFreq(first.freq || midiToFreq(first.midi));
+      melodyTimers.current.push(setTimeout(() => {
+        setGivingPitch(false);
+        beginRecording();
+      }, 2200));
+    } else if (useLeadIn && leadInDropMode !== "off" && referenceMelody?.length && dropNoteIndex > 0) {
       // Play lead-in, then seamlessly start recording
-      playLeadIn(referenceMelody, ts, tempo, dropNoteIndex, beginRecording);
+      if (accompParts) {
+        // Load first so the accompaniment and lead-in start together
+        await loadInstrument();
+        playAccompaniment(accompParts, ts, tempo);
+      }
+      playLeadIn(referenceMelody, ts, tempo, dropNoteIndex, beginRecording,
+        delayMs => startFollow(referenceMelody, ts, tempo, delayMs));
     } else {
-      // Traditional count-in
-      const ct = parseTS(ts).n;
+      // Load first so the accompaniment starts on the downbeat
+      if (accompParts) await loadInstrument();
+      // Traditional count-in: the felt beats of a measure before the first note, as in the test
+      const ct = countOffBeats(ts, pickup);
       setCd(ct);
       let c = ct;
       const iv = setInterval(() => {
@@ -805,23 +1118,33 @@ export default function App() {
         if (c <= 0) {
           clearInterval(iv);
           setCd(null);
+          if (accompParts) playAccompaniment(accompParts, ts, tempo);
+          startFollow(referenceMelody, ts, tempo);
           beginRecording();
         } else {
           setCd(c);
         }
       }, (60 / tempo) * 1000);
     }
-  }, [getDropNoteIndex, playLeadIn]);
+  }, [getDropNoteIndex, playLeadIn, playFreq, loadInstrument, playAccompaniment, startFollow]);
 
-  const stopRec = useCallback((destView, referenceMelody = null) => {
+  // context: { source, hymnId?, number?, title, settings } — identifies the attempt in practice history
+  const stopRec = useCallback((destView, referenceMelody = null, context = {}) => {
     setRec(false);
     clearInterval(tmr.current);
+    stopFollow();
+    clearInterval(accompTimer.current);
+    accompTimer.current = null;
+    // Notes already scheduled, such as the final held chords, would ring on
+    try { instrumentRef.current?.stop(); } catch { /* nothing playing */ }
     setCurrentPitch(null);
 
     let pitchHistory = [];
     let melody = referenceMelody;
     let ts = "4/4";
     let tempo = 80;
+    let countOff = null;
+    let strict = false;
 
     if (recorderRef.current) {
       try {
@@ -829,6 +1152,8 @@ export default function App() {
         melody = referenceMelody || recorderRef.current._referenceMelody;
         ts = recorderRef.current._ts || "4/4";
         tempo = recorderRef.current._tempo || 80;
+        countOff = recorderRef.current._countOff || null;
+        strict = !!countOff;
       } catch (e) {
         // Error stopping recorder - continue with empty history
       }
@@ -842,61 +1167,128 @@ export default function App() {
     }
 
     if (melody && pitchHistory.length > 0) {
-      const gradeResult = gradePerformance(pitchHistory, melody, tempo, ts);
+      const gradeResult = gradePerformance(pitchHistory, melody, tempo, ts, { countOff, strict, octave: context.settings?.octave === "written" ? 0 : "auto" });
 
       setRes({
         ps: gradeResult.pitchScore,
         rs: gradeResult.rhythmScore,
         ls: gradeResult.leadershipScore,
-        co: Math.round(gradeResult.stabilityScore * 0.9 + 10),
+        co: gradeResult.countOff ? gradeResult.countOff.score : null,
         ts: gradeResult.stabilityScore,
         pst: gradeResult.pitchScore,
         tt: gradeResult.tempoData,
         pt: gradeResult.pitchData,
         diag: gradeResult.diagnostics,
+        countOff: gradeResult.countOff,
+        test: strict ? evaluateLeadershipTest(gradeResult) : null,
         pm: gradeResult.pitchData.filter(p => p.sh || p.fl).map(p => p.m),
         _raw: gradeResult
       });
+
+      saveAttempt({
+        ...context,
+        mode: strict ? "test" : "practice",
+        scores: {
+          pitch: gradeResult.pitchScore,
+          rhythm: gradeResult.rhythmScore,
+          leadership: gradeResult.leadershipScore,
+          stability: gradeResult.stabilityScore,
+          countOff: gradeResult.countOff ? gradeResult.countOff.score : null
+        },
+        passed: strict ? evaluateLeadershipTest(gradeResult).passed : null,
+        summary: gradeResult.summary,
+        noteByNote: gradeResult.noteByNote
+      }).catch(e => console.warn("Could not save attempt to history:", e));
     } else {
       setRes({
-        ps: 0, rs: 0, ls: 0, co: 0, ts: 0, pst: 0,
+        ps: 0, rs: 0, ls: 0, co: countOff ? 0 : null, ts: 0, pst: 0,
         tt: [], pt: [],
         diag: pitchHistory.length === 0
           ? ["No pitch detected. Make sure your microphone is working and sing clearly."]
           : ["No reference melody available for grading."],
         pm: [],
+        test: strict ? { passed: false, completed: false, criteria: [], reasons: ["No performance was recorded."] } : null,
         _raw: { summary: { totalNotes: melody?.length || 0, matchedNotes: 0 }, noteByNote: [] }
       });
     }
 
     setVw(destView);
+  }, [stopFollow]);
+
+  const openHistory = useCallback(async (filter = "all") => {
+    try { setHistory(await getAttempts()); }
+    catch (e) { console.warn("Could not load practice history:", e); setHistory([]); }
+    setHistoryFilter(filter);
+    setVw(V.HISTORY);
   }, []);
 
   useEffect(()=>()=>{
     clearInterval(tmr.current);
+    cancelAnimationFrame(followFrame.current);
     melodyOscs.current.forEach(o=>{try{o.stop();}catch(e){}});
     melodyTimers.current.forEach(t=>clearTimeout(t));
     if(recorderRef.current){recorderRef.current.destroy();recorderRef.current=null;}
     if(micTestRef.current){micTestRef.current.destroy();micTestRef.current=null;}
   },[]);
   const goHome=()=>{setVw(V.HOME);setHymn(null);setRes(null);setRec(false);setCd(null);setGenNotes(null);stopMelody();clearInterval(tmr.current);setSearch("");setAudioError(null);setCurrentPitch(null);setMicTesting(false);setLeadInPlaying(false);if(recorderRef.current){recorderRef.current.destroy();recorderRef.current=null;}if(micTestRef.current){micTestRef.current.destroy();micTestRef.current=null;}};
-  const goBack=v=>{setVw(v);setRec(false);setCd(null);setRes(null);clearInterval(tmr.current);setAudioError(null);setCurrentPitch(null);setMicTesting(false);setLeadInPlaying(false);if(recorderRef.current){recorderRef.current.destroy();recorderRef.current=null;}if(micTestRef.current){micTestRef.current.destroy();micTestRef.current=null;}};
+  const goBack=v=>{setVw(v);stopMelody();setRec(false);setCd(null);setRes(null);clearInterval(tmr.current);setAudioError(null);setCurrentPitch(null);setMicTesting(false);setLeadInPlaying(false);if(recorderRef.current){recorderRef.current.destroy();recorderRef.current=null;}if(micTestRef.current){micTestRef.current.destroy();micTestRef.current=null;}};
+
+  // Instrument picker shared by the hymn and generated practice views
+  const soundRow = () => <div style={{display:"flex",alignItems:"center",gap:8,flexWrap:"wrap"}}>
+    <span style={{fontSize:12,color:T.tm}}>Sound</span>
+    <select value={instrumentName} disabled={melodyPlaying||leadInPlaying||rec} onChange={e=>chooseInstrument(e.target.value)} style={{padding:"5px 8px",borderRadius:6,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tx,fontSize:12,fontFamily:"var(--sans)"}}>
+      {instrumentList.map(i=><option key={i.name} value={i.name}>{i.label}</option>)}
+    </select>
+    {instrumentStatus?.state==="loading" && <span style={{fontSize:11,color:T.tl}}>Loading…</span>}
+    {instrumentStatus?.state==="fallback" && <>
+      <span style={{fontSize:11,color:"#7a6c3d"}} title={instrumentStatus.message}>Samples unavailable — using synth</span>
+      <button onClick={loadInstrument} style={{padding:"4px 10px",borderRadius:6,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>Retry</button>
+    </>}
+  </div>;
 
   // ─── HYMN PRACTICE (split layout) ─────────────────────────
   if ((vw===V.PRAC||vw===V.RES) && hymn) {
+    // The part being practiced (soprano unless another voice is chosen), through the chosen verses
+    const partMelody = selectPart(verseMelody, voice);
+    const passNotes = selectPart(keyedMelody, voice)?.notes;
+    const voices = availableVoices(keyedMelody);
+    const verses = verseCount(keyedMelody);
+
     // Calculate info about the melody for display
-    const totalNotes = hymnMelody?.notes?.length || 0;
-    const totalMeasures = hymnMelody?.notes?.length ? Math.max(...hymnMelody.notes.map(n => n.measure)) + 1 : 0;
-    const dropNoteIdx = hymnMelody?.notes ? getDropNoteIndex(hymnMelody.notes, dropMode, dropPoint) : 0;
-    const notesAfterDrop = totalNotes - dropNoteIdx;
+    const totalNotes = partMelody?.notes?.filter(n => !n.rest).length || 0;
+    const totalMeasures = partMelody?.notes?.length ? Math.max(...partMelody.notes.map(n => n.measure)) + 1 : 0;
+    const dropNoteIdx = partMelody?.notes ? getDropNoteIndex(partMelody.notes, dropMode, dropPoint) : 0;
+    const notesAfterDrop = partMelody?.notes ? partMelody.notes.slice(dropNoteIdx).filter(n => !n.rest).length : 0;
+    const firstSung = partMelody?.notes?.find(n => !n.rest);
+    const pickup = pickupLength(partMelody?.notes, partMelody?.timeSignature || "4/4");
 
     const Ctrl = () => {
       return <div style={{padding:20,position:"relative"}}>
         <div style={{marginBottom:16}}><div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:6,letterSpacing:"0.06em",textTransform:"uppercase"}}>Mode</div><div style={{display:"flex",gap:6}}>{["practice","test"].map(m=><button key={m} onClick={()=>setMode(m)} style={{padding:"8px 18px",borderRadius:8,border:`1.5px solid ${mode===m?T.ac:T.cb}`,background:mode===m?"#e8f0e8":T.card,color:mode===m?T.ad:T.tm,fontSize:12,fontWeight:600,cursor:"pointer"}}>{m==="test"?"Leadership Test":"Practice"}</button>)}</div></div>
-        <div style={{...mkC,cursor:"default",background:T.wl,borderColor:"#e8dcc4",padding:14}}><div style={{fontSize:12,color:"#7a6c3d",lineHeight:1.5}}>{mode==="practice"?"Lead-in plays → MIDI drops off → you continue singing → graded on your portion.":"Leadership Test: evaluates count-off, tempo, and pitch stability."}</div></div>
+        {hymnMelody && <div style={{marginBottom:16}}><div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:6,letterSpacing:"0.06em",textTransform:"uppercase"}}>Voice</div><div style={{display:"flex",gap:6,flexWrap:"wrap"}}>{VOICES.map(v=>{const has=voices.includes(v),on=partMelody.voice===v;return <button key={v} disabled={!has||rec} title={has?"":`No ${v} part for this hymn`} onClick={()=>setVoice(v)} style={{padding:"8px 14px",borderRadius:8,border:`1.5px solid ${on?T.ac:T.cb}`,background:on?"#e8f0e8":T.card,color:on?T.ad:has?T.tm:T.tl,fontSize:12,fontWeight:600,cursor:has?"pointer":"default",opacity:has?1:0.5,textTransform:"capitalize"}}>{v}</button>;})}</div>{voices.length<2&&<div style={{fontSize:10,color:T.tl,marginTop:4}}>Only the melody is available for this hymn.</div>}</div>}
+        {hymnMelody && <div style={{marginBottom:16}}><div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:6,letterSpacing:"0.06em",textTransform:"uppercase"}}>Octave</div><div style={{display:"flex",gap:6}}>{[["auto","Any octave"],["written","As written"]].map(([v,l])=>{const on=octaveMode===v;return <button key={v} disabled={rec} onClick={()=>setOctaveMode(v)} style={{padding:"8px 14px",borderRadius:8,border:`1.5px solid ${on?T.ac:T.cb}`,background:on?"#e8f0e8":T.card,color:on?T.ad:T.tm,fontSize:12,fontWeight:600,cursor:"pointer"}}>{l}</button>;})}</div><div style={{fontSize:10,color:T.tl,marginTop:4}}>{octaveMode==="auto"?"Lead in whichever octave suits your voice — it is detected and graded there.":"Notes must be sung in the octave they are written."}</div></div>}
+        {hymnMelody && <div style={{marginBottom:16}}><div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:6,letterSpacing:"0.06em",textTransform:"uppercase"}}>Key</div><div style={{display:"flex",alignItems:"center",gap:6}}>
+          <button disabled={rec||transpose<=-MAX_TRANSPOSE} onClick={()=>changeTranspose(transpose-1)} title="Down a semitone" style={{width:34,height:34,borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tm,fontSize:16,fontWeight:600,cursor:"pointer"}}>−</button>
+          <div style={{minWidth:92,textAlign:"center"}}><div style={{fontFamily:"var(--serif)",fontSize:17}}>{keyedMelody.keySignature}</div><div style={{fontSize:10,color:T.tl}}>{transpose?`${transpose>0?"+":""}${transpose} semitone${Math.abs(transpose)===1?"":"s"}`:"as written"}</div></div>
+          <button disabled={rec||transpose>=MAX_TRANSPOSE} onClick={()=>changeTranspose(transpose+1)} title="Up a semitone" style={{width:34,height:34,borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tm,fontSize:16,fontWeight:600,cursor:"pointer"}}>+</button>
+          {transpose!==0&&<button disabled={rec} onClick={()=>changeTranspose(0)} style={{padding:"6px 10px",borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>Written key ({hymnMelody.keySignature||hymnMelody.key||"C"})</button>}
+        </div><div style={{fontSize:10,color:T.tl,marginTop:4}}>Pitch the hymn to suit your voice. The key is remembered for this hymn.</div>
+          {firstSung&&<button disabled={rec} onClick={()=>openPitchDrill({key:keyedMelody.keySignature,targetMidi:firstSung.midi,hymnId:hymn.id,title:hymnLabel(hymn)})} style={{marginTop:8,padding:"6px 12px",borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>🎯 Practice finding the first note</button>}
+        </div>}
+        {verses>1 && <div style={{marginBottom:16}}><div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:6,letterSpacing:"0.06em",textTransform:"uppercase"}}>Verses</div><div style={{display:"flex",alignItems:"center",gap:6,flexWrap:"wrap"}}>
+          <select value={verseRange[0]} disabled={rec} onChange={e=>{const f=+e.target.value;setVerseRange([f,Math.max(f,verseRange[1])]);}} style={{padding:"6px 8px",borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tx,fontSize:12,fontFamily:"var(--sans)"}}>
+            {Array.from({length:verses},(_,i)=><option key={i} value={i+1}>Verse {i+1}</option>)}
+          </select>
+          <span style={{fontSize:12,color:T.tm}}>to</span>
+          <select value={verseRange[1]} disabled={rec} onChange={e=>{const t=+e.target.value;setVerseRange([Math.min(verseRange[0],t),t]);}} style={{padding:"6px 8px",borderRadius:8,border:`1.5px solid ${T.cb}`,background:T.card,color:T.tx,fontSize:12,fontFamily:"var(--sans)"}}>
+            {Array.from({length:verses},(_,i)=><option key={i} value={i+1}>Verse {i+1}</option>)}
+          </select>
+          {[[[verseRange[0],verseRange[0]],"One verse"],[[1,verses],`All ${verses}`]].map(([r,l])=>{const on=verseRange[0]===r[0]&&verseRange[1]===r[1];return <button key={l} disabled={rec} onClick={()=>setVerseRange(r)} style={{padding:"6px 12px",borderRadius:8,border:`1.5px solid ${on?T.ac:T.cb}`,background:on?"#e8f0e8":T.card,color:on?T.ad:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>{l}</button>;})}
+        </div><div style={{fontSize:10,color:T.tl,marginTop:4}}>{verseRange[1]>verseRange[0]?`The hymn is sung ${verseRange[1]-verseRange[0]+1} times through; grading shows how your tempo holds from verse to verse.`:"Choose a range to lead through several verses in one take."}</div></div>}
+        <div style={{...mkC,cursor:"default",background:T.wl,borderColor:"#e8dcc4",padding:14}}><div style={{fontSize:12,color:"#7a6c3d",lineHeight:1.5}}>{mode==="practice"?"Lead-in plays → MIDI drops off → you continue singing → graded on your portion.":"Leadership Test: give the starting pitch and count the congregation in yourself — graded on count-off, tempo, and pitch stability."}</div></div>
 
         {/* Lead-in configuration - only show when melody data is available */}
-        {hymnMelody && !rec && !cd && !leadInPlaying && <div style={{...mkC,cursor:"default",padding:14,marginTop:8}}>
+        {partMelody && mode==="practice" && !rec && !cd && !leadInPlaying && <div style={{...mkC,cursor:"default",padding:14,marginTop:8}}>
           <div style={{fontSize:11,fontWeight:600,color:T.tm,marginBottom:10,letterSpacing:"0.06em",textTransform:"uppercase"}}>Lead-in Settings</div>
 
           {/* Drop mode selector */}
@@ -936,7 +1328,7 @@ export default function App() {
               style={{width:"100%",appearance:"none",height:4,borderRadius:2,background:"#e8e0d4",outline:"none"}}
             />
             <div style={{fontSize:10,color:T.tl,marginTop:4}}>
-              MIDI plays {dropNoteIdx} notes → You sing {notesAfterDrop} notes (graded)
+              MIDI plays {totalNotes - notesAfterDrop} notes → You sing {notesAfterDrop} notes (graded)
             </div>
           </div>}
 
@@ -947,37 +1339,57 @@ export default function App() {
           {dropMode==="off" && <div style={{fontSize:11,color:T.tm,padding:"8px 12px",background:"#faf6f0",borderRadius:6}}>
             Traditional count-in, then sing a cappella. All {totalNotes} notes graded.
           </div>}
+          {dropMode!=="off" && <div style={{marginTop:12}}>{soundRow()}</div>}
+        </div>}
+
+        {/* Accompaniment - the other SATB parts */}
+        {partMelody && mode==="practice" && voices.length>1 && !cd && <div style={{...mkC,cursor:"default",padding:14,marginTop:8}}>
+          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center",marginBottom:accomp?10:0}}>
+            <div style={{fontSize:11,fontWeight:600,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase"}}>Accompaniment</div>
+            <div style={{display:"flex",gap:6}}>{[false,true].map(on=><button key={String(on)} disabled={rec} onClick={()=>setAccomp(on)} style={{padding:"5px 10px",borderRadius:6,border:`1.5px solid ${accomp===on?T.ac:T.cb}`,background:accomp===on?"#e8f0e8":T.card,color:accomp===on?T.ad:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>{on?"Other parts":"Off"}</button>)}</div>
+          </div>
+          {accomp && <>
+            {voices.filter(v=>v!==partMelody.voice).map(v=><div key={v} style={{display:"flex",alignItems:"center",gap:10,marginBottom:6}}>
+              <span style={{fontSize:12,color:T.tm,width:58,textTransform:"capitalize"}}>{v}</span>
+              <input type="range" min="0" max="100" value={Math.round(partGains[v]*100)} onChange={e=>setPartGain(v,+e.target.value/100)} style={{flex:1,appearance:"none",height:4,borderRadius:2,background:"#e8e0d4",outline:"none"}}/>
+              <span style={{fontSize:11,color:T.tl,width:32,textAlign:"right"}}>{Math.round(partGains[v]*100)}%</span>
+            </div>)}
+            <div style={{fontSize:10,color:T.tl,marginTop:2}}>The {partMelody.voice} part is muted after the lead-in and graded; the other parts play through the whole hymn.</div>
+          </>}
         </div>}
 
         {/* Action area */}
-        {!rec && cd===null && !leadInPlaying && <div style={{textAlign:"center",marginTop:16}}>
-          {hymnMelody && <div style={{marginBottom:12,padding:"8px 16px",background:"#e8f0e8",borderRadius:8,display:"inline-block"}}>
+        {!rec && cd===null && !leadInPlaying && !givingPitch && <div style={{textAlign:"center",marginTop:16}}>
+          {partMelody && <div style={{marginBottom:12,padding:"8px 16px",background:"#e8f0e8",borderRadius:8,display:"inline-block"}}>
             <span style={{fontSize:11,color:"#3d5640"}}>
-              {hymnMelody.title} · {hymnMelody.timeSignature} · {hymnMelody.bpm} BPM · {totalNotes} notes
-              {hymnMelody.source === 'midi' && ' · from MIDI'}
+              {partMelody.title} · {partMelody.timeSignature} · {partMelody.bpm} BPM · {totalNotes} notes
+              {voices.length > 1 && ` · ${partMelody.voice}`}
+              {partMelody.source === 'midi' && ' · from MIDI'}
+              {partMelody.source === 'musicxml' && ' · from MusicXML'}
+              {partMelody.source === 'draft' && ' · editor draft'}
             </span>
+            {mode==="practice" && <button onClick={()=>goBack(V.EDITOR)} style={{marginLeft:8,background:"none",border:"none",color:T.ac,fontSize:11,fontWeight:600,cursor:"pointer",textDecoration:"underline"}}>Edit melody</button>}
           </div>}
-          {/* Notation display for hymns with melody data */}
-          {hymnMelody?.notes?.length > 0 && <div style={{marginBottom:16,textAlign:"left"}}>
-            <NotationDisplay
-              notes={hymnMelody.notes}
-              timeSignature={hymnMelody.timeSignature || '4/4'}
-              keySignature={hymnMelody.keySignature || 'C'}
-              currentNote={-1}
-            />
-          </div>}
-          {!hymnMelody && !hymnMelodyLoading && <div style={{marginBottom:12,padding:"8px 16px",background:"#fff8e8",borderRadius:8,display:"inline-block"}}>
+          {!partMelody && !hymnMelodyLoading && <div style={{marginBottom:12,padding:"8px 16px",background:"#fff8e8",borderRadius:8,display:"inline-block"}}>
             <span style={{fontSize:11,color:"#7a6c3d"}}>No melody data - pitch tracking only</span>
+            <button onClick={()=>goBack(V.EDITOR)} style={{marginLeft:8,background:"none",border:"none",color:"#7a6c3d",fontSize:11,fontWeight:600,cursor:"pointer",textDecoration:"underline"}}>Enter melody</button>
+          </div>}
+          {mode==="test" && partMelody && <div style={{marginBottom:12,fontSize:11,color:T.tm,lineHeight:1.6}}>
+            The starting pitch sounds once. No lead-in and no sheet music — lead the whole hymn from memory.
           </div>}
           <button onClick={()=>startRec(
-            hymnMelody?.timeSignature||"4/4",
-            hymnMelody?.bpm||80,
-            hymnMelody?.notes,
-            dropMode!=="off" && hymnMelody?.notes?.length>0,
+            partMelody?.timeSignature||"4/4",
+            partMelody?.bpm||80,
+            partMelody?.notes,
+            mode!=="test" && dropMode!=="off" && partMelody?.notes?.length>0,
             dropMode,
-            dropPoint
+            dropPoint,
+            mode==="test",
+            // Led in any octave, the voice's own range would drop the octave it is sung in
+            octaveMode==="auto"?"auto":partMelody?.voice||"auto",
+            mode==="practice"&&accomp&&voices.length>1?Object.fromEntries(voices.filter(v=>v!==partMelody.voice).map(v=>[v,verseMelody.parts[v]])):null
           )} style={{...mkB(true),padding:"14px 40px",fontSize:15,borderRadius:12}}>
-            {dropMode==="off"?"Begin "+( mode==="test"?"Test":"Practice"):dropMode==="full"?"Play & Sing Along":"Play Lead-in & Sing"}
+            {mode==="test"?"Begin Test":dropMode==="off"?"Begin Practice":dropMode==="full"?"Play & Sing Along":"Play Lead-in & Sing"}
           </button>
         </div>}
 
@@ -988,13 +1400,16 @@ export default function App() {
               <span style={{fontSize:13,fontWeight:600,color:T.dg}}>Recording</span>
               <span style={{fontFamily:"var(--serif)",fontSize:20,color:T.tx,marginLeft:8}}>{Math.floor(el/60)}:{String(el%60).padStart(2,"0")}</span>
             </div>
-            <button onClick={()=>stopRec(V.RES)} style={{padding:"6px 16px",borderRadius:8,border:"1.5px solid #a33b3b",background:"#fff",color:"#a33b3b",fontSize:12,fontWeight:600,cursor:"pointer"}}>■ Stop</button>
+            <button onClick={()=>stopRec(V.RES,null,{source:"hymn",hymnId:hymn.id,number:hymn.number,title:hymn.title,settings:{timeSignature:partMelody?.timeSignature,bpm:partMelody?.bpm,key:partMelody?.key||partMelody?.keySignature,voice:partMelody?.voice,octave:octaveMode,transpose,...(verses>1?{verses:verseRange}:{})}})} style={{padding:"6px 16px",borderRadius:8,border:"1.5px solid #a33b3b",background:"#fff",color:"#a33b3b",fontSize:12,fontWeight:600,cursor:"pointer"}}>{mode==="test"?"■ Finish Test":"■ Stop"}</button>
           </div>
           <div style={{fontSize:12,color:T.tm,marginTop:8}}>
-            {dropMode!=="off" && dropNoteIdx>0
-              ? `Sing from note ${dropNoteIdx+1} onward (${notesAfterDrop} notes graded)`
-              : "Sing the soprano line clearly"}
+            {mode==="test"
+              ? `Give the starting pitch, count off ${countOffBeats(partMelody?.timeSignature||"4/4", pickup)} beats, then lead the hymn${pickup?" from its pickup":""}`
+              : dropMode!=="off" && dropNoteIdx>0
+              ? `Sing from note ${totalNotes-notesAfterDrop+1} onward (${notesAfterDrop} notes graded)`
+              : `Sing the ${partMelody?.voice||"soprano"} line clearly`}
           </div>
+          {mode==="test" && <div style={{fontSize:11,color:T.tl,marginTop:4}}>Finishing before the last phrase fails the test.</div>}
         </div>}
 
         {/* Lead-in playing overlay */}
@@ -1005,37 +1420,78 @@ export default function App() {
           <div style={{fontSize:11,color:T.tl,marginTop:8}}>MIDI drops after note {dropNoteIdx}</div>
         </div>}
 
+        {/* Starting pitch overlay (Leadership Test) */}
+        {givingPitch && <div style={{position:"absolute",inset:0,background:"rgba(250,246,240,0.9)",borderRadius:10,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",backdropFilter:"blur(2px)",zIndex:10}}>
+          <div style={{fontSize:11,color:T.tm,marginBottom:8,fontWeight:600,letterSpacing:"0.1em",textTransform:"uppercase"}}>Starting Pitch</div>
+          <div style={{fontFamily:"var(--serif)",fontSize:32,color:T.ac,lineHeight:1,marginBottom:8}}>🔊</div>
+          <div style={{fontSize:13,color:T.tm}}>Listen — it will not be repeated</div>
+        </div>}
+
         {/* Count-in overlay */}
         {cd!==null && <div style={{position:"absolute",inset:0,background:"rgba(250,246,240,0.9)",borderRadius:10,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",backdropFilter:"blur(2px)",zIndex:10}}>
           <div style={{fontSize:11,color:T.tm,marginBottom:8,fontWeight:600,letterSpacing:"0.1em",textTransform:"uppercase"}}>Count-in</div>
           <div style={{fontFamily:"var(--serif)",fontSize:72,color:T.ac,lineHeight:1}}>{cd}</div>
+          {pickup>0&&<div style={{fontSize:13,color:T.tm,marginTop:8}}>Pickup — {pickupCue(partMelody.timeSignature||"4/4", pickup)}</div>}
         </div>}
       </div>;
     };
     const Res = () => {
       if(!res)return null;
       return <div style={{padding:20}}>
+        {res.test&&<TestCertificate test={res.test} hymn={hymn} bpm={partMelody?.bpm}/>}
         <div style={{...mkC,cursor:"default",display:"flex",justifyContent:"space-around",padding:20}}><Ring s={res.ps} label="Pitch"/><Ring s={res.rs} label="Rhythm"/><Ring s={res.ls} label="Leadership"/></div>
         <div style={{...mkC,cursor:"default",padding:14}}><div style={{fontFamily:"var(--serif)",fontSize:15,marginBottom:10}}>Leadership Breakdown</div>
-          {[{l:"Count-off",s:res.co,w:"30%"},{l:"Tempo Stability",s:res.ts,w:"40%"},{l:"Pitch Stability",s:res.pst,w:"30%"}].map((x,i)=><div key={i} style={{display:"flex",alignItems:"center",gap:10,marginBottom:8}}><div style={{flex:1,fontSize:12,color:T.tm}}>{x.l}</div><div style={{width:100,height:5,borderRadius:3,background:"#e8e0d4",overflow:"hidden"}}><div style={{height:"100%",borderRadius:3,width:`${x.s}%`,background:x.s>=85?"#5c7a5e":x.s>=65?"#b08d3a":"#a33b3b",transition:"width 1s"}}/></div><span style={{fontSize:12,fontWeight:700,width:28,textAlign:"right"}}>{x.s}</span></div>)}
+          {[res.co!=null&&{l:"Count-off",s:res.co,w:"30%"},{l:"Tempo Stability",s:res.ts,w:"40%"},{l:"Pitch Stability",s:res.pst,w:"30%"}].filter(Boolean).map((x,i)=><div key={i} style={{display:"flex",alignItems:"center",gap:10,marginBottom:8}}><div style={{flex:1,fontSize:12,color:T.tm}}>{x.l}</div><div style={{width:100,height:5,borderRadius:3,background:"#e8e0d4",overflow:"hidden"}}><div style={{height:"100%",borderRadius:3,width:`${x.s}%`,background:x.s>=85?"#5c7a5e":x.s>=65?"#b08d3a":"#a33b3b",transition:"width 1s"}}/></div><span style={{fontSize:12,fontWeight:700,width:28,textAlign:"right"}}>{x.s}</span></div>)}
+          {res.countOff&&<div style={{fontSize:11,color:T.tm,marginTop:4,lineHeight:1.6}}>
+            Count-off: pitch {res.countOff.centsOff>0?"+":""}{res.countOff.centsOff}¢ ({res.countOff.pitchScore}) · {res.countOff.beatsCounted} beats, evenness {res.countOff.evennessScore} · {res.countOff.impliedBpm?`${res.countOff.impliedBpm} BPM implied (${res.countOff.tempoScore})`:"tempo not established"}
+          </div>}
+          {res.co==null&&<div style={{fontSize:11,color:T.tl,marginTop:4}}>Count-off is graded in the Leadership Test.</div>}
         </div>
-        <div style={{...mkC,cursor:"default",padding:14}}><TempLine data={res.tt}/></div>
+        <div style={{...mkC,cursor:"default",padding:14}}><TempoSummary tempo={res._raw.tempo} verses={res._raw.verseTempos}/><TempLine data={res.tt} target={res._raw.tempo?.targetBpm}/></div>
+        {res._raw.noteEvents?.length>0&&<div style={{...mkC,cursor:"default",padding:14}}><HeldNotes raw={res._raw}/></div>}
+        {res._raw.pitchTrace?.length>0&&<div style={{...mkC,cursor:"default",padding:14}}><div style={{fontFamily:"var(--serif)",fontSize:15,marginBottom:4}}>Pitch Trace</div><div style={{fontSize:11,color:T.tm,marginBottom:10}}>Your voice over the written notes{res._raw.octaveOffset?` (shown ${res._raw.octaveOffset<0?"down":"up"} ${Math.abs(res._raw.octaveOffset)===1?"an octave":`${Math.abs(res._raw.octaveOffset)} octaves`}, where you sang)`:""} — look for scoops into notes, wobbles and drift.</div><PitchTraceReview trace={res._raw.pitchTrace} noteByNote={res._raw.noteByNote}/></div>}
         <div style={{...mkC,cursor:"default",padding:14}}><div style={{fontFamily:"var(--serif)",fontSize:15,marginBottom:10}}>Feedback</div>{res.diag.map((d,i)=><div key={i} style={{display:"flex",gap:8,marginBottom:6,padding:"6px 10px",background:T.wl,borderRadius:6}}><span>💡</span><span style={{fontSize:12,color:"#6b5c36",lineHeight:1.5}}>{d}</span></div>)}</div>
-        <div style={{display:"flex",gap:10,marginTop:16,justifyContent:"center"}}><button onClick={()=>{setRes(null);setVw(V.PRAC);}} style={mkB(true)}>Retry</button><button onClick={goHome} style={mkB(false)}>Home</button></div>
+        <div style={{display:"flex",gap:10,marginTop:16,justifyContent:"center"}}><button onClick={()=>{setRes(null);setVw(V.PRAC);}} style={mkB(true)}>{res.test?"Retake Test":"Retry"}</button><button onClick={()=>openHistory(`hymn:${hymn.id}`)} style={mkB(false)}>History</button><button onClick={goHome} style={mkB(false)}>Home</button></div>
       </div>;
     };
     const sliderCss = `input[type=range]::-webkit-slider-thumb{appearance:none;width:20px;height:20px;border-radius:50%;background:#5c7a5e;cursor:pointer;border:2px solid #fff;box-shadow:0 1px 4px rgba(0,0,0,.2)}input[type=range]::-moz-range-thumb{width:20px;height:20px;border-radius:50%;background:#5c7a5e;cursor:pointer;border:2px solid #fff}`;
     return <><style>{css}{sliderCss}</style><div style={{display:"flex",minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}>
-      {sheet&&<div style={{width:"50%",minWidth:280,maxWidth:540,borderRight:"1px solid #d4cfc5",display:"flex",flexDirection:"column",background:"#f5f1ea",height:"100vh",position:"sticky",top:0}}>
+      {sheet&&mode==="practice"&&<div style={{width:"50%",minWidth:280,maxWidth:540,borderRight:"1px solid #d4cfc5",display:"flex",flexDirection:"column",background:"#f5f1ea",height:"100vh",position:"sticky",top:0}}>
         <div style={{padding:"10px 12px",borderBottom:"1px solid #d4cfc5",display:"flex",alignItems:"center",justifyContent:"space-between"}}><span style={{fontFamily:"var(--serif)",fontSize:14}}>p.{hymn.pages[0]}</span><button onClick={()=>setSheet(false)} style={{...tbS,fontSize:12}}>✕</button></div>
         <SheetViewer hymn={hymn}/>
       </div>}
       <div style={{flex:1,minWidth:300,overflowY:"auto",maxHeight:"100vh"}}>
         <div style={{padding:"16px 20px 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10}}>
-          <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={()=>goBack(V.HYMNS)}>←</button>
-          <div style={{flex:1}}><div style={{fontFamily:"var(--serif)",fontSize:18}}>#{hymn.number} — {hymn.title}</div></div>
-          {!sheet&&<button onClick={()=>setSheet(true)} style={{...mkB(false),padding:"6px 12px",fontSize:11}}>🎵</button>}
+          <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={()=>goBack(hymn.melody?V.HOME:V.HYMNS)}>←</button>
+          <div style={{flex:1}}><div style={{fontFamily:"var(--serif)",fontSize:18}}>{hymnLabel(hymn)}</div></div>
+          {!sheet&&mode==="practice"&&hymn.images?.length>0&&<button onClick={()=>setSheet(true)} style={{...mkB(false),padding:"6px 12px",fontSize:11}}>🎵</button>}
         </div>
+        {/* Notation for hymns with melody data — outside Ctrl so it stays mounted while the cursor follows along */}
+        {vw===V.PRAC && partMelody?.notes?.length > 0 && mode==="practice" && <div style={{padding:"16px 20px 0"}}>
+          {/* Live pitch against the part, while it plays and while singing */}
+          {followStart!=null && <div style={{marginBottom:10,overflowX:"auto"}}>
+            <PitchVisualizer
+              pitchData={currentPitch}
+              melody={partMelody.notes}
+              bpm={partMelody.bpm || 80}
+              timeSignature={partMelody.timeSignature || '4/4'}
+              startTime={followStart}
+              width={460}
+              height={200}
+            />
+          </div>}
+          <div style={{maxHeight:followStart!=null?260:"none",overflowY:"auto"}}>
+            <NotationDisplay
+              notes={passNotes}
+              timeSignature={partMelody.timeSignature || '4/4'}
+              keySignature={partMelody.keySignature || 'C'}
+              clef={clefForVoice(partMelody.voice)}
+              lyrics={verseLyrics}
+              structure={keyedMelody.structure}
+              currentNote={followNote<0?-1:partMelody.notes[followNote]?.writtenIndex??followNote%passNotes.length}
+            />
+          </div>
+        </div>}
         {vw===V.PRAC?<Ctrl/>:<Res/>}
       </div>
     </div></>;
@@ -1043,62 +1499,79 @@ export default function App() {
 
   // ─── GENERATED EXERCISE PRACTICE ──────────────────────────
   if (vw===V.GEN_PRAC||vw===V.GEN_RES) {
-    const Ctrl = () => {
-      // Always show the note display; overlay count-in or recording status on top
-      return <div style={{padding:20}}>
-        {/* Exercise info */}
-        <div style={{display:"flex",gap:8,marginBottom:14,flexWrap:"wrap"}}>
-          <span style={mkTag("blue")}>{genTS}</span>
-          <span style={mkTag("amber")}>♩ = {genBPM}</span>
-          <span style={mkTag("green")}>Key of {genActualKey}</span>
-          <span style={mkTag("rose")}>{genMeasures} measures · {genNotes?.length||0} notes</span>
-        </div>
+    // Exercise info and score stay mounted outside Ctrl so the follow-along
+    // cursor moves without redrawing the notation
+    const score = <>
+      {/* Exercise info */}
+      <div style={{display:"flex",gap:8,marginBottom:14,flexWrap:"wrap"}}>
+        <span style={mkTag("blue")}>{genTS}</span>
+        <span style={mkTag("amber")}>♩ = {genBPM}</span>
+        <span style={mkTag("green")}>Key of {genActualKey}</span>
+        <span style={mkTag("rose")}>{genMeasures} measures · {genNotes?.length||0} notes</span>
+      </div>
 
-        {/* Note display — always visible */}
-        {genNotes && <div style={{position:"relative",marginBottom:16}}>
+      {/* Note display — always visible */}
+      {genNotes && <div style={{position:"relative",marginBottom:16}}>
+        {/* Recording bar — stays in view above the notes while the page follows along */}
+        {rec && <div style={{position:"sticky",top:0,marginBottom:8,background:"rgba(250,246,240,0.95)",borderRadius:10,padding:"12px 14px",backdropFilter:"blur(2px)",zIndex:10,pointerEvents:"auto"}}>
+          <div style={{display:"flex",alignItems:"center",justifyContent:"space-between"}}>
+            <div style={{display:"flex",alignItems:"center",gap:8}}>
+              <span style={{display:"inline-block",width:10,height:10,borderRadius:"50%",background:"#c0494f",animation:"pulse 1.2s infinite"}}/>
+              <span style={{fontSize:13,fontWeight:600,color:T.dg}}>Recording</span>
+              <span style={{fontFamily:"var(--serif)",fontSize:18,color:T.tx,marginLeft:8}}>{Math.floor(el/60)}:{String(el%60).padStart(2,"0")}</span>
+            </div>
+            <button
+              onClick={()=>stopRec(V.GEN_RES,genNotesRef.current,{source:"generated",title:"Generated exercise",settings:{timeSignature:genTS,bpm:genBPM,key:genActualKey,measures:genMeasures,octave:genOctave,syllables:genSyllables,melisma:genMelisma}})}
+              style={{padding:"14px 32px",borderRadius:10,border:"3px solid #fff",background:"#a33b3b",color:"#fff",fontSize:16,fontWeight:700,cursor:"pointer",zIndex:9999,boxShadow:"0 4px 16px rgba(163,59,59,0.5)",position:"relative"}}
+            >■ STOP</button>
+          </div>
+          {/* Real-time pitch display */}
+          <div style={{display:"flex",alignItems:"center",justifyContent:"center",gap:12,marginTop:8,padding:"6px 12px",background:"#fff",borderRadius:6,border:"1px solid #e8e0d4"}}>
+            <span style={{fontSize:11,color:T.tm,fontWeight:600}}>Detected:</span>
+            {currentPitch ? (
+              <>
+                <span style={{fontFamily:"var(--serif)",fontSize:20,fontWeight:700,color:T.ac,minWidth:40}}>{currentPitch.noteName}</span>
+                <span style={{fontSize:11,color:currentPitch.cents > 10 ? "#b08d3a" : currentPitch.cents < -10 ? "#a33b3b" : "#5c7a5e"}}>
+                  {currentPitch.cents > 0 ? "+" : ""}{currentPitch.cents} cents
+                </span>
+                <span style={{fontSize:10,color:T.tm}}>{Math.round(currentPitch.frequency)} Hz</span>
+              </>
+            ) : (
+              <span style={{fontSize:12,color:T.tm,fontStyle:"italic"}}>Listening...</span>
+            )}
+          </div>
+        </div>}
+        {/* Live pitch against the exercise while singing */}
+        {rec && followStart!=null && <div style={{marginBottom:8,overflowX:"auto"}}>
+          <PitchVisualizer
+            pitchData={currentPitch}
+            melody={genNotes}
+            bpm={genBPM}
+            timeSignature={genTS}
+            startTime={followStart}
+            width={520}
+            height={200}
+          />
+        </div>}
+        <div style={{maxHeight:followStart!=null?260:"none",overflowY:"auto"}}>
           <NotationDisplay
             notes={genNotes}
             timeSignature={genTS}
             keySignature={genActualKey}
-            currentNote={-1}
+            lyrics={genLyricLines}
+            currentNote={followNote}
           />
-          {/* Count-in overlay */}
-          {cd!==null && <div style={{position:"absolute",inset:0,background:"rgba(250,246,240,0.88)",borderRadius:10,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",backdropFilter:"blur(2px)"}}>
-            <div style={{fontSize:11,color:T.tm,marginBottom:8,fontWeight:600,letterSpacing:"0.1em",textTransform:"uppercase"}}>Count-in ({genTS})</div>
-            <div style={{fontFamily:"var(--serif)",fontSize:72,color:T.ac,lineHeight:1}}>{cd}</div>
-            <div style={{fontSize:13,color:T.tm,marginTop:8}}>{genBPM} BPM</div>
-          </div>}
-          {/* Recording overlay — lighter, notes still visible */}
-          {rec && <div style={{position:"absolute",top:0,left:0,right:0,background:"rgba(250,246,240,0.95)",borderRadius:"10px 10px 0 0",padding:"12px 14px",backdropFilter:"blur(2px)",zIndex:10,pointerEvents:"auto"}}>
-            <div style={{display:"flex",alignItems:"center",justifyContent:"space-between"}}>
-              <div style={{display:"flex",alignItems:"center",gap:8}}>
-                <span style={{display:"inline-block",width:10,height:10,borderRadius:"50%",background:"#c0494f",animation:"pulse 1.2s infinite"}}/>
-                <span style={{fontSize:13,fontWeight:600,color:T.dg}}>Recording</span>
-                <span style={{fontFamily:"var(--serif)",fontSize:18,color:T.tx,marginLeft:8}}>{Math.floor(el/60)}:{String(el%60).padStart(2,"0")}</span>
-              </div>
-              <button
-                onClick={()=>stopRec(V.GEN_RES,genNotesRef.current)}
-                style={{padding:"14px 32px",borderRadius:10,border:"3px solid #fff",background:"#a33b3b",color:"#fff",fontSize:16,fontWeight:700,cursor:"pointer",zIndex:9999,boxShadow:"0 4px 16px rgba(163,59,59,0.5)",position:"relative"}}
-              >■ STOP</button>
-            </div>
-            {/* Real-time pitch display */}
-            <div style={{display:"flex",alignItems:"center",justifyContent:"center",gap:12,marginTop:8,padding:"6px 12px",background:"#fff",borderRadius:6,border:"1px solid #e8e0d4"}}>
-              <span style={{fontSize:11,color:T.tm,fontWeight:600}}>Detected:</span>
-              {currentPitch ? (
-                <>
-                  <span style={{fontFamily:"var(--serif)",fontSize:20,fontWeight:700,color:T.ac,minWidth:40}}>{currentPitch.noteName}</span>
-                  <span style={{fontSize:11,color:currentPitch.cents > 10 ? "#b08d3a" : currentPitch.cents < -10 ? "#a33b3b" : "#5c7a5e"}}>
-                    {currentPitch.cents > 0 ? "+" : ""}{currentPitch.cents} cents
-                  </span>
-                  <span style={{fontSize:10,color:T.tm}}>{Math.round(currentPitch.frequency)} Hz</span>
-                </>
-              ) : (
-                <span style={{fontSize:12,color:T.tm,fontStyle:"italic"}}>Listening...</span>
-              )}
-            </div>
-          </div>}
+        </div>
+        {/* Count-in overlay */}
+        {cd!==null && <div style={{position:"absolute",inset:0,background:"rgba(250,246,240,0.88)",borderRadius:10,display:"flex",flexDirection:"column",alignItems:"center",justifyContent:"center",backdropFilter:"blur(2px)"}}>
+          <div style={{fontSize:11,color:T.tm,marginBottom:8,fontWeight:600,letterSpacing:"0.1em",textTransform:"uppercase"}}>Count-in ({genTS})</div>
+          <div style={{fontFamily:"var(--serif)",fontSize:72,color:T.ac,lineHeight:1}}>{cd}</div>
+          <div style={{fontSize:13,color:T.tm,marginTop:8}}>{genBPM} BPM</div>
         </div>}
-
+      </div>}
+    </>;
+    const Ctrl = () => {
+      return <div style={{padding:"0 20px 20px"}}>
         {/* Controls — hidden during recording */}
         {!rec && cd===null && <>
           {/* Microphone error display */}
@@ -1127,6 +1600,7 @@ export default function App() {
               <button onClick={()=>{if(melodyPlaying){stopMelody();return;}playMelodyAudio();}} style={{width:34,height:34,borderRadius:"50%",border:`1px solid ${melodyPlaying?"#a33b3b":"#d4cfc5"}`,background:"#fff",fontSize:15,cursor:"pointer",display:"flex",alignItems:"center",justifyContent:"center",color:melodyPlaying?"#a33b3b":"inherit"}}>{melodyPlaying?"■":"▶"}</button>
             </div>
           </div>
+          <div style={{marginBottom:12}}>{soundRow()}</div>
 
           {/* Microphone Test Panel */}
           <div style={{marginBottom:16,...mkC,cursor:"default",padding:14,background:micTesting?"#f0f8f0":T.card,border:micTesting?"1.5px solid #5c7a5e":"1px solid #e8e0d4",transition:"all .3s"}}>
@@ -1167,8 +1641,10 @@ export default function App() {
       return <div style={{padding:20}}>
         <div style={{display:"flex",gap:8,marginBottom:14,flexWrap:"wrap"}}><span style={mkTag("blue")}>{genTS}</span><span style={mkTag("amber")}>♩ = {genBPM}</span><span style={mkTag("green")}>Key of {genActualKey}</span></div>
         <div style={{...mkC,cursor:"default",display:"flex",justifyContent:"space-around",padding:20}}><Ring s={res.ps} label="Pitch"/><Ring s={res.rs} label="Rhythm"/></div>
-        {genNotes&&<div style={{...mkC,cursor:"default",padding:14}}><NotationDisplay notes={genNotes} timeSignature={genTS} keySignature={genActualKey} currentNote={-1}/></div>}
-        <div style={{...mkC,cursor:"default",padding:14}}><TempLine data={res.tt}/></div>
+        {genNotes&&<div style={{...mkC,cursor:"default",padding:14}}><NotationDisplay notes={genNotes} timeSignature={genTS} keySignature={genActualKey} lyrics={genLyricLines} currentNote={-1}/></div>}
+        <div style={{...mkC,cursor:"default",padding:14}}><TempoSummary tempo={res._raw.tempo} verses={res._raw.verseTempos}/><TempLine data={res.tt} target={res._raw.tempo?.targetBpm}/></div>
+        {res._raw.noteEvents?.length>0&&<div style={{...mkC,cursor:"default",padding:14}}><HeldNotes raw={res._raw}/></div>}
+        {res._raw.pitchTrace?.length>0&&<div style={{...mkC,cursor:"default",padding:14}}><div style={{fontFamily:"var(--serif)",fontSize:15,marginBottom:4}}>Pitch Trace</div><div style={{fontSize:11,color:T.tm,marginBottom:10}}>Your voice over the written notes{res._raw.octaveOffset?` (shown ${res._raw.octaveOffset<0?"down":"up"} ${Math.abs(res._raw.octaveOffset)===1?"an octave":`${Math.abs(res._raw.octaveOffset)} octaves`}, where you sang)`:""} — look for scoops into notes, wobbles and drift.</div><PitchTraceReview trace={res._raw.pitchTrace} noteByNote={res._raw.noteByNote}/></div>}
         <div style={{...mkC,cursor:"default",padding:14}}><div style={{fontFamily:"var(--serif)",fontSize:15,marginBottom:10}}>Feedback</div>{res.diag.map((d,i)=><div key={i} style={{display:"flex",gap:8,marginBottom:6,padding:"6px 10px",background:T.wl,borderRadius:6}}><span>💡</span><span style={{fontSize:12,color:"#6b5c36",lineHeight:1.5}}>{d}</span></div>)}</div>
 
         {/* Debug Panel */}
@@ -1185,6 +1661,7 @@ export default function App() {
               <div>• Match rate: {raw.summary?.totalNotes ? Math.round((raw.summary.matchedNotes / raw.summary.totalNotes) * 100) : 0}%</div>
               <div>• Avg cents off: {raw.summary?.avgCentsOff || 0}</div>
               <div>• Avg timing off: {raw.summary?.avgTimingOff || 0}ms</div>
+              <div>• Sung notes: {raw.noteEvents?.length || 0} ({raw.summary?.extraNotes || 0} extra, {raw.summary?.missingNotes || 0} not sung, {raw.summary?.cutOffNotes || 0} cut short)</div>
               <div style={{marginTop:8}}><strong>Note-by-Note:</strong></div>
               <div style={{maxHeight:200,overflow:"auto",background:"#fff",padding:8,borderRadius:4,marginTop:4}}>
                 {raw.noteByNote?.map((n, i) => (
@@ -1202,6 +1679,7 @@ export default function App() {
                       Expected: {n.expected?.midi} |
                       Got: {n.detectedMidi ?? 'none'} |
                       {n.matched ? `✓ ${n.centsOff > 0 ? '+' : ''}${n.centsOff}¢` : '✗ missed'}
+                      {n.heldRatio != null && ` | held ${Math.round(n.heldRatio * 100)}%`}
                     </span>
                   </div>
                 )) || <div>No note data</div>}
@@ -1214,6 +1692,7 @@ export default function App() {
           <button onClick={()=>{setRes(null);setVw(V.GEN_PRAC);}} style={mkB(true)}>Retry</button>
           <button onClick={()=>{setRes(null);doGenerate();setVw(V.GEN_PRAC);}} style={mkB(false)}>Regenerate</button>
           <button onClick={()=>goBack(V.GEN)} style={mkB(false)}>Settings</button>
+          <button onClick={()=>openHistory("generated")} style={mkB(false)}>History</button>
           <button onClick={goHome} style={mkB(false)}>Home</button>
         </div>
       </div>;
@@ -1223,6 +1702,7 @@ export default function App() {
         <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={()=>goBack(V.GEN)}>←</button>
         <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Generated Exercise</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>{genTS} · {genBPM} BPM · {genActualKey} major</div></div>
       </div>
+      {vw===V.GEN_PRAC&&<div style={{padding:"20px 20px 0"}}>{score}</div>}
       {vw===V.GEN_PRAC?<Ctrl/>:<Res/>}
     </div></div></>;
   }
@@ -1246,6 +1726,16 @@ export default function App() {
             <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
           </div>
         </div>
+        <label style={{...mkC,display:"block",...(xmlStatus?.over?{borderColor:T.ac,background:"#e8f0e8"}:{})}} onMouseEnter={hov} onMouseLeave={uhov}
+          onDragOver={e=>{e.preventDefault();if(!xmlStatus?.over)setXmlStatus({over:true});}} onDragLeave={()=>setXmlStatus(null)}
+          onDrop={e=>{e.preventDefault();openMusicXml(e.dataTransfer.files[0]);}}>
+          <input type="file" accept=".musicxml,.xml,.mxl" style={{display:"none"}} onChange={e=>{openMusicXml(e.target.files[0]);e.target.value="";}}/>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>📄</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Open MusicXML</div><div style={{fontSize:12,color:xmlStatus?.error?T.dg:T.tm}}>{xmlStatus?.busy?"Reading score…":xmlStatus?.error||"Drop a .musicxml or .mxl score here, or click to choose one"}</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </label>
         <div style={mkC} onClick={()=>setVw(V.GEN)} onMouseEnter={hov} onMouseLeave={uhov}>
           <div style={{display:"flex",alignItems:"center",gap:14}}>
             <span style={{fontSize:26}}>🎵</span>
@@ -1253,6 +1743,41 @@ export default function App() {
             <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
           </div>
         </div>
+        <div style={mkC} onClick={()=>openHistory()} onMouseEnter={hov} onMouseLeave={uhov}>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>📈</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Practice History</div><div style={{fontSize:12,color:T.tm}}>Pitch, rhythm and leadership scores over time</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </div>
+        <div style={mkC} onClick={()=>setVw(V.EDITOR)} onMouseEnter={hov} onMouseLeave={uhov}>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>✏️</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Melody Editor</div><div style={{fontSize:12,color:T.tm}}>Enter a hymn's melody and lyrics and export its JSON</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </div>
+        <div style={mkC} onClick={()=>openPitchDrill()} onMouseEnter={hov} onMouseLeave={uhov}>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>🎯</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Starting Pitch</div><div style={{fontSize:12,color:T.tm}}>Find a hymn's first note from memory, then check it</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </div>
+        <div style={mkC} onClick={()=>{stopMelody();setVw(V.INTERVAL_DRILL);}} onMouseEnter={hov} onMouseLeave={uhov}>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>👂</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Interval Drill</div><div style={{fontSize:12,color:T.tm}}>Sing intervals and scale degrees from a reference note</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </div>
+        <div style={mkC} onClick={()=>setVw(V.OFFLINE)} onMouseEnter={hov} onMouseLeave={uhov}>
+          <div style={{display:"flex",alignItems:"center",gap:14}}>
+            <span style={{fontSize:26}}>📥</span>
+            <div><div style={{fontWeight:600,fontSize:14,marginBottom:2}}>Offline Hymns</div><div style={{fontSize:12,color:T.tm}}>{offlineIds.size?`${offlineIds.size} hymns kept for singings without signal`:"Keep hymns for singings without signal"}</div></div>
+            <span style={{marginLeft:"auto",color:T.tl,fontSize:16}}>›</span>
+          </div>
+        </div>
       </div>
 
       {/* Microphone Test Panel */}
@@ -1273,13 +1798,15 @@ export default function App() {
 
         {/* Expanded pitch display when testing - Canvas-based for 60fps */}
         {micTesting && (
-          <div style={{marginTop:16,display:"flex",justifyContent:"center"}}>
+          <div style={{marginTop:16,display:"flex",flexDirection:"column",alignItems:"center",gap:8}}>
+            <div style={{display:"flex",gap:6}}>{[["meter","Meter"],["trace","Trace"]].map(([m,label])=><button key={m} onClick={()=>setVizMode(m)} style={{padding:"5px 12px",borderRadius:6,border:`1.5px solid ${vizMode===m?T.ac:T.cb}`,background:vizMode===m?"#e8f0e8":T.card,color:vizMode===m?T.ad:T.tm,fontSize:11,fontWeight:600,cursor:"pointer"}}>{label}</button>)}</div>
             <PitchVisualizer
               pitchData={currentPitch}
               width={340}
               height={280}
               midiMin={36}
               midiMax={67}
+              mode={vizMode}
             />
           </div>
         )}
@@ -1301,6 +1828,65 @@ export default function App() {
     </div></div></>;
   }
 
+  // ═══════════════════ PRACTICE HISTORY ═════════════════════
+  if (vw===V.HISTORY) {
+    return <><style>{css}</style><div style={{minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}><div style={{maxWidth:540,margin:"0 auto",padding:"0 20px 40px"}}>
+      <div style={{padding:"20px 0 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10,marginBottom:14}}>
+        <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={goHome}>←</button>
+        <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Practice History</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>{history.length} graded attempts</div></div>
+      </div>
+      <HistoryView key={historyFilter} attempts={history} initialFilter={historyFilter} onClear={async()=>{if(!window.confirm("Delete all practice history?"))return;try{await clearHistory();setHistory([]);}catch(e){console.warn("Could not clear history:",e);}}}/>
+    </div></div></>;
+  }
+
+  // ═══════════════════ MELODY EDITOR ════════════════════════
+  if (vw===V.EDITOR) {
+    return <><style>{css}</style><div style={{minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}><div style={{maxWidth:720,margin:"0 auto",padding:"0 20px 40px"}}>
+      <div style={{padding:"20px 0 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10,marginBottom:14}}>
+        <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={()=>hymn?goBack(V.PRAC):goHome()}>←</button>
+        <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Melody Editor</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>{hymn?hymnLabel(hymn):"Transcribe a hymn melody"}</div></div>
+      </div>
+      <MelodyEditor
+        key={hymn?.id ?? "new"}
+        hymn={hymn}
+        hymnIndex={hymnIndex}
+        initialMelody={hymn ? hymnMelody : null}
+        onPractice={hymn ? melody=>{setHymnMelody({...melody,source:"draft"});setMode("practice");setVw(V.PRAC);} : null}
+      />
+    </div></div></>;
+  }
+
+  // ═══════════════════ OFFLINE HYMNS ════════════════════════
+  if (vw===V.OFFLINE) {
+    return <><style>{css}</style><div style={{minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}><div style={{maxWidth:540,margin:"0 auto",padding:"0 20px 40px"}}>
+      <div style={{padding:"20px 0 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10,marginBottom:14}}>
+        <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={goHome}>←</button>
+        <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Offline Hymns</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>Download for singings without signal</div></div>
+      </div>
+      <OfflineManager hymns={hymnIndex} onChange={setOfflineIds}/>
+    </div></div></>;
+  }
+
+  if (vw===V.PITCH_DRILL) {
+    return <><style>{css}</style><div style={{minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}><div style={{maxWidth:540,margin:"0 auto",padding:"0 20px 40px"}}>
+      <div style={{padding:"20px 0 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10,marginBottom:14}}>
+        <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={()=>drillPrompt&&hymn?setVw(V.PRAC):goHome()}>←</button>
+        <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Starting Pitch</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>Find the first note without an instrument</div></div>
+      </div>
+      <StartingPitchDrill key={drillPrompt?.hymnId ?? "random"} hymnPrompt={drillPrompt} playNote={playNote}/>
+    </div></div></>;
+  }
+
+  if (vw===V.INTERVAL_DRILL) {
+    return <><style>{css}</style><div style={{minHeight:"100vh",background:T.bg,fontFamily:"var(--sans)",color:T.tx}}><div style={{maxWidth:540,margin:"0 auto",padding:"0 20px 40px"}}>
+      <div style={{padding:"20px 0 12px",borderBottom:`1px solid ${T.cb}`,display:"flex",alignItems:"center",gap:10,marginBottom:14}}>
+        <button style={{background:"none",border:"none",cursor:"pointer",fontSize:18,color:T.tm}} onClick={goHome}>←</button>
+        <div><div style={{fontFamily:"var(--serif)",fontSize:18}}>Interval Drill</div><div style={{fontSize:10,color:T.tm,letterSpacing:"0.06em",textTransform:"uppercase",fontWeight:500}}>Hear one note, sing the next</div></div>
+      </div>
+      <IntervalDrill playNote={playNote}/>
+    </div></div></>;
+  }
+
   // ═══════════════════ HYMN SELECT ══════════════════════════
   if (vw===V.HYMNS) {
     const q=search.toLowerCase();
@@ -1314,7 +1900,7 @@ export default function App() {
       <div style={{display:"flex",flexDirection:"column",gap:8,animation:"fadeUp .4s"}}>
         {fl.length===0&&<div style={{textAlign:"center",padding:32,color:T.tm}}>No hymns match "{search}"</div>}
         {fl.map(h=><div key={h.id} style={mkC} onClick={()=>{setHymn(h);setSheet(true);setVw(V.PRAC);}} onMouseEnter={hov} onMouseLeave={uhov}>
-          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}><div><div style={{fontWeight:600,fontSize:14}}>#{h.number} — {h.title}</div><div style={{fontSize:11,color:T.tm}}>{h.images.length} pg · p.{h.pages[0]}</div></div><span style={{color:T.tl}}>›</span></div>
+          <div style={{display:"flex",justifyContent:"space-between",alignItems:"center"}}><div><div style={{fontWeight:600,fontSize:14}}>#{h.number} — {h.title}</div><div style={{fontSize:11,color:T.tm}}>{h.images.length} pg · p.{h.pages[0]}{offlineIds.has(h.id)&&<span style={{color:T.ac}}> · ✓ offline</span>}</div></div><span style={{color:T.tl}}>›</span></div>
         </div>)}
       </div>
     </div></div></>;
@@ -0,0 +1,154 @@
+/**
+ * Performance Aligner
+ *
+ * Dynamic time warping between the sung pitch frames and the reference
+ * melody. Every voiced frame is assigned to one note, in order, so a singer
+ * who comes in late or slows down is still followed note by note instead of
+ * drifting out of fixed timing windows.
+ *
+ * Costs along a path:
+ * - pitch, per frame: semitones from the written note, capped at one — beyond
+ *   that a frame is simply wrong, and timing decides where it belongs
+ * - duration, per note: how far the note's length (onset to next onset)
+ *   strays from its written length at the tempo the singer has set so far.
+ *   This keeps repeated same-pitch notes in proportion without tying the
+ *   singer to the printed clock. A fermata may be held as long as the leader
+ *   likes; only cutting it shorter than written costs.
+ * - time, per frame: a broad band around the printed timing that only rules
+ *   out absurd alignments; it widens through the piece
+ * - moving to the next note is free at a detected onset or after a silence and
+ *   costs a little mid-phrase; skipping a note (not sung) costs more
+ */
+
+import { FERMATA_HOLD } from './melody-format.js';
+
+const DEFAULTS = {
+  maxPitchCost: 1,         // semitones
+  durationWeight: 3,       // per note, times the squared log of actual / expected length
+  timeToleranceMs: 1500,   // printed-timing band at the start of the melody...
+  timeToleranceRate: 0.25, // ...plus this fraction of the elapsed expected time
+  advanceCost: 0.8,        // moving to the next note mid-phrase
+  skipCost: 1.5,           // per note skipped entirely
+  maxSkip: 2,              // notes that may be skipped in one step
+  gapMs: 60,               // a silence this long is a natural note boundary
+  minTempoSpanMs: 1500,    // sung time needed before the singer's tempo is trusted
+  frameMs: 100             // per-frame costs are weighted by duration, in units of this
+};
+
+// Backpointer steps: 0 = stay on the note, k = came from k notes back
+const STAY = 0;
+
+/**
+ * Align detected pitch frames to the expected notes.
+ *
+ * @param {Array} detectedPitches - [{ timestamp, midi, onset?, ... }] voiced frames, in time order
+ * @param {Array} expectedNotes - From buildExpectedTiming
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {Array} One entry per expected note: { frames, start, end } or null when the note was skipped
+ */
+export function alignPitchesToNotes(detectedPitches, expectedNotes, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const frames = detectedPitches.filter(p => p.midi != null);
+  const F = frames.length;
+  const N = expectedNotes.length;
+  if (!F || !N) return expectedNotes.map(() => null);
+
+  const frameCost = (i, j) => {
+    const f = frames[i];
+    const n = expectedNotes[j];
+    const pitch = Math.min(Math.abs(f.midi - n.midi), opts.maxPitchCost);
+    const tolerance = opts.timeToleranceMs + opts.timeToleranceRate * n.expectedStart;
+    const distance = Math.max(0, n.expectedStart - f.timestamp, f.timestamp - (n.expectedStart + n.expectedDuration));
+    const time = (distance / tolerance) ** 2;
+    // Weight by the time the frame covers so costs don't depend on the frame rate
+    const dt = i + 1 < F ? Math.min(frames[i + 1].timestamp - f.timestamp, opts.gapMs) : opts.gapMs / 2;
+    return (pitch + time) * dt / opts.frameMs;
+  };
+
+  const isBoundary = i => i === 0 || frames[i].onset || frames[i].timestamp - frames[i - 1].timestamp > opts.gapMs;
+
+  // Length of note `from` (and any skipped after it) ending at time t, against
+  // the written length scaled to the tempo of the path so far
+  const durationCost = (from, to, entry, pathStart, pathStartExpected, t) => {
+    const written = expectedNotes[to].expectedStart - expectedNotes[from].expectedStart;
+    const sungSpan = entry - pathStart;
+    const writtenSpan = expectedNotes[from].expectedStart - pathStartExpected;
+    const tempo = sungSpan >= opts.minTempoSpanMs && writtenSpan > 0 ? sungSpan / writtenSpan : 1;
+    let ratio = Math.max(t - entry, 1) / (written * tempo);
+    if (expectedNotes[from].fermata) ratio = Math.min(1, ratio * FERMATA_HOLD);
+    return opts.durationWeight * Math.log(ratio) ** 2;
+  };
+
+  // Per note: path cost, current note's entry time, and where the path began
+  let cost = new Float64Array(N), nextCost = new Float64Array(N);
+  let entry = new Float64Array(N), nextEntry = new Float64Array(N);
+  let start = new Float64Array(N), nextStart = new Float64Array(N);
+  let startExp = new Float64Array(N), nextStartExp = new Float64Array(N);
+  const steps = new Uint8Array(F * N);
+
+  // The first frame may land on any note, skipping the ones before it
+  for (let j = 0; j < N; j++) {
+    cost[j] = frameCost(0, j) + j * opts.skipCost;
+    entry[j] = start[j] = frames[0].timestamp;
+    startExp[j] = expectedNotes[j].expectedStart;
+  }
+
+  for (let i = 1; i < F; i++) {
+    const t = frames[i].timestamp;
+    const advance = isBoundary(i) ? 0 : opts.advanceCost;
+    for (let j = 0; j < N; j++) {
+      let best = cost[j];
+      let step = STAY;
+      for (let k = 1; k <= opts.maxSkip + 1 && k <= j; k++) {
+        const from = j - k;
+        const c = cost[from] + advance + (k - 1) * opts.skipCost +
+          durationCost(from, j, entry[from], start[from], startExp[from], t);
+        if (c < best) {
+          best = c;
+          step = k;
+        }
+      }
+      const from = j - step;
+      nextCost[j] = best + frameCost(i, j);
+      nextEntry[j] = step === STAY ? entry[j] : t;
+      nextStart[j] = start[from];
+      nextStartExp[j] = startExp[from];
+      steps[i * N + j] = step;
+    }
+    [cost, nextCost] = [nextCost, cost];
+    [entry, nextEntry] = [nextEntry, entry];
+    [start, nextStart] = [nextStart, start];
+    [startExp, nextStartExp] = [nextStartExp, startExp];
+  }
+
+  // Notes after the last frame's note were not sung
+  let j = 0;
+  let bestEnd = Infinity;
+  for (let k = 0; k < N; k++) {
+    const c = cost[k] + (N - 1 - k) * opts.skipCost;
+    if (c < bestEnd) {
+      bestEnd = c;
+      j = k;
+    }
+  }
+
+  // Trace back: note index for every frame
+  const noteOf = new Int32Array(F);
+  for (let i = F - 1; i >= 0; i--) {
+    noteOf[i] = j;
+    if (i > 0) j -= steps[i * N + j];
+  }
+
+  const segments = expectedNotes.map(() => null);
+  for (let i = 0; i < F; i++) {
+    const seg = segments[noteOf[i]] || (segments[noteOf[i]] = { frames: [] });
+    seg.frames.push(frames[i]);
+  }
+  return segments.map(seg => seg && {
+    frames: seg.frames,
+    start: seg.frames[0].timestamp,
+    end: seg.frames[seg.frames.length - 1].timestamp
+  });
+}
+
+export default { alignPitchesToNotes };
@@ -3,50 +3,134 @@
  * Compares detected pitches against reference melody and generates scores
  */
 
+import { alignPitchesToNotes } from './aligner.js';
+import { segmentNotes } from './segmenter.js';
+import { FERMATA_HOLD } from './melody-format.js';
+
+/**
+ * Note-matching tolerances. Practice is forgiving; the Leadership Test grades like an exam.
+ */
+const MATCH_THRESHOLDS = {
+  practice: {
+    maxSemitones: 1,      // match if within this distance of the written pitch
+    sharpFlatCents: 15,
+    earlyLateMs: 80,
+    cutOffRatio: 0.6      // a note held for less than this share of its length was cut off
+  },
+  test: {
+    maxSemitones: 0.5,
+    sharpFlatCents: 10,
+    earlyLateMs: 60,
+    cutOffRatio: 0.7
+  }
+};
+
+// Notes either side used to estimate the singer's local tempo
+const LOCAL_TEMPO_NOTES = 3;
+
+// The leader's tempo is established over the first phrase: its first measures,
+// or at least this many notes when those measures are short
+const FIRST_PHRASE_MEASURES = 2;
+const MIN_PHRASE_NOTES = 4;
+
+// Verse-to-verse tempo change worth pointing out
+const VERSE_DRIFT_RATIO = 0.05;
+
+// Furthest a singer is expected to be from the written octave
+const MAX_OCTAVE_OFFSET = 2;
+
+// Per-measure tempo: intervals needed for a reliable estimate, and how
+// precisely one onset can be placed
+const MIN_MEASURE_INTERVALS = 2;
+const TEMPO_ONSET_RESOLUTION_MS = 30;
+
+/**
+ * Minimum scores to pass the Leadership Test
+ */
+const TEST_PASS_MARKS = {
+  leadership: 75,
+  countOff: 60,
+  pitch: 70,
+  rhythm: 65
+};
+
 /**
  * Grade a singing performance against a reference melody
  * @param {Array} detectedPitches - Array of { timestamp, midi, frequency, ... } from recorder
- * @param {Array} referenceMelody - Array of { midi, dur, freq, measure, ... } expected notes
+ * @param {Array} referenceMelody - Array of { midi, dur, freq, measure, ... } expected notes;
+ *   rests ({ rest: true, dur }) take their time but are not graded, and fermata notes are
+ *   expected to be held FERMATA_HOLD times their value, with the hold itself graded leniently
  * @param {number} bpm - Tempo in beats per minute
  * @param {string} timeSignature - Time signature like "4/4" or "3/2"
+ * @param {Object} options
+ * @param {Object} options.countOff - { beats } when the take opens with the leader's count-off
+ * @param {boolean} options.strict - Use Leadership Test tolerances
+ * @param {string|number} options.octave - 'auto' (default) grades in whichever octave the singer
+ *   chose, e.g. a man leading the soprano line an octave down; a number fixes the offset in
+ *   octaves (0 = as written)
  * @returns {Object} Grading results
  */
-export function gradePerformance(detectedPitches, referenceMelody, bpm, timeSignature = "4/4") {
-  if (!detectedPitches.length || !referenceMelody.length) {
+export function gradePerformance(detectedPitches, referenceMelody, bpm, timeSignature = "4/4", options = {}) {
+  const firstNote = referenceMelody.find(n => !n.rest);
+  if (!detectedPitches.length || !firstNote) {
     return getEmptyResult();
   }
 
-  // Parse time signature
-  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
-
-  // Calculate timing from BPM
-  // For compound meters (6/8, 9/8, 12/8), BPM refers to dotted quarter
-  const isCompound = beatUnit >= 8 && beatsPerMeasure > 3 && beatsPerMeasure % 3 === 0;
-  let msPerBeatUnit;
-  if (isCompound) {
-    // BPM is dotted quarter = 3 eighth notes
-    msPerBeatUnit = (60000 / bpm) / 3; // ms per eighth note
-  } else if (beatUnit === 2) {
-    // Half note gets the beat
-    msPerBeatUnit = 60000 / bpm; // ms per half note
-  } else {
-    // Quarter note gets the beat
-    msPerBeatUnit = 60000 / bpm; // ms per quarter note
+  // Leadership Test: the recording opens with the leader's count-off.
+  // Grade it separately and re-base the rest of the take on the downbeat it implies.
+  let countOff = null;
+  if (options.countOff) {
+    countOff = gradeCountOff(detectedPitches, firstNote.midi, bpm, options.countOff.beats);
+    detectedPitches = detectedPitches
+      .filter(p => p.timestamp >= countOff.hymnStartMs)
+      .map(p => ({ ...p, timestamp: p.timestamp - countOff.downbeatMs }));
   }
 
-  // Build expected note timing
-  const expectedNotes = buildExpectedTiming(referenceMelody, msPerBeatUnit);
+  // Calculate timing from BPM
+  const msPerBeatUnit = getMsPerBeatUnit(bpm, timeSignature);
+
+  // Build expected note timing, in the octave the singer is in. Cents are measured
+  // against the shifted note, so a perfect octave-down take is 0¢ off.
+  // Rests only move the notes after them along.
+  const octaveOffset = options.octave == null || options.octave === 'auto'
+    ? detectOctaveOffset(detectedPitches, referenceMelody)
+    : Math.round(Number(options.octave)) || 0;
+  const expectedNotes = buildExpectedTiming(referenceMelody, msPerBeatUnit).filter(n => !n.rest).map(n => octaveOffset === 0 ? n : {
+    ...n,
+    midi: n.midi + octaveOffset * 12,
+    freq: n.freq * Math.pow(2, octaveOffset),
+    writtenMidi: n.midi
+  });
 
   // Match detected pitches to expected notes
-  const matchResults = matchPitchesToNotes(detectedPitches, expectedNotes);
+  const thresholds = options.strict ? MATCH_THRESHOLDS.test : MATCH_THRESHOLDS.practice;
+  const matchResults = matchPitchesToNotes(detectedPitches, expectedNotes, thresholds);
+
+  // Sung-note events: held lengths, cut-offs, extra and missing notes
+  const noteEvents = segmentNotes(detectedPitches);
+  const eventReview = assessNoteEvents(noteEvents, matchResults, thresholds);
+
+  // The tempo the leader actually set, which steadiness is judged against,
+  // and how it moved from verse to verse
+  const tempo = estimateEstablishedTempo(matchResults, bpm);
+  const verseTempos = estimateVerseTempos(matchResults, bpm);
 
   // Calculate scores
   const pitchScore = calculatePitchScore(matchResults);
   const rhythmScore = calculateRhythmScore(matchResults);
-  const stabilityScore = calculateStabilityScore(detectedPitches, matchResults);
+  const stabilityScore = calculateStabilityScore(detectedPitches, matchResults, tempo);
 
   // Generate diagnostics
-  const diagnostics = generateDiagnostics(matchResults, detectedPitches, expectedNotes);
+  const diagnostics = generateDiagnostics(matchResults, detectedPitches, expectedNotes, eventReview.diagnostics);
+  if (octaveOffset !== 0) {
+    diagnostics.unshift(`Graded ${octaveLabel(octaveOffset)} the written notes, where you sang.`);
+  }
+  const verseDiagnostic = verseTempoDiagnostic(verseTempos);
+  if (verseDiagnostic) diagnostics.unshift(verseDiagnostic);
+  if (tempo.bpmDifference != null && Math.abs(tempo.bpmDifference) / bpm > 0.08) {
+    diagnostics.unshift(`You led at ${tempo.establishedBpm} BPM; the hymn is marked ${bpm}. Steadiness is graded at your own tempo, but aim for the marked tempo unless you mean to take it ${tempo.bpmDifference > 0 ? 'faster' : 'slower'}.`);
+  }
+  if (countOff) diagnostics.unshift(...countOff.diagnostics);
 
   // Build tempo tracking data for visualization
   const tempoData = buildTempoData(matchResults, bpm);
@@ -58,39 +142,285 @@ export function gradePerformance(detectedPitches, referenceMelody, bpm, timeSign
     pitchScore: Math.round(pitchScore),
     rhythmScore: Math.round(rhythmScore),
     stabilityScore: Math.round(stabilityScore),
-    leadershipScore: Math.round(pitchScore * 0.3 + rhythmScore * 0.4 + stabilityScore * 0.3),
+    durationScore: eventReview.durationScore,
+    tempo,
+    verseTempos,
+    octaveOffset,
+    // With a graded count-off, leadership follows the breakdown shown to the user:
+    // count-off 30%, tempo stability 40%, pitch 30%
+    leadershipScore: countOff
+      ? Math.round(countOff.score * 0.3 + stabilityScore * 0.4 + pitchScore * 0.3)
+      : Math.round(pitchScore * 0.3 + rhythmScore * 0.4 + stabilityScore * 0.3),
+    countOff,
     noteByNote: matchResults,
+    noteEvents,
+    extraNotes: eventReview.extraNotes,
     diagnostics,
     tempoData,
     pitchData,
+    // The sung pitch on the same clock as noteByNote, for reviewing the take
+    pitchTrace: detectedPitches.map(p => ({ t: p.timestamp, midi: p.midi })),
     summary: {
-      totalNotes: referenceMelody.length,
+      totalNotes: expectedNotes.length,
       matchedNotes: matchResults.filter(r => r.matched).length,
       avgCentsOff: Math.round(matchResults.filter(r => r.matched).reduce((sum, r) => sum + Math.abs(r.centsOff), 0) / Math.max(1, matchResults.filter(r => r.matched).length)),
-      avgTimingOff: Math.round(matchResults.filter(r => r.matched).reduce((sum, r) => sum + Math.abs(r.timingOffMs), 0) / Math.max(1, matchResults.filter(r => r.matched).length))
+      avgTimingOff: Math.round(matchResults.filter(r => r.matched).reduce((sum, r) => sum + Math.abs(r.timingOffMs), 0) / Math.max(1, matchResults.filter(r => r.matched).length)),
+      cutOffNotes: matchResults.filter(r => r.cutOff).length,
+      extraNotes: eventReview.extraNotes.length,
+      missingNotes: eventReview.missingNotes,
+      establishedBpm: tempo.establishedBpm,
+      verses: verseTempos.length || 1,
+      verseDriftBpm: verseDrift(verseTempos)
     }
   };
 }
 
+// A count starting more than this many beats after the one before it is not part of the count-off
+const COUNT_GAP_BEATS = 1.5;
+
+// Semitones a held segment may be from the starting pitch (in any octave) to be the hymn's first note
+const FIRST_NOTE_SEMITONES = 1;
+
+/**
+ * Grade a leader's count-off: the starting pitch they give and the beats they count
+ * before the congregation comes in.
+ *
+ * The count-off is read from the start of the recording as voiced segments:
+ * an optional starting pitch, followed by up to `beats` counted syllables.
+ * A first segment at least one beat long, or followed by a pause before the
+ * counting, is taken as the pitch being given; otherwise the pitch is read
+ * from the counted beats themselves. Counting stops early at a segment that
+ * starts well past the beat spacing, or at one held on the starting pitch —
+ * the hymn itself — so a short count-off doesn't swallow the first notes.
+ *
+ * @param {Array} detectedPitches - Pitch history from the start of the take
+ * @param {number} startingMidi - First note of the hymn
+ * @param {number} bpm - Target tempo (felt beats per minute)
+ * @param {number} beats - Number of beats the leader counts
+ * @returns {Object} Count-off scores, measurements, and where the hymn itself begins
+ */
+export function gradeCountOff(detectedPitches, startingMidi, bpm, beats) {
+  const msPerBeat = 60000 / bpm;
+  const segments = splitVoicedSegments(detectedPitches);
+
+  const result = {
+    score: 0,
+    pitchScore: 0,
+    evennessScore: 0,
+    tempoScore: 0,
+    givenMidi: null,
+    centsOff: 0,
+    octaveOffset: 0,
+    beatsCounted: 0,
+    impliedBpm: null,
+    hymnStartMs: 0,
+    downbeatMs: 0,
+    diagnostics: []
+  };
+
+  if (segments.length === 0) {
+    result.diagnostics.push("No count-off was heard. Give the starting pitch and count the congregation in before the first note.");
+    return result;
+  }
+
+  const held = s => s.end - s.start >= msPerBeat;
+  // The hymn's first note: held, and on the starting pitch in some octave
+  const isFirstNote = s => {
+    if (!held(s)) return false;
+    const opening = median(s.frames.filter(p => p.timestamp < s.start + msPerBeat / 2).map(p => p.midi));
+    const semitones = Math.abs(opening - startingMidi) % 12;
+    return Math.min(semitones, 12 - semitones) <= FIRST_NOTE_SEMITONES;
+  };
+
+  // A held first segment is the pitch being given, as is a short one the leader
+  // pauses after before counting; otherwise they are already counting
+  const pausedAfter = segments.length > 1 && segments[1].start - segments[0].start > msPerBeat * COUNT_GAP_BEATS;
+  const hasPitchSegment = held(segments[0]) || pausedAfter;
+  const countStart = hasPitchSegment ? 1 : 0;
+  const counts = [];
+  for (const s of segments.slice(countStart)) {
+    if (counts.length === beats || isFirstNote(s)) break;
+    if (counts.length && s.start - counts[counts.length - 1].start > msPerBeat * COUNT_GAP_BEATS) break;
+    counts.push(s);
+  }
+  const pitchFrames = hasPitchSegment ? segments[0].frames : counts.flatMap(s => s.frames);
+
+  // Starting pitch — octave-equivalent, since men give the pitch an octave down
+  const givenMidi = median(pitchFrames.map(p => p.midi));
+  const octaveOffset = Math.round((givenMidi - startingMidi) / 12);
+  const centsOff = Math.round((givenMidi - startingMidi - octaveOffset * 12) * 100);
+  result.givenMidi = Math.round(givenMidi * 100) / 100;
+  result.centsOff = centsOff;
+  result.octaveOffset = octaveOffset;
+  result.pitchScore = Math.max(0, 100 - Math.abs(centsOff) * 1.2);
+
+  result.beatsCounted = counts.length;
+  const onsets = counts.map(s => s.start);
+  const intervals = onsets.slice(1).map((t, i) => t - onsets[i]);
+
+  if (intervals.length > 0) {
+    const meanInterval = intervals.reduce((s, v) => s + v, 0) / intervals.length;
+
+    // Evenness: coefficient of variation of the beat intervals (5% → 80, 25%+ → 0)
+    const cv = Math.sqrt(calculateVariance(intervals)) / meanInterval;
+    result.evennessScore = intervals.length > 1 ? Math.max(0, 100 - cv * 400) : 50;
+
+    // Implied tempo vs target (10% off → 75, 40%+ → 0)
+    result.impliedBpm = Math.round(60000 / meanInterval);
+    const tempoError = Math.abs(result.impliedBpm - bpm) / bpm;
+    result.tempoScore = Math.max(0, 100 - tempoError * 250);
+
+    // The hymn's downbeat falls one counted beat after the last count
+    result.downbeatMs = onsets[onsets.length - 1] + meanInterval;
+  } else {
+    result.downbeatMs = (counts[0]?.start ?? segments[0].end) + msPerBeat;
+  }
+
+  // The hymn starts with the first segment after the count-off
+  const firstSung = segments[countStart + counts.length];
+  result.hymnStartMs = firstSung ? Math.min(firstSung.start, result.downbeatMs) : result.downbeatMs;
+
+  result.score = Math.round(result.pitchScore * 0.4 + result.evennessScore * 0.3 + result.tempoScore * 0.3);
+  result.pitchScore = Math.round(result.pitchScore);
+  result.evennessScore = Math.round(result.evennessScore);
+  result.tempoScore = Math.round(result.tempoScore);
+
+  // Feedback
+  const d = result.diagnostics;
+  if (counts.length < beats) {
+    d.push(`Only ${counts.length} of ${beats} count-off beats were heard. Count every beat clearly so the congregation can feel the tempo.`);
+  }
+  if (Math.abs(centsOff) > 30) {
+    d.push(`Starting pitch was ${Math.abs(centsOff)} cents ${centsOff > 0 ? 'sharp' : 'flat'}. Take time to find the first note before counting.`);
+  }
+  if (result.impliedBpm && result.tempoScore < 75) {
+    d.push(`Count-off implied ${result.impliedBpm} BPM against a target of ${bpm}. Set the tempo you intend to keep.`);
+  }
+  if (intervals.length > 1 && result.evennessScore < 65) {
+    d.push("Count-off beats were uneven. Count with a steady pulse.");
+  }
+
+  return result;
+}
+
+/**
+ * Decide pass/fail for a Leadership Test from a strict grading result.
+ *
+ * The leader must reach the end of the hymn and meet every pass mark;
+ * the certificate lists each criterion so a failed attempt shows what to work on.
+ *
+ * @param {Object} gradeResult - Result of gradePerformance with { strict, countOff }
+ * @returns {Object} { passed, completed, criteria: [{ label, score, required, passed }], reasons }
+ */
+export function evaluateLeadershipTest(gradeResult) {
+  const notes = gradeResult.noteByNote || [];
+  const lastMatched = notes.reduce((last, r, i) => (r.matched ? i : last), -1);
+  // Reaching the final phrase counts as leading the whole hymn
+  const completed = notes.length > 0 && lastMatched >= notes.length - Math.max(2, Math.ceil(notes.length * 0.1));
+
+  const criteria = [
+    { label: 'Leadership', score: gradeResult.leadershipScore, required: TEST_PASS_MARKS.leadership },
+    { label: 'Count-off', score: gradeResult.countOff?.score ?? 0, required: TEST_PASS_MARKS.countOff },
+    { label: 'Pitch', score: gradeResult.pitchScore, required: TEST_PASS_MARKS.pitch },
+    { label: 'Rhythm', score: gradeResult.rhythmScore, required: TEST_PASS_MARKS.rhythm }
+  ].map(c => ({ ...c, passed: c.score >= c.required }));
+
+  const reasons = [];
+  if (!completed) reasons.push('The hymn was not led through to the end.');
+  criteria.filter(c => !c.passed).forEach(c => reasons.push(`${c.label} ${c.score} is below the pass mark of ${c.required}.`));
+
+  return {
+    passed: completed && criteria.every(c => c.passed),
+    completed,
+    criteria,
+    reasons
+  };
+}
+
+/**
+ * Length of one `dur` unit in ms. For compound meters (6/8, 9/8, 12/8) BPM
+ * refers to the dotted quarter and durations count eighths; otherwise BPM
+ * counts the time signature's beat unit (quarter in 4/4, half in 4/2).
+ *
+ * @param {number} bpm
+ * @param {string} timeSignature
+ * @returns {number}
+ */
+export function getMsPerBeatUnit(bpm, timeSignature = "4/4") {
+  const [beatsPerMeasure, beatUnit] = timeSignature.split('/').map(Number);
+  const isCompound = beatUnit >= 8 && beatsPerMeasure > 3 && beatsPerMeasure % 3 === 0;
+  return isCompound ? (60000 / bpm) / 3 : 60000 / bpm;
+}
+
+/**
+ * Index of the note expected at `elapsedMs` into the melody,
+ * or -1 before it starts and after it ends
+ *
+ * @param {Array} expectedNotes - From buildExpectedTiming
+ * @param {number} elapsedMs - Time since the first note's start
+ * @returns {number}
+ */
+export function expectedNoteAt(expectedNotes, elapsedMs) {
+  if (elapsedMs < 0) return -1;
+  let lo = 0, hi = expectedNotes.length - 1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    const n = expectedNotes[mid];
+    if (elapsedMs < n.expectedStart) hi = mid - 1;
+    else if (elapsedMs >= n.expectedStart + n.expectedDuration) lo = mid + 1;
+    else return mid;
+  }
+  return -1;
+}
+
+/**
+ * Split a pitch history into voiced segments separated by silence.
+ * The pitch engine only records frames while the gate is open, so a gap
+ * in timestamps marks a break between sung or spoken syllables.
+ */
+function splitVoicedSegments(detectedPitches, maxGapMs = 80, minLengthMs = 60) {
+  const segments = [];
+  let current = null;
+
+  for (const p of detectedPitches) {
+    if (p.midi == null) continue;
+    if (current && p.timestamp - current.end <= maxGapMs) {
+      current.end = p.timestamp;
+      current.frames.push(p);
+    } else {
+      if (current) segments.push(current);
+      current = { start: p.timestamp, end: p.timestamp, frames: [p] };
+    }
+  }
+  if (current) segments.push(current);
+
+  return segments.filter(s => s.end - s.start >= minLengthMs);
+}
+
 /**
- * Build expected timing for each note based on duration and BPM
+ * Build expected timing for each note based on duration and BPM.
+ * Rests are kept (rest: true, midi null) so indices match the melody; a
+ * fermata note's expectedDuration includes its hold.
  */
-function buildExpectedTiming(melody, msPerBeatUnit) {
+export function buildExpectedTiming(melody, msPerBeatUnit) {
   const notes = [];
   let currentTime = 0;
 
   for (let i = 0; i < melody.length; i++) {
     const note = melody[i];
-    const durationMs = note.dur * msPerBeatUnit;
+    const durationMs = note.dur * msPerBeatUnit * (note.fermata ? FERMATA_HOLD : 1);
 
     notes.push({
       index: i,
-      midi: note.midi,
-      freq: note.freq || midiToFreq(note.midi),
+      midi: note.rest ? null : note.midi,
+      freq: note.rest ? null : note.freq || midiToFreq(note.midi),
       expectedStart: currentTime,
       expectedDuration: durationMs,
       measure: note.measure,
-      lyric: note.lyric || ''
+      lyric: note.lyric || '',
+      ...(note.rest ? { rest: true } : {}),
+      ...(note.fermata ? { fermata: true } : {}),
+      ...(note.verse != null ? { verse: note.verse } : {})
     });
 
     currentTime += durationMs;
@@ -100,65 +430,287 @@ function buildExpectedTiming(melody, msPerBeatUnit) {
 }
 
 /**
- * Match detected pitches to expected notes
+ * Octave the singer is in relative to the written melody: the difference between
+ * the median sung pitch and the median written pitch, in whole octaves.
+ * Men leading a treble line sing it an octave down; women a bass line an octave up.
+ *
+ * @returns {number} Offset in octaves, -MAX_OCTAVE_OFFSET..MAX_OCTAVE_OFFSET
  */
-function matchPitchesToNotes(detectedPitches, expectedNotes) {
-  const results = [];
+export function detectOctaveOffset(detectedPitches, referenceMelody) {
+  const sung = detectedPitches.filter(p => p.midi != null).map(p => p.midi);
+  if (sung.length === 0 || referenceMelody.length === 0) return 0;
+  const written = referenceMelody.filter(n => !n.rest).map(n => n.midi);
+  if (written.length === 0) return 0;
+  const offset = Math.round((median(sung) - median(written)) / 12);
+  return Math.max(-MAX_OCTAVE_OFFSET, Math.min(MAX_OCTAVE_OFFSET, offset));
+}
 
-  // For each expected note, find the best matching detected pitch
-  for (const expected of expectedNotes) {
-    const windowStart = expected.expectedStart - 150; // 150ms early tolerance (tightened)
-    const windowEnd = expected.expectedStart + expected.expectedDuration + 150; // 150ms late tolerance
+function octaveLabel(offset) {
+  const n = Math.abs(offset);
+  return `${n === 1 ? 'an octave' : `${n} octaves`} ${offset < 0 ? 'below' : 'above'}`;
+}
 
-    // Find all detected pitches in the time window
-    const candidates = detectedPitches.filter(
-      p => p.timestamp >= windowStart && p.timestamp <= windowEnd
-    );
+/**
+ * Match detected pitches to expected notes.
+ *
+ * The take is first aligned to the melody (see aligner.js), so each note is
+ * judged on the frames the singer actually spent on it wherever they fell in
+ * time. Its pitch is the median of those frames, ignoring the first quarter
+ * of longer notes where singers scoop in.
+ *
+ * Rhythm is then measured against the singer's own pulse: each note's onset
+ * is compared with where it should fall given the previous note's onset and
+ * the local tempo (median onset-interval ratio of the surrounding notes), so
+ * a late entry or a gradual slowdown does not mark every later note as off.
+ * driftMs keeps the absolute offset from the printed timing. The leader chooses
+ * how long to hold a fermata, so the note after one is not timed against it.
+ */
+function matchPitchesToNotes(detectedPitches, expectedNotes, thresholds = MATCH_THRESHOLDS.practice) {
+  const segments = alignPitchesToNotes(detectedPitches, expectedNotes);
 
-    if (candidates.length === 0) {
-      results.push({
-        expected,
-        matched: false,
-        centsOff: 0,
-        timingOffMs: 0,
-        detectedMidi: null
-      });
-      continue;
+  const results = expectedNotes.map((expected, i) => {
+    const seg = segments[i];
+    if (!seg) {
+      return { expected, matched: false, centsOff: 0, timingOffMs: 0, driftMs: 0, alignedStart: null, alignedEnd: null, detectedMidi: null };
     }
 
-    // Find the pitch closest to the expected note
-    let bestMatch = null;
-    let bestDistance = Infinity;
+    const body = seg.frames.length >= 4 ? seg.frames.slice(Math.floor(seg.frames.length / 4)) : seg.frames;
+    const sungMidi = median(body.map(p => p.midi));
+    const centsOff = Math.round((sungMidi - expected.midi) * 100);
+    const matched = Math.abs(sungMidi - expected.midi) < thresholds.maxSemitones;
 
-    for (const candidate of candidates) {
-      const midiDistance = Math.abs(candidate.midi - expected.midi);
-      if (midiDistance < bestDistance) {
-        bestDistance = midiDistance;
-        bestMatch = candidate;
-      }
+    return {
+      expected,
+      matched,
+      centsOff: matched ? centsOff : 0,
+      timingOffMs: 0,
+      driftMs: Math.round(seg.start - expected.expectedStart),
+      alignedStart: seg.start,
+      alignedEnd: seg.end,
+      detectedMidi: Math.round(sungMidi),
+      detectedFreq: median(body.map(p => p.frequency || midiToFreq(p.midi))),
+      confidence: body.reduce((sum, p) => sum + (p.confidence ?? 0.5), 0) / body.length,
+      isSharp: matched && centsOff > thresholds.sharpFlatCents,
+      isFlat: matched && centsOff < -thresholds.sharpFlatCents
+    };
+  });
+
+  // Rhythm on the recovered alignment: inter-onset intervals against the local tempo
+  const hits = results.filter(r => r.matched);
+  // A new verse starts afresh: leaders breathe between verses, so that gap is not a rhythm error
+  const ratios = hits.map((r, k) => {
+    if (k === 0) return null;
+    const prev = hits[k - 1];
+    if (r.expected.verse !== prev.expected.verse || holdBetween(expectedNotes, prev.expected, r.expected)) return null;
+    const expectedIoi = r.expected.expectedStart - prev.expected.expectedStart;
+    return expectedIoi > 0 ? (r.alignedStart - prev.alignedStart) / expectedIoi : null;
+  });
+
+  hits.forEach((r, k) => {
+    if (k > 0 && ratios[k] != null) {
+      const nearby = ratios.slice(Math.max(1, k - LOCAL_TEMPO_NOTES), k + LOCAL_TEMPO_NOTES + 1).filter(x => x != null && x > 0);
+      const localTempo = nearby.length ? median(nearby) : 1;
+      const prev = hits[k - 1];
+      const predicted = prev.alignedStart + (r.expected.expectedStart - prev.expected.expectedStart) * localTempo;
+      r.timingOffMs = Math.round(r.alignedStart - predicted);
+      r.tempoRatio = Math.round(localTempo * 1000) / 1000;
     }
+    r.isEarly = r.timingOffMs < -thresholds.earlyLateMs;
+    r.isLate = r.timingOffMs > thresholds.earlyLateMs;
+  });
+  results.filter(r => !r.matched).forEach(r => { r.isEarly = false; r.isLate = false; });
 
-    // Consider it a match if within 1 semitone (tightened from 2)
-    const matched = bestDistance < 1;
-    const centsOff = matched ? Math.round((bestMatch.midi - expected.midi) * 100) : 0;
-    const timingOffMs = matched ? Math.round(bestMatch.timestamp - expected.expectedStart) : 0;
+  return results;
+}
 
-    results.push({
-      expected,
-      matched,
-      centsOff,
-      timingOffMs,
-      detectedMidi: bestMatch ? bestMatch.midiRounded : null,
-      detectedFreq: bestMatch ? bestMatch.frequency : null,
-      confidence: bestMatch ? bestMatch.confidence : 0,
-      isSharp: centsOff > 15,    // tightened from 20
-      isFlat: centsOff < -15,    // tightened from 20
-      isEarly: timingOffMs < -80, // tightened from -100
-      isLate: timingOffMs > 80    // tightened from 100
+/**
+ * Whether a fermata is held between two expected notes (from `a` up to, not including, `b`)
+ */
+function holdBetween(expectedNotes, a, b) {
+  return expectedNotes.some(n => n.fermata && n.expectedStart >= a.expectedStart && n.expectedStart < b.expectedStart);
+}
+
+/**
+ * Estimate the tempo the leader established over the first phrase.
+ *
+ * Fits a line through the aligned onsets of the phrase's notes against their
+ * written positions; its slope is the leader's tempo relative to the marking.
+ * Later notes are then judged against this tempo rather than the printed BPM,
+ * so a leader who is steady at 66 instead of 60 is steady.
+ *
+ * @returns {Object} { targetBpm, establishedBpm, bpmDifference, ratio, steadinessScore }
+ *   establishedBpm and bpmDifference are null when too few notes were sung
+ */
+function estimateEstablishedTempo(matchResults, bpm) {
+  const tempo = { targetBpm: bpm, establishedBpm: null, bpmDifference: null, ratio: 1, steadinessScore: 70 };
+  const hits = matchResults.filter(r => r.matched);
+  if (hits.length < 3) return tempo;
+
+  const firstMeasure = hits[0].expected.measure;
+  let phrase = hits.filter(r => r.expected.measure < firstMeasure + FIRST_PHRASE_MEASURES);
+  if (phrase.length < MIN_PHRASE_NOTES) phrase = hits.slice(0, MIN_PHRASE_NOTES);
+
+  const ratio = onsetSlope(phrase);
+  if (!(ratio > 0)) return tempo;
+
+  tempo.ratio = Math.round(ratio * 1000) / 1000;
+  tempo.establishedBpm = Math.round(bpm / ratio);
+  tempo.bpmDifference = tempo.establishedBpm - bpm;
+
+  // Steadiness: how far the local tempo strays from the established one
+  // (mean deviation: 5% = 80, 25% = 0)
+  const deviations = hits.filter(r => r.tempoRatio != null).map(r => Math.abs(r.tempoRatio / ratio - 1));
+  if (deviations.length >= 3) {
+    const meanDeviation = deviations.reduce((s, d) => s + d, 0) / deviations.length;
+    tempo.steadinessScore = Math.round(Math.max(0, 100 - meanDeviation * 400));
+  }
+  return tempo;
+}
+
+/**
+ * Least-squares slope of sung onset against written onset: the singer's
+ * tempo relative to the marking (2 = half as fast). 0 when it cannot be fitted.
+ */
+function onsetSlope(hits) {
+  const xs = hits.map(r => r.expected.expectedStart);
+  const ys = hits.map(r => r.alignedStart);
+  const meanX = xs.reduce((s, x) => s + x, 0) / xs.length;
+  const meanY = ys.reduce((s, y) => s + y, 0) / ys.length;
+  let num = 0, den = 0;
+  xs.forEach((x, i) => {
+    num += (x - meanX) * (ys[i] - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return den > 0 ? num / den : 0;
+}
+
+/**
+ * Tempo of each verse when several were sung: the onset slope over the
+ * verse's matched notes.
+ *
+ * @returns {Array} [{ verse, bpm, notes }] in verse order; bpm is null when too few
+ *   of the verse's notes were sung. Empty for a single verse.
+ */
+function estimateVerseTempos(matchResults, bpm) {
+  const verses = [...new Set(matchResults.map(r => r.expected.verse).filter(v => v != null))];
+  if (verses.length < 2) return [];
+  return verses.map(verse => {
+    const hits = matchResults.filter(r => r.matched && r.expected.verse === verse);
+    const ratio = hits.length >= MIN_PHRASE_NOTES ? onsetSlope(hits) : 0;
+    return { verse, bpm: ratio > 0 ? Math.round(bpm / ratio) : null, notes: hits.length };
+  });
+}
+
+/**
+ * Change in BPM from the first to the last verse that could be measured (null without two)
+ */
+function verseDrift(verseTempos) {
+  const led = verseTempos.filter(v => v.bpm != null);
+  return led.length >= 2 ? led[led.length - 1].bpm - led[0].bpm : null;
+}
+
+/**
+ * Feedback on tempo drift from verse to verse, measured against the first verse
+ */
+function verseTempoDiagnostic(verseTempos) {
+  const led = verseTempos.filter(v => v.bpm != null);
+  if (led.length < 2) return null;
+  const first = led[0];
+  const drifted = led.slice(1).filter(v => Math.abs(v.bpm - first.bpm) / first.bpm > VERSE_DRIFT_RATIO);
+  if (drifted.length === 0) {
+    return `Tempo held across ${led.length} verses (${led.map(v => v.bpm).join(', ')} BPM).`;
+  }
+  const worst = drifted.reduce((a, b) => Math.abs(b.bpm - first.bpm) > Math.abs(a.bpm - first.bpm) ? b : a);
+  const pct = Math.round(Math.abs(worst.bpm - first.bpm) / first.bpm * 100);
+  return `Verse ${worst.verse} was ${pct}% ${worst.bpm < first.bpm ? 'slower' : 'faster'} than verse ${first.verse} (${worst.bpm} against ${first.bpm} BPM). Keep the tempo you set in the first verse through the last.`;
+}
+
+/**
+ * Review the sung-note events against the aligned notes.
+ *
+ * Each event belongs to the note whose aligned frames it overlaps most. The
+ * note's main event is the longest one on the right pitch; its length, against
+ * the written length at the singer's local tempo, is how long the note was
+ * held. Events left over are extra notes (a re-attack, a passing note or a
+ * note that isn't written), and notes with no event at all were not sung.
+ * A fermata note is measured against its written value and may be held as
+ * long as the leader likes.
+ *
+ * Adds heldMs, heldRatio and cutOff to each match result.
+ *
+ * @returns {Object} { durationScore, extraNotes: [{ midi, startMs, endMs }], missingNotes, diagnostics }
+ */
+function assessNoteEvents(events, matchResults, thresholds) {
+  const eventsByNote = matchResults.map(() => []);
+  const extraNotes = [];
+
+  for (const event of events) {
+    let best = -1;
+    let bestOverlap = 0;
+    matchResults.forEach((r, i) => {
+      if (r.alignedStart == null) return;
+      const overlap = Math.min(event.endMs, r.alignedEnd) - Math.max(event.startMs, r.alignedStart);
+      if (overlap > bestOverlap || (best < 0 && overlap >= 0)) {
+        best = i;
+        bestOverlap = overlap;
+      }
     });
+    if (best < 0) extraNotes.push(event);
+    else eventsByNote[best].push(event);
   }
 
-  return results;
+  let missingNotes = 0;
+  const accuracies = [];
+  matchResults.forEach((r, i) => {
+    const candidates = eventsByNote[i];
+    r.heldMs = null;
+    r.heldRatio = null;
+    r.cutOff = false;
+    if (candidates.length === 0) {
+      missingNotes++;
+      return;
+    }
+
+    const onPitch = candidates.filter(e => Math.abs(e.pitch - r.expected.midi) < thresholds.maxSemitones);
+    const main = onPitch.reduce((longest, e) => (!longest || e.durationMs > longest.durationMs ? e : longest), null);
+    candidates.filter(e => e !== main).forEach(e => extraNotes.push(e));
+    if (!main) return;
+
+    const fermata = r.expected.fermata;
+    const writtenMs = r.expected.expectedDuration / (fermata ? FERMATA_HOLD : 1) * (r.tempoRatio ?? 1);
+    r.heldMs = Math.round(main.durationMs);
+    r.heldRatio = Math.round(main.durationMs / writtenMs * 100) / 100;
+    r.cutOff = r.heldRatio < thresholds.cutOffRatio;
+
+    // Full marks from 85% to 110% of the written length; a natural gap before the next note is fine
+    const miss = Math.max(0, 0.85 - r.heldRatio, fermata ? 0 : r.heldRatio - 1.1);
+    accuracies.push(Math.max(0, 100 - miss * 200));
+  });
+
+  const durationScore = accuracies.length
+    ? Math.round(accuracies.reduce((s, a) => s + a, 0) / accuracies.length)
+    : 0;
+
+  const diagnostics = [];
+  const cutOffs = matchResults.filter(r => r.cutOff).length;
+  if (cutOffs >= 2 && cutOffs > accuracies.length * 0.15) {
+    diagnostics.push(`${cutOffs} notes were cut short. Hold each note for its full value, especially at the ends of phrases.`);
+  }
+  if (extraNotes.length >= 2) {
+    diagnostics.push(`${extraNotes.length} extra notes were sung between the written ones. Move cleanly from note to note without re-attacking or sliding.`);
+  }
+  if (missingNotes >= 2) {
+    diagnostics.push(`${missingNotes} notes were not sung at all. Keep going through the whole melody, even after a slip.`);
+  }
+
+  return {
+    durationScore,
+    extraNotes: extraNotes
+      .sort((a, b) => a.startMs - b.startMs)
+      .map(e => ({ midi: e.midi, startMs: e.startMs, endMs: e.endMs })),
+    missingNotes,
+    diagnostics
+  };
 }
 
 /**
@@ -219,7 +771,7 @@ function calculateRhythmScore(matchResults) {
 /**
  * Calculate stability score (0-100) - measures consistency
  */
-function calculateStabilityScore(detectedPitches, matchResults) {
+function calculateStabilityScore(detectedPitches, matchResults, tempo) {
   if (detectedPitches.length < 10) return 70; // Not enough data
 
   const matched = matchResults.filter(r => r.matched);
@@ -231,18 +783,14 @@ function calculateStabilityScore(detectedPitches, matchResults) {
   // Low variance = stable, high variance = unstable
   const pitchStability = Math.max(0, 100 - centsVariance / 2);
 
-  // Measure tempo stability (variance in timing deviation)
-  const timingValues = matched.map(r => r.timingOffMs);
-  const timingVariance = calculateVariance(timingValues);
-  const tempoStability = Math.max(0, 100 - timingVariance / 50);
-
-  return (pitchStability + tempoStability) / 2;
+  // Tempo stability: holding the tempo established in the first phrase
+  return (pitchStability + tempo.steadinessScore) / 2;
 }
 
 /**
  * Generate diagnostic feedback messages
  */
-function generateDiagnostics(matchResults, detectedPitches, expectedNotes) {
+function generateDiagnostics(matchResults, detectedPitches, expectedNotes, noteEventDiagnostics = []) {
   const diagnostics = [];
   const matched = matchResults.filter(r => r.matched);
 
@@ -292,16 +840,20 @@ function generateDiagnostics(matchResults, detectedPitches, expectedNotes) {
       diagnostics.push("Pitch drifts flat toward the end. Keep energy and support consistent.");
     }
 
-    const firstHalfAvgTiming = firstHalf.reduce((s, r) => s + r.timingOffMs, 0) / firstHalf.length;
-    const secondHalfAvgTiming = secondHalf.reduce((s, r) => s + r.timingOffMs, 0) / secondHalf.length;
+    // Local tempo ratio > 1 means notes are further apart than written (slower)
+    const firstHalfTempo = median(firstHalf.filter(r => r.tempoRatio != null).map(r => r.tempoRatio));
+    const secondHalfTempo = median(secondHalf.filter(r => r.tempoRatio != null).map(r => r.tempoRatio));
 
-    if (secondHalfAvgTiming - firstHalfAvgTiming > 50) {
+    if (firstHalfTempo && secondHalfTempo && secondHalfTempo / firstHalfTempo > 1.05) {
       diagnostics.push("Tempo slows down toward the end. Maintain steady pulse throughout.");
-    } else if (firstHalfAvgTiming - secondHalfAvgTiming > 50) {
+    } else if (firstHalfTempo && secondHalfTempo && firstHalfTempo / secondHalfTempo > 1.05) {
       diagnostics.push("Tempo speeds up toward the end. Stay steady and controlled.");
     }
   }
 
+  // Held lengths, extra and missing notes (from assessNoteEvents)
+  diagnostics.push(...noteEventDiagnostics);
+
   // Positive feedback if doing well
   if (diagnostics.length === 0) {
     if (hitRate > 0.9) {
@@ -315,39 +867,63 @@ function generateDiagnostics(matchResults, detectedPitches, expectedNotes) {
 }
 
 /**
- * Build tempo tracking data for visualization
+ * Build tempo tracking data for visualization.
+ *
+ * Each measure's tempo comes from the onset intervals of matched notes that
+ * start in it: written time over sung time, scaled to the marked BPM. The band
+ * is a 95% range from the spread of those intervals and the timing resolution
+ * of an onset. Measures with fewer than MIN_MEASURE_INTERVALS intervals are
+ * marked `few` — their estimate rests on one or two notes.
+ *
+ * @returns {Array} [{ m, bpm, lo, hi, intervals, few }] per measure;
+ *   bpm, lo and hi are null when no onset interval starts in the measure
  */
 function buildTempoData(matchResults, targetBpm) {
-  const data = [];
-  const matched = matchResults.filter(r => r.matched);
+  const hits = matchResults.filter(r => r.matched);
+  if (matchResults.length === 0) return [];
 
-  // Group by measure
+  // Onset intervals between consecutive matched notes, by the measure they start in;
+  // a held fermata is the leader's choice, not their tempo
+  const expectedNotes = matchResults.map(r => r.expected);
   const byMeasure = {};
-  for (const r of matched) {
+  hits.forEach((r, k) => {
+    const next = hits[k + 1];
+    if (!next || next.expected.verse !== r.expected.verse || holdBetween(expectedNotes, r.expected, next.expected)) return;
+    const written = next.expected.expectedStart - r.expected.expectedStart;
+    const sung = next.alignedStart - r.alignedStart;
+    if (written <= 0 || sung <= 0) return;
     const m = r.expected.measure;
     if (!byMeasure[m]) byMeasure[m] = [];
-    byMeasure[m].push(r);
-  }
-
-  // Calculate effective BPM per measure based on timing deviations
-  for (const [measure, notes] of Object.entries(byMeasure)) {
-    if (notes.length < 2) continue;
+    byMeasure[m].push({ written, sung });
+  });
 
-    // Average timing offset for this measure
-    const avgOffset = notes.reduce((s, n) => s + n.timingOffMs, 0) / notes.length;
-    // Convert offset to BPM adjustment (rough approximation)
-    // If notes are early (negative offset), effective BPM is faster
-    const bpmAdjustment = -avgOffset / 50; // ~1 BPM per 50ms offset
+  const measures = matchResults.map(r => r.expected.measure).filter(m => m != null);
+  const first = Math.min(...measures);
+  const last = Math.max(...measures);
+  const data = [];
 
-    data.push({
-      m: parseInt(measure) + 1,
-      bpm: Math.round(targetBpm + bpmAdjustment)
-    });
+  for (let measure = first; measure <= last; measure++) {
+    const intervals = byMeasure[measure] || [];
+    const point = { m: measure + 1, bpm: null, lo: null, hi: null, intervals: intervals.length, few: intervals.length < MIN_MEASURE_INTERVALS };
+    if (intervals.length > 0) {
+      const totalWritten = intervals.reduce((s, iv) => s + iv.written, 0);
+      const totalSung = intervals.reduce((s, iv) => s + iv.sung, 0);
+      const bpm = targetBpm * totalWritten / totalSung;
+
+      // Spread between the intervals (standard error), plus the uncertainty of
+      // the two onsets that bound the measure's sung time
+      const each = intervals.map(iv => targetBpm * iv.written / iv.sung);
+      const standardError = each.length > 1 ? Math.sqrt(calculateVariance(each) / (each.length - 1)) : 0;
+      const resolution = bpm * Math.SQRT2 * TEMPO_ONSET_RESOLUTION_MS / totalSung;
+      const band = 1.96 * Math.sqrt(standardError ** 2 + resolution ** 2);
+
+      point.bpm = Math.round(bpm);
+      point.lo = Math.round(bpm - band);
+      point.hi = Math.round(bpm + band);
+    }
+    data.push(point);
   }
 
-  // Sort by measure
-  data.sort((a, b) => a.m - b.m);
-
   return data;
 }
 
@@ -372,6 +948,16 @@ function calculateVariance(arr) {
   return arr.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / arr.length;
 }
 
+/**
+ * Median of an array of numbers
+ */
+function median(arr) {
+  if (arr.length === 0) return 0;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
 /**
  * Convert MIDI note to frequency
  */
@@ -387,16 +973,28 @@ function getEmptyResult() {
     pitchScore: 0,
     rhythmScore: 0,
     stabilityScore: 0,
+    durationScore: 0,
+    octaveOffset: 0,
+    tempo: { targetBpm: null, establishedBpm: null, bpmDifference: null, ratio: 1, steadinessScore: 0 },
+    verseTempos: [],
     leadershipScore: 0,
+    countOff: null,
     noteByNote: [],
+    noteEvents: [],
+    extraNotes: [],
     diagnostics: ["No performance data to analyze."],
     tempoData: [],
     pitchData: [],
+    pitchTrace: [],
     summary: {
       totalNotes: 0,
       matchedNotes: 0,
       avgCentsOff: 0,
-      avgTimingOff: 0
+      avgTimingOff: 0,
+      cutOffNotes: 0,
+      extraNotes: 0,
+      missingNotes: 0,
+      establishedBpm: null
     }
   };
 }
@@ -0,0 +1,62 @@
+/**
+ * Count-off reading in gradeCountOff. Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { gradeCountOff } from './grader.js';
+
+const BPM = 80;
+const BEAT = 60000 / BPM;
+const START_MIDI = 60;
+
+// Pitch frames every 10 ms while a note is voiced
+function voiced(startMs, endMs, midi) {
+  const frames = [];
+  for (let t = startMs; t <= endMs; t += 10) frames.push({ timestamp: t, midi });
+  return frames;
+}
+
+// Counted syllables, each a third of a beat long, on the starting pitch
+function counts(firstMs, n) {
+  return Array.from({ length: n }, (_, i) => voiced(firstMs + i * BEAT, firstMs + i * BEAT + BEAT / 3, START_MIDI)).flat();
+}
+
+// The hymn sung legato from `startMs`: do, re, mi, a beat each
+function hymn(startMs) {
+  return [START_MIDI, START_MIDI + 2, START_MIDI + 4].flatMap((midi, i) => voiced(startMs + i * BEAT, startMs + (i + 1) * BEAT - 10, midi));
+}
+
+test('a full count-off after a held pitch', () => {
+  const take = [...voiced(0, 2 * BEAT, START_MIDI), ...counts(3 * BEAT, 4), ...hymn(7 * BEAT)];
+  const result = gradeCountOff(take, START_MIDI, BPM, 4);
+  assert.equal(result.beatsCounted, 4);
+  assert.equal(result.hymnStartMs, 7 * BEAT);
+  assert.equal(result.downbeatMs, 7 * BEAT);
+});
+
+test('a count one beat short stops at the first sung note', () => {
+  const take = [...voiced(0, 2 * BEAT, START_MIDI), ...counts(3 * BEAT, 3), ...hymn(6 * BEAT)];
+  const result = gradeCountOff(take, START_MIDI, BPM, 4);
+  assert.equal(result.beatsCounted, 3);
+  assert.equal(result.hymnStartMs, 6 * BEAT);
+  assert.equal(result.downbeatMs, 6 * BEAT);
+  assert.match(result.diagnostics.join(' '), /Only 3 of 4/);
+});
+
+test('a pitch given shorter than a beat is not read as a count', () => {
+  const take = [...voiced(0, BEAT / 2, START_MIDI + 0.3), ...counts(2 * BEAT, 4), ...hymn(6 * BEAT)];
+  const result = gradeCountOff(take, START_MIDI, BPM, 4);
+  assert.equal(result.beatsCounted, 4);
+  assert.equal(result.centsOff, 30);
+  assert.equal(result.hymnStartMs, 6 * BEAT);
+  assert.equal(result.downbeatMs, 6 * BEAT);
+});
+
+test('a short pitch and a short count together', () => {
+  const take = [...voiced(0, BEAT / 2, START_MIDI), ...counts(2 * BEAT, 2), ...hymn(4 * BEAT)];
+  const result = gradeCountOff(take, START_MIDI, BPM, 4);
+  assert.equal(result.beatsCounted, 2);
+  assert.equal(result.hymnStartMs, 4 * BEAT);
+  assert.equal(result.downbeatMs, 4 * BEAT);
+});
@@ -1,3 +1,6 @@
 export { AudioRecorder } from './recorder.js';
-export { gradePerformance } from './grader.js';
+export { gradePerformance, gradeCountOff, evaluateLeadershipTest, buildExpectedTiming, expectedNoteAt, getMsPerBeatUnit, detectOctaveOffset } from './grader.js';
+export { alignPitchesToNotes } from './aligner.js';
+export { segmentNotes } from './segmenter.js';
 export { PitchEngine } from './pitch-engine.js';
+export { listenForNote } from './note-listener.js';
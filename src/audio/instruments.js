@@ -0,0 +1,269 @@
+/**
+ * Instrument Playback
+ *
+ * Plays melodies from sample sets bundled in public/instruments/ (organ, piano,
+ * hum), with an oscillator synth as the fallback that always works.
+ *
+ * Instruments are pluggable: public/instruments/manifest.json describes the
+ * bundled ones, and registerInstrument() adds more at runtime — either another
+ * sample set or a custom player factory.
+ *
+ * Every player has the same interface:
+ *   player.play(midi, when, { duration, gain })   // schedule one note
+ *   player.stop()                                 // silence everything
+ *   player.name, player.label, player.fallback
+ */
+
+const MANIFEST_URL = '/instruments/manifest.json';
+const BASE_URL = '/instruments/';
+
+export const SYNTH = 'synth';
+
+// Runtime-registered instruments (take precedence over the manifest)
+const registry = {
+  [SYNTH]: { label: 'Synth', create: ctx => createSynthPlayer(ctx) }
+};
+
+let manifestPromise = null;
+
+/**
+ * Load the bundled instrument manifest (once)
+ */
+function loadManifest() {
+  if (!manifestPromise) {
+    manifestPromise = fetch(MANIFEST_URL)
+      .then(r => {
+        if (!r.ok) throw new Error(`instrument manifest: ${r.status}`);
+        return r.json();
+      })
+      .catch(e => {
+        manifestPromise = null;
+        throw e;
+      });
+  }
+  return manifestPromise;
+}
+
+/**
+ * Add or replace an instrument.
+ *
+ * @param {string} name
+ * @param {Object} definition - Either a sample set
+ *   { label, samples: { [midi]: url }, baseUrl?, loop?, release?, gain? }
+ *   or a factory { label, create(ctx) => player }
+ */
+export function registerInstrument(name, definition) {
+  registry[name] = definition;
+}
+
+/**
+ * Instruments available to choose from
+ *
+ * @returns {Promise<Array>} [{ name, label }]
+ */
+export async function listInstruments() {
+  let manifest = {};
+  try {
+    manifest = await loadManifest();
+  } catch (e) {
+    console.warn('Instrument manifest unavailable:', e);
+  }
+  const all = { ...manifest, ...registry };
+  return Object.entries(all).map(([name, def]) => ({ name, label: def.label || name }));
+}
+
+/**
+ * Load an instrument.
+ * Rejects with a readable message when its samples cannot be loaded;
+ * callers fall back to createSynthPlayer().
+ *
+ * @param {AudioContext} ctx
+ * @param {string} name
+ * @param {Object} options
+ * @param {Function} options.onProgress - Called with (loaded, total)
+ * @returns {Promise<Object>} Player
+ */
+export async function loadInstrument(ctx, name, options = {}) {
+  let def = registry[name];
+  if (!def) {
+    const manifest = await loadManifest().catch(e => {
+      throw new Error(`Could not load the instrument list (${e.message})`);
+    });
+    def = manifest[name] && { baseUrl: `${BASE_URL}${name}/`, ...manifest[name] };
+  }
+  if (!def) throw new Error(`Unknown instrument "${name}"`);
+
+  if (def.create) {
+    const player = await def.create(ctx);
+    return Object.assign(player, { name, label: def.label || name });
+  }
+
+  const entries = Object.entries(def.samples || {});
+  const buffers = new Map();
+  const failed = [];
+  let loaded = 0;
+
+  await Promise.all(entries.map(async ([midi, file]) => {
+    try {
+      const response = await fetch(`${def.baseUrl || ''}${file}`);
+      if (!response.ok) throw new Error(`${response.status}`);
+      const buffer = await ctx.decodeAudioData(await response.arrayBuffer());
+      buffers.set(Number(midi), { buffer, loop: def.loop ? findLoopPoints(buffer) : null });
+    } catch {
+      failed.push(file);
+    }
+    options.onProgress?.(++loaded, entries.length);
+  }));
+
+  // A few missing samples are covered by their neighbours; none at all is an error
+  if (buffers.size === 0) {
+    throw new Error(`${def.label || name} samples could not be loaded`);
+  }
+  if (failed.length) {
+    console.warn(`${name}: ${failed.length} of ${entries.length} samples failed to load (${failed.join(', ')})`);
+  }
+
+  return new SamplePlayer(ctx, buffers, { ...def, name });
+}
+
+/**
+ * Find a steady region to loop for notes longer than the sample:
+ * from an upward zero crossing at ~40% of the sample to one at ~90%
+ */
+function findLoopPoints(buffer) {
+  const data = buffer.getChannelData(0);
+  const upwardCrossing = from => {
+    for (let i = Math.max(1, from); i < data.length; i++) {
+      if (data[i - 1] < 0 && data[i] >= 0) return i;
+    }
+    return -1;
+  };
+  const start = upwardCrossing(Math.floor(data.length * 0.4));
+  const end = upwardCrossing(Math.floor(data.length * 0.9));
+  if (start < 0 || end < 0 || (end - start) / buffer.sampleRate < 0.2) return null;
+  return { start: start / buffer.sampleRate, end: end / buffer.sampleRate };
+}
+
+/**
+ * Plays notes from the nearest sample, pitch-shifted by playback rate
+ */
+class SamplePlayer {
+  constructor(ctx, buffers, def) {
+    this.ctx = ctx;
+    this.buffers = buffers;
+    this.keys = [...buffers.keys()].sort((a, b) => a - b);
+    this.name = def.name;
+    this.label = def.label || def.name;
+    this.release = def.release ?? 0.15;
+    this.gain = def.gain ?? 1;
+    this.fallback = false;
+    this.voices = new Set();
+  }
+
+  play(midi, when = this.ctx.currentTime, { duration = 1, gain = 1 } = {}) {
+    const ctx = this.ctx;
+    const key = this.keys.reduce((best, k) => Math.abs(k - midi) < Math.abs(best - midi) ? k : best, this.keys[0]);
+    const { buffer, loop } = this.buffers.get(key);
+    const rate = Math.pow(2, (midi - key) / 12);
+
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.playbackRate.value = rate;
+    if (loop) {
+      source.loop = true;
+      source.loopStart = loop.start;
+      source.loopEnd = loop.end;
+    }
+
+    // Unlooped samples end on their own; fade out before the cut
+    const sampleEnd = when + buffer.duration / rate;
+    const end = loop ? when + duration : Math.min(when + duration, sampleEnd - this.release);
+    const level = gain * this.gain;
+
+    const amp = ctx.createGain();
+    amp.gain.setValueAtTime(0, when);
+    amp.gain.linearRampToValueAtTime(level, when + 0.01);
+    amp.gain.setValueAtTime(level, Math.max(when + 0.01, end));
+    amp.gain.linearRampToValueAtTime(0, Math.max(when + 0.01, end) + this.release);
+
+    source.connect(amp).connect(ctx.destination);
+    source.start(when);
+    source.stop(Math.max(when + 0.01, end) + this.release + 0.05);
+
+    const voice = { source, amp };
+    this.voices.add(voice);
+    source.onended = () => this.voices.delete(voice);
+    return voice;
+  }
+
+  stop() {
+    const now = this.ctx.currentTime;
+    this.voices.forEach(({ source, amp }) => {
+      amp.gain.cancelScheduledValues(now);
+      amp.gain.setValueAtTime(amp.gain.value, now);
+      amp.gain.linearRampToValueAtTime(0, now + 0.05);
+      try { source.stop(now + 0.06); } catch { /* not started */ }
+    });
+    this.voices.clear();
+  }
+}
+
+/**
+ * Oscillator synth — needs no samples, so it always plays.
+ * A soft triangle with a quiet octave above, rounded by a low-pass filter.
+ */
+export function createSynthPlayer(ctx) {
+  const voices = new Set();
+
+  return {
+    name: SYNTH,
+    label: 'Synth',
+    fallback: true,
+
+    play(midi, when = ctx.currentTime, { duration = 1, gain = 1 } = {}) {
+      const freq = 440 * Math.pow(2, (midi - 69) / 12);
+      const end = when + duration;
+
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = Math.min(4000, freq * 6);
+
+      const amp = ctx.createGain();
+      amp.gain.setValueAtTime(0, when);
+      amp.gain.linearRampToValueAtTime(0.35 * gain, when + 0.03);
+      amp.gain.setValueAtTime(0.35 * gain, Math.max(when + 0.03, end - 0.05));
+      amp.gain.linearRampToValueAtTime(0, end + 0.1);
+      filter.connect(amp).connect(ctx.destination);
+
+      const oscs = [['triangle', freq, 1], ['sine', freq * 2, 0.25]].map(([type, f, level]) => {
+        const osc = ctx.createOscillator();
+        const g = ctx.createGain();
+        osc.type = type;
+        osc.frequency.value = f;
+        g.gain.value = level;
+        osc.connect(g).connect(filter);
+        osc.start(when);
+        osc.stop(end + 0.15);
+        return osc;
+      });
+
+      const voice = { oscs, amp };
+      voices.add(voice);
+      oscs[0].onended = () => voices.delete(voice);
+      return voice;
+    },
+
+    stop() {
+      const now = ctx.currentTime;
+      voices.forEach(({ oscs, amp }) => {
+        amp.gain.cancelScheduledValues(now);
+        amp.gain.setValueAtTime(amp.gain.value, now);
+        amp.gain.linearRampToValueAtTime(0, now + 0.05);
+        oscs.forEach(o => { try { o.stop(now + 0.06); } catch { /* not started */ } });
+      });
+      voices.clear();
+    }
+  };
+}
+
+export default { SYNTH, registerInstrument, listInstruments, loadInstrument, createSynthPlayer };
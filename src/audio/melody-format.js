@@ -0,0 +1,461 @@
+/**
+ * Melody Format
+ *
+ * Reads and writes the hymn melody JSON served from /hymn_melodies/{id}.json,
+ * and converts it to the internal melody format used by the grader and NotationDisplay.
+ *
+ * File format: {
+ *   hymnId: 237,
+ *   number: "237",
+ *   title: "Unity",
+ *   key: "C",
+ *   timeSignature: "3/2",
+ *   bpm: 60,
+ *   meter: "8.7.8.7",
+ *   pickup: 1,                // optional: beat units in an opening pickup (anacrusis) measure
+ *   notes: [{ midi, dur, beat, measure, lyric, fermata? }],   // soprano (melody); lyric = first verse
+ *                             // a rest is { rest: true, dur, beat, measure }
+ *   parts: {                  // optional lower voices, same note format
+ *     alto: [...], tenor: [...], bass: [...]
+ *   },
+ *   verses: [                 // optional, when the hymn has more than one stanza:
+ *     ["Thus", "u-", ...],    // one syllable per soprano note (rests: "") for every verse,
+ *     ["Let", "us", ...]      // the first matching the notes' lyrics
+ *   ],
+ *   structure: {              // optional repeats, by written measure index (inclusive):
+ *     repeats: [{ start: 0, end: 3, times: 2 }],         // times defaults to 2
+ *     endings: [{ numbers: [1], start: 3, end: 3 },      // first and second endings (voltas)
+ *               { numbers: [2], start: 4, end: 4 }],
+ *     sections: [{ label: "Refrain", start: 8 }]         // labels shown over the staff
+ *   },
+ *   _note: "..."              // optional transcription remarks
+ * }
+ *
+ * Durations are in beat units of the time signature's denominator
+ * (half notes in 3/2, quarter notes in 4/4, eighth notes in 6/8),
+ * so a full measure always holds as many units as the numerator.
+ * With a pickup, measure 0 holds only the pickup beats and measure 1 is the
+ * first full measure. A fermata note is held FERMATA_HOLD times its value.
+ *
+ * Notes are stored as written. expandVerses (through expandStructure) unrolls
+ * repeats and verses into the order they are sung, which is what the lead-in,
+ * accompaniment, follow-along and grader use.
+ */
+
+/**
+ * Convert MIDI note number to frequency
+ */
+function midiToFreq(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * How much longer than written a note under a fermata is held
+ * (the lead-in, follow-along and the grader's expected timing all use it)
+ */
+export const FERMATA_HOLD = 1.5;
+
+/**
+ * Duration units a note or rest takes when performed: its value, held longer under a fermata
+ */
+export function performedLength(note) {
+  return note.fermata ? note.dur * FERMATA_HOLD : note.dur;
+}
+
+/**
+ * SATB voices, top to bottom
+ */
+export const VOICES = ['soprano', 'alto', 'tenor', 'bass'];
+
+/**
+ * Staff each voice is read from in a hymnal's closed score
+ */
+export function clefForVoice(voice) {
+  return voice === 'tenor' || voice === 'bass' ? 'bass' : 'treble';
+}
+
+/**
+ * Number of duration units in one measure
+ */
+export function measureLength(timeSignature = '4/4') {
+  const [n] = timeSignature.split('/').map(Number);
+  return n || 4;
+}
+
+/**
+ * Recompute each note's measure index and beat position from the durations.
+ *
+ * @param {Array} notes - Notes with { dur }
+ * @param {string} timeSignature
+ * @param {number} pickup - Beat units in an opening pickup measure (0 for none)
+ * @returns {Array} New note objects with { measure, beat } set
+ */
+export function assignMeasures(notes, timeSignature = '4/4', pickup = 0) {
+  const perMeasure = measureLength(timeSignature);
+  // A pickup is the end of measure 0: a one-beat pickup in 4/4 falls on beat 4
+  let position = pickup > 0 && pickup < perMeasure ? perMeasure - pickup : 0;
+
+  return notes.map(note => {
+    // Round away float drift from dotted and tuplet-ish values
+    const pos = Math.round(position * 1000) / 1000;
+    const measure = Math.floor(pos / perMeasure + 1e-6);
+    const beat = Math.round((pos - measure * perMeasure) * 1000) / 1000;
+    position += note.dur;
+    return { ...note, measure, beat };
+  });
+}
+
+/**
+ * Find measures whose durations do not add up to a full measure.
+ * The final measure is allowed to be short, and so is a pickup measure
+ * (measure 0 holding exactly `pickup` units).
+ *
+ * @returns {Array} [{ measure, total, expected }]
+ */
+export function findIncompleteMeasures(notes, timeSignature = '4/4', pickup = 0) {
+  const perMeasure = measureLength(timeSignature);
+  const totals = {};
+  notes.forEach(n => { totals[n.measure] = (totals[n.measure] || 0) + n.dur; });
+
+  const measures = Object.keys(totals).map(Number).sort((a, b) => a - b);
+  const last = measures[measures.length - 1];
+  return measures
+    .filter(m => m !== last && Math.abs(totals[m] - perMeasure) > 0.01)
+    .filter(m => !(m === 0 && pickup > 0 && Math.abs(totals[m] - pickup) <= 0.01))
+    .map(m => ({ measure: m, total: Math.round(totals[m] * 1000) / 1000, expected: m === 0 && pickup > 0 ? pickup : perMeasure }));
+}
+
+/**
+ * Beat units before the first full measure: the length of measure 0 when it
+ * is shorter than a measure and more follow, otherwise 0. Works on any note
+ * list with measures, including unrolled ones, so callers need not carry the
+ * melody's `pickup` along.
+ *
+ * @param {Array} notes - Notes with { dur, measure }
+ * @param {string} timeSignature
+ * @returns {number}
+ */
+export function pickupLength(notes, timeSignature = '4/4') {
+  if (!notes?.length) return 0;
+  const first = notes[0].measure ?? 0;
+  const opening = notes.filter(n => (n.measure ?? 0) === first);
+  if (opening.length === notes.length) return 0;
+  const total = opening.reduce((sum, n) => sum + n.dur, 0);
+  return total < measureLength(timeSignature) - 0.01 ? Math.round(total * 1000) / 1000 : 0;
+}
+
+/**
+ * Convert melody JSON (as stored in /hymn_melodies) to the internal melody format.
+ * `verses` always lists every verse; without one in the file it is the notes' lyrics.
+ *
+ * @param {Object} data - Parsed melody JSON
+ * Rests stay in the note lists, as { rest: true, midi: null, dur, measure }, so
+ * every note keeps its place in time.
+ *
+ * @returns {Object} Melody with notes carrying { midi, freq, dur, measure, lyric, fermata? }
+ */
+export function normalizeMelody(data) {
+  const toInternal = list => (list || []).map(n => n.rest ? {
+    rest: true,
+    midi: null,
+    freq: null,
+    dur: n.dur,
+    measure: n.measure,
+    lyric: ''
+  } : {
+    midi: n.midi,
+    freq: midiToFreq(n.midi),
+    dur: n.dur,
+    measure: n.measure,
+    lyric: n.lyric,
+    ...(n.fermata ? { fermata: true } : {})
+  });
+  const notes = toInternal(data.notes);
+
+  const parts = { soprano: notes };
+  for (const voice of VOICES.slice(1)) {
+    if (data.parts?.[voice]?.length) parts[voice] = toInternal(data.parts[voice]);
+  }
+
+  const lyrics = notes.map(n => n.lyric || '');
+  const verses = data.verses?.length ? data.verses : lyrics.some(Boolean) ? [lyrics] : [];
+  // Notes without a lyric of their own take the first verse's
+  if (verses.length) notes.forEach((n, i) => { if (!n.rest && !n.lyric && verses[0][i]) n.lyric = verses[0][i]; });
+
+  return {
+    ...data,
+    keySignature: data.keySignature || data.key || 'C',
+    notes,
+    parts,
+    verses
+  };
+}
+
+/**
+ * Number of verses a melody has words for (at least one)
+ */
+export function verseCount(melody) {
+  return Math.max(1, melody?.verses?.length || 0);
+}
+
+/**
+ * Written measure indices in the order they are sung, following repeats and
+ * first/second endings. A measure under an ending is sung on the passes the
+ * ending is numbered for; after a repeat, endings that follow it count as its
+ * last pass.
+ *
+ * @param {Object} structure - { repeats, endings } from the melody JSON
+ * @param {number} measureCount - Written measures
+ * @returns {Array<number>}
+ */
+export function playbackMeasures(structure, measureCount) {
+  const repeats = [...(structure?.repeats || [])].sort((a, b) => (a.start ?? 0) - (b.start ?? 0));
+  const endings = structure?.endings || [];
+  const endingAt = m => endings.find(e => m >= e.start && m <= (e.end ?? e.start));
+  const order = [];
+  let pass = 1;
+
+  for (let m = 0; m < measureCount;) {
+    const repeat = repeats.find(r => (r.start ?? 0) === m && r.end >= m);
+    if (repeat) {
+      const times = Math.max(1, repeat.times || 2);
+      for (pass = 1; pass <= times; pass++) {
+        for (let k = m; k <= repeat.end && k < measureCount; k++) {
+          const ending = endingAt(k);
+          if (!ending || ending.numbers.includes(pass)) order.push(k);
+        }
+      }
+      pass = times;
+      m = repeat.end + 1;
+      continue;
+    }
+    const ending = endingAt(m);
+    if (!ending || ending.numbers.includes(pass)) order.push(m);
+    m++;
+  }
+  return order;
+}
+
+/**
+ * The melody (every part) in the order it is sung once through, following its
+ * `structure`. Each note keeps its written position as `writtenIndex` and
+ * `writtenMeasure`; `measure` counts sung measures from 0. A melody without
+ * repeats is returned as it is.
+ *
+ * @param {Object} melody - Internal melody from normalizeMelody
+ * @returns {Object}
+ */
+export function expandStructure(melody) {
+  if (!melody?.notes?.length || !melody.structure?.repeats?.length) return melody;
+  const soprano = melody.parts?.soprano || melody.notes;
+  const measureCount = Math.max(...soprano.map(n => n.measure ?? 0)) + 1;
+  const order = playbackMeasures(melody.structure, measureCount);
+
+  const unroll = list => {
+    const byMeasure = {};
+    list.forEach((n, i) => {
+      const m = n.measure ?? 0;
+      if (!byMeasure[m]) byMeasure[m] = [];
+      byMeasure[m].push({ ...n, writtenIndex: i, writtenMeasure: m });
+    });
+    return order.flatMap((m, sung) => (byMeasure[m] || []).map(n => ({ ...n, measure: sung })));
+  };
+
+  const parts = melody.parts && Object.fromEntries(Object.entries(melody.parts).map(([v, list]) => [v, unroll(list)]));
+  return {
+    ...melody,
+    notes: melody.notes === soprano ? (parts?.soprano || unroll(soprano)) : unroll(melody.notes),
+    parts
+  };
+}
+
+/**
+ * The melody sung through verses `from` to `to` (1-based, inclusive): the notes of
+ * every part, with repeats unrolled, sung once per verse, each note carrying its
+ * `verse` and that verse's lyric. Measures keep counting through the verses, so the
+ * passes stay in order for the lead-in, follow-along and grading. `writtenIndex`
+ * maps every note back to the written notes (for the notation). A single pass of
+ * a melody with at most one verse and no repeats is returned as it is.
+ *
+ * @param {Object} melody - Internal melody from normalizeMelody
+ * @param {number} from - First verse
+ * @param {number} to - Last verse
+ * @returns {Object} Melody with `verseRange: [from, to]` and `passLength` (notes sung per verse)
+ */
+export function expandVerses(melody, from = 1, to = from) {
+  if (!melody?.notes?.length) return melody;
+  const count = verseCount(melody);
+  const first = Math.max(1, Math.min(from, count));
+  const last = Math.max(first, Math.min(to, count));
+  const sung = expandStructure(melody);
+  if (count === 1 && last === 1) return sung;
+
+  const soprano = sung.parts?.soprano || sung.notes;
+  const measuresPerPass = Math.max(...soprano.map(n => n.measure ?? 0)) + 1;
+  const repeat = (list, withLyrics) => {
+    const out = [];
+    for (let verse = first; verse <= last; verse++) {
+      const offset = (verse - first) * measuresPerPass;
+      list.forEach((n, i) => out.push({
+        ...n,
+        measure: (n.measure ?? 0) + offset,
+        verse,
+        writtenIndex: n.writtenIndex ?? i,
+        ...(withLyrics ? { lyric: melody.verses?.[verse - 1]?.[n.writtenIndex ?? i] ?? '' } : {})
+      }));
+    }
+    return out;
+  };
+
+  const parts = sung.parts && Object.fromEntries(Object.entries(sung.parts).map(([v, list]) => [v, repeat(list, list === soprano)]));
+  return {
+    ...sung,
+    notes: sung.notes === soprano ? (parts?.soprano || repeat(soprano, true)) : repeat(sung.notes, false),
+    parts,
+    verseRange: [first, last],
+    passLength: sung.notes.length
+  };
+}
+
+/**
+ * Voices a melody has notes for, top to bottom
+ */
+export function availableVoices(melody) {
+  if (!melody) return [];
+  return VOICES.filter(v => (v === 'soprano' ? melody.parts?.soprano || melody.notes : melody.parts?.[v])?.length);
+}
+
+/**
+ * The melody with `notes` replaced by one voice's part.
+ * Falls back to the soprano when the melody has no such part.
+ */
+export function selectPart(melody, voice = 'soprano') {
+  if (!melody) return melody;
+  const notes = melody.parts?.[voice]?.length ? melody.parts[voice] : (melody.parts?.soprano || melody.notes);
+  const chosen = melody.parts?.[voice]?.length ? voice : 'soprano';
+  return { ...melody, notes, voice: chosen };
+}
+
+/**
+ * Key names by pitch class, spelled the way hymnals usually write them
+ */
+const MAJOR_KEYS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_KEYS = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+const PITCH_CLASS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Key name moved by a number of semitones ("Eb" + 2 → "F", "Am" + 3 → "Cm").
+ * Unrecognized names are returned unchanged.
+ */
+export function transposeKey(key, semitones) {
+  const match = /^([A-G])([#b]?)(m?)$/.exec(key || '');
+  if (!match || !semitones) return key;
+  const [, letter, accidental, minor] = match;
+  const pc = PITCH_CLASS[letter] + (accidental === '#' ? 1 : accidental === 'b' ? -1 : 0);
+  const target = (((pc + semitones) % 12) + 12) % 12;
+  return (minor ? MINOR_KEYS : MAJOR_KEYS)[target] + minor;
+}
+
+/**
+ * The melody (every part) moved by a number of semitones, with its key updated.
+ * Returns the same object when there is nothing to move.
+ *
+ * @param {Object} melody - Internal melody from normalizeMelody
+ * @param {number} semitones - Positive = higher
+ * @returns {Object}
+ */
+export function transposeMelody(melody, semitones) {
+  if (!melody || !semitones) return melody;
+  const shift = list => list?.map(n => n.rest ? n : { ...n, midi: n.midi + semitones, freq: midiToFreq(n.midi + semitones) });
+  const parts = melody.parts && Object.fromEntries(Object.entries(melody.parts).map(([v, list]) => [v, shift(list)]));
+  return {
+    ...melody,
+    key: melody.key && transposeKey(melody.key, semitones),
+    keySignature: transposeKey(melody.keySignature || melody.key || 'C', semitones),
+    notes: melody.notes === melody.parts?.soprano ? parts.soprano : shift(melody.notes),
+    parts,
+    transpose: (melody.transpose || 0) + semitones
+  };
+}
+
+/**
+ * Convert an internal melody back to the melody JSON file format.
+ * Measures and beats are recomputed from the durations.
+ *
+ * @param {Object} melody - { hymnId, number, title, key, timeSignature, bpm, meter, pickup?, notes }
+ * @returns {Object} Melody JSON object
+ */
+export function serializeMelody(melody) {
+  const timeSignature = melody.timeSignature || '4/4';
+  const pickup = melody.pickup > 0 ? melody.pickup : 0;
+  const toFile = list => assignMeasures(list || [], timeSignature, pickup).map(n => n.rest ? {
+    rest: true,
+    dur: n.dur,
+    beat: n.beat,
+    measure: n.measure
+  } : {
+    midi: n.midi,
+    dur: n.dur,
+    beat: n.beat,
+    measure: n.measure,
+    lyric: n.lyric || '',
+    ...(n.fermata ? { fermata: true } : {})
+  });
+  const notes = toFile(melody.parts?.soprano || melody.notes);
+  // Later verses are kept as they were; the first always follows the notes
+  const verses = melody.verses?.length > 1 ? [notes.map(n => n.lyric || ''), ...melody.verses.slice(1)] : null;
+
+  const parts = {};
+  for (const voice of VOICES.slice(1)) {
+    if (melody.parts?.[voice]?.length) parts[voice] = toFile(melody.parts[voice]);
+  }
+
+  return {
+    hymnId: melody.hymnId ?? null,
+    number: melody.number != null ? String(melody.number) : '',
+    title: melody.title || '',
+    key: melody.key || melody.keySignature || 'C',
+    timeSignature,
+    bpm: melody.bpm || 80,
+    meter: melody.meter || '',
+    ...(pickup ? { pickup } : {}),
+    ...(melody.structure ? { structure: melody.structure } : {}),
+    notes,
+    ...(Object.keys(parts).length ? { parts } : {}),
+    ...(verses ? { verses } : {}),
+    ...(melody._note ? { _note: melody._note } : {})
+  };
+}
+
+/**
+ * Serialize a melody to JSON text laid out like the files in /hymn_melodies:
+ * metadata on separate lines, one note per line.
+ */
+export function melodyToJson(melody) {
+  const { notes, parts, verses, _note, ...meta } = serializeMelody(melody);
+  const metaLines = Object.entries(meta).map(([k, v]) => `  ${JSON.stringify(k)}: ${JSON.stringify(v)},`);
+  const noteLines = (list, indent) => list.map((n, i) => {
+    const fields = Object.entries(n).map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ');
+    return `${indent}{${fields}}${i < list.length - 1 ? ',' : ''}`;
+  });
+
+  const blocks = [['  "notes": [', ...noteLines(notes, '    '), '  ]']];
+  if (parts) {
+    const voices = Object.keys(parts);
+    blocks.push([
+      '  "parts": {',
+      ...voices.flatMap((v, i) => [`    ${JSON.stringify(v)}: [`, ...noteLines(parts[v], '      '), `    ]${i < voices.length - 1 ? ',' : ''}`]),
+      '  }'
+    ]);
+  }
+  if (verses) {
+    blocks.push(['  "verses": [', ...verses.map((v, i) => `    ${JSON.stringify(v)}${i < verses.length - 1 ? ',' : ''}`), '  ]']);
+  }
+  if (_note) blocks.push([`  "_note": ${JSON.stringify(_note)}`]);
+
+  // Comma after every block but the last
+  const body = blocks.flatMap((b, i) => i < blocks.length - 1 ? [...b.slice(0, -1), b[b.length - 1] + ','] : b);
+  return ['{', ...metaLines, ...body, '}', ''].join('\n');
+}
+
+export default { VOICES, FERMATA_HOLD, performedLength, clefForVoice, measureLength, assignMeasures, findIncompleteMeasures, pickupLength, normalizeMelody, verseCount, playbackMeasures, expandStructure, expandVerses, availableVoices, selectPart, transposeKey, transposeMelody, serializeMelody, melodyToJson };
@@ -5,14 +5,23 @@
  * Uses @tonejs/midi for parsing.
  *
  * Output format: {
- *   notes: [{ midi, dur, freq, measure, lyric? }],
+ *   notes: [{ midi, dur, freq, measure, lyric? }],   // the requested voice
+ *   parts: { soprano, alto, tenor, bass },           // every voice found, same note format
+ *   voice: "soprano",
  *   timeSignature: "4/4",
  *   tempo: 120,
  *   keySignature: "C",
  *   title: "...",
- *   tracks: [{ name, noteCount, avgMidi }],
+ *   tracks: [{ name, noteCount, avgMidi, voices }],
  *   selectedTrack: 0
  * }
+ *
+ * Hymn MIDI files come in three common layouts, all mapped to SATB:
+ * - one track per voice (named or ordered by average pitch)
+ * - two tracks, treble (S+A) and bass (T+B), with the voices as chords
+ * - a single track holding all four voices as chords
+ * A track is only split into voices when it holds chords, so a melody-only
+ * file gives just the soprano.
  */
 
 import { Midi } from '@tonejs/midi';
@@ -24,12 +33,123 @@ function midiToFreq(midi) {
   return 440 * Math.pow(2, (midi - 69) / 12);
 }
 
+const VOICES = ['soprano', 'alto', 'tenor', 'bass'];
+const VOICE_NAMES = [/sop|treble|melody|\bs\b/i, /alto|\ba\b/i, /ten|\bt\b/i, /bass|\bb\b/i];
+
+// Notes starting within this many seconds belong to the same chord
+const CHORD_TOLERANCE_SEC = 0.03;
+
+// A chord size must make up this share of a track's onsets to count as its voice count
+const CHORD_SHARE = 0.25;
+
+/**
+ * Group notes starting together (within CHORD_TOLERANCE_SEC) into chords, each top to bottom
+ */
+function groupChords(notes) {
+  const sorted = notes.slice().sort((a, b) => a.time - b.time || b.midi - a.midi);
+  const chords = [];
+  let i = 0;
+  while (i < sorted.length) {
+    const chord = [sorted[i]];
+    while (i + chord.length < sorted.length && sorted[i + chord.length].time - sorted[i].time <= CHORD_TOLERANCE_SEC) {
+      chord.push(sorted[i + chord.length]);
+    }
+    i += chord.length;
+    chords.push(chord.sort((a, b) => b.midi - a.midi));
+  }
+  return chords;
+}
+
+/**
+ * How many voices a track holds: 1 for a single line, or the largest chord
+ * size that makes up a fair share of its onsets (stray double notes in a
+ * melody track don't make it chordal).
+ */
+function voiceCount(notes) {
+  const chords = groupChords(notes);
+  for (let size = 4; size > 1; size--) {
+    if (chords.filter(c => c.length >= size).length >= chords.length * CHORD_SHARE) return size;
+  }
+  return 1;
+}
+
+/**
+ * Split a chordal track into `count` monophonic lines, top to bottom.
+ * A chord with fewer notes than lines gives its notes to the nearest lines
+ * (a unison is shared by both voices, as on a shared stem).
+ */
+function splitChordVoices(notes, count) {
+  const lines = Array.from({ length: count }, () => []);
+  for (const chord of groupChords(notes)) {
+    for (let v = 0; v < count; v++) {
+      lines[v].push(chord[Math.min(chord.length - 1, Math.round(v * (chord.length - 1) / Math.max(1, count - 1)))]);
+    }
+  }
+  return lines;
+}
+
+// Lines found → voices they are read as, top to bottom
+const VOICE_LAYOUTS = {
+  1: ['soprano'],
+  2: ['soprano', 'bass'],
+  3: ['soprano', 'alto', 'bass'],
+  4: VOICES
+};
+
+/**
+ * Map tracks to SATB voices.
+ *
+ * Tracks named after the four voices are used as named. Otherwise tracks are
+ * read from the highest to the lowest, each giving as many lines as it holds
+ * voices, and the lines are assigned top to bottom. A voice no line is found
+ * for is left out rather than filled with a copy of another.
+ *
+ * @returns {Object} { soprano: [toneNotes], alto, tenor, bass } (voices found only)
+ *   plus a per-track list of the voices it supplied
+ */
+function assignVoices(midi, tracksWithNotes) {
+  const notesOf = track => midi.tracks[track.originalIndex].notes;
+  const voiceNotes = {};
+  const trackVoices = {};
+  const assign = (track, voices) => {
+    const count = voiceCount(notesOf(track));
+    // A single line is used as it is; a chordal track is split, or reduced to its top line
+    const lines = count === 1 ? [notesOf(track)] : splitChordVoices(notesOf(track), voices.length);
+    voices.forEach((v, i) => { voiceNotes[v] = lines[i]; });
+    trackVoices[track.originalIndex] = voices;
+  };
+
+  // Tracks named after voices
+  const named = VOICES.map((v, i) => tracksWithNotes.find(t => VOICE_NAMES[i].test(t.name)));
+  const byPitch = [...tracksWithNotes].sort((a, b) => b.avgMidi - a.avgMidi);
+  if (tracksWithNotes.length >= 4 && named.every(Boolean) && new Set(named).size === 4) {
+    named.forEach((t, i) => assign(t, [VOICES[i]]));
+  } else if (tracksWithNotes.length >= 4) {
+    byPitch.slice(0, 4).forEach((t, i) => assign(t, [VOICES[i]]));
+  } else {
+    // Lines per track, trimmed from the fullest tracks until there are no more than four
+    const counts = byPitch.map(t => voiceCount(notesOf(t)));
+    while (counts.reduce((sum, c) => sum + c, 0) > 4) {
+      counts[counts.indexOf(Math.max(...counts))]--;
+    }
+    const layout = VOICE_LAYOUTS[counts.reduce((sum, c) => sum + c, 0)];
+    let next = 0;
+    byPitch.forEach((t, i) => {
+      assign(t, layout.slice(next, next + counts[i]));
+      next += counts[i];
+    });
+  }
+
+  return { voiceNotes, trackVoices };
+}
+
 /**
  * Parse a MIDI ArrayBuffer into the internal melody format.
  *
  * @param {ArrayBuffer} arrayBuffer - Raw MIDI file data
  * @param {Object} options
- * @param {number} options.trackIndex - Which track to use (default: auto-detect soprano)
+ * @param {number} options.trackIndex - Which track to use (overrides voice)
+ * @param {string} options.voice - Which SATB voice to return as `notes` (default: soprano)
  * @returns {Object} Parsed melody data
  */
 export function parseMidiFile(arrayBuffer, options = {}) {
@@ -81,6 +201,8 @@ export function parseMidiFile(arrayBuffer, options = {}) {
     console.warn('MIDI parser: no tracks with notes found');
     return {
       notes: [],
+      parts: {},
+      voice: null,
       timeSignature,
       tempo,
       keySignature,
@@ -90,14 +212,17 @@ export function parseMidiFile(arrayBuffer, options = {}) {
     };
   }
 
-  // Auto-detect soprano: highest average pitch among tracks with notes
+  const { voiceNotes, trackVoices } = assignVoices(midi, tracksWithNotes);
+  tracks.forEach((t, i) => { t.voices = trackVoices[i] || []; });
+
+  // An explicit track wins; otherwise use the track carrying the requested voice
+  // A voice the file has no line for falls back to the soprano
+  const voice = voiceNotes[options.voice]?.length ? options.voice : 'soprano';
   let selectedTrackIdx;
   if (options.trackIndex != null && options.trackIndex >= 0) {
     selectedTrackIdx = options.trackIndex;
   } else {
-    // Pick the track with the highest average MIDI (soprano is highest voice)
-    const sorted = [...tracksWithNotes].sort((a, b) => b.avgMidi - a.avgMidi);
-    selectedTrackIdx = sorted[0].originalIndex;
+    selectedTrackIdx = Number(Object.keys(trackVoices).find(i => trackVoices[i].includes(voice)));
   }
 
   const selectedTrack = midi.tracks[selectedTrackIdx];
@@ -105,6 +230,8 @@ export function parseMidiFile(arrayBuffer, options = {}) {
     console.warn('MIDI parser: selected track has no notes, index:', selectedTrackIdx);
     return {
       notes: [],
+      parts: {},
+      voice: null,
       timeSignature,
       tempo,
       keySignature,
@@ -157,25 +284,40 @@ export function parseMidiFile(arrayBuffer, options = {}) {
   }
 
   // Convert track notes to our internal format
-  const notes = selectedTrack.notes
-    .slice() // Don't mutate original
-    .sort((a, b) => a.time - b.time) // Sort by time
-    .map(note => {
-      const measure = Math.floor(note.time / secPerMeasure);
-      const dur = secToBeatUnits(note.duration);
-
-      return {
-        midi: note.midi,
-        dur: Math.round(dur * 100) / 100, // Round to 2 decimal places
-        freq: midiToFreq(note.midi),
-        measure,
-      };
-    });
+  function toMelodyNotes(trackNotes) {
+    return trackNotes
+      .slice() // Don't mutate original
+      .sort((a, b) => a.time - b.time) // Sort by time
+      .map(note => {
+        const measure = Math.floor(note.time / secPerMeasure);
+        const dur = secToBeatUnits(note.duration);
+
+        return {
+          midi: note.midi,
+          dur: Math.round(dur * 100) / 100, // Round to 2 decimal places
+          freq: midiToFreq(note.midi),
+          measure,
+        };
+      });
+  }
+
+  const parts = {};
+  for (const v of VOICES) {
+    if (voiceNotes[v]?.length) parts[v] = toMelodyNotes(voiceNotes[v]);
+  }
+
+  // A chordal track holds two or more voices; an explicit track pick takes its top line
+  const explicit = options.trackIndex != null && options.trackIndex >= 0;
+  const notes = explicit
+    ? toMelodyNotes(trackVoices[selectedTrackIdx]?.length > 1 ? splitChordVoices(selectedTrack.notes, 1)[0] : selectedTrack.notes)
+    : parts[voice];
 
-  console.log(`MIDI parsed: "${title}" — ${tracks.length} tracks, track ${selectedTrackIdx} selected (${notes.length} notes), ${timeSignature} @ ${tempo} BPM, key: ${keySignature}`);
+  console.log(`MIDI parsed: "${title}" — ${tracks.length} tracks, voices ${Object.keys(parts).join('/')}, ${explicit ? `track ${selectedTrackIdx}` : voice} selected (${notes.length} notes), ${timeSignature} @ ${tempo} BPM, key: ${keySignature}`);
 
   return {
     notes,
+    parts,
+    voice: explicit ? null : voice,
     timeSignature,
     tempo,
     keySignature,
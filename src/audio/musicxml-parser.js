@@ -0,0 +1,537 @@
+/**
+ * MusicXML Parser
+ *
+ * Parses MusicXML scores (.musicxml / .xml, or compressed .mxl) into the same
+ * melody shape as midi-parser.js, keeping what MIDI loses: lyrics for every
+ * verse, the key as spelled, pickups, rests, fermatas and repeats.
+ *
+ * Output format: {
+ *   notes: [{ midi, dur, freq, measure, lyric?, fermata? }],   // the requested voice
+ *   parts: { soprano, alto, tenor, bass },                    // every voice found, same note format
+ *   voice: "soprano",
+ *   timeSignature: "4/4",
+ *   tempo: 80,
+ *   keySignature: "Eb",
+ *   title: "...",
+ *   tracks: [{ name, noteCount, avgMidi, voices }],           // one per score part
+ *   selectedTrack: 0,
+ *   verses: [["Thus", "u-", ...], ...],                       // soprano syllables, one array per verse
+ *   pickup: 1,                                                // beat units before the first full measure
+ *   structure: { repeats, endings, sections }                 // when the score has repeats or labels
+ * }
+ * Rests are { rest: true, midi: null, freq: null, dur, measure }. Measures
+ * count from 0, a pickup being measure 0, and durations are in beat units of
+ * the time signature's denominator, as in the melody JSON format.
+ *
+ * Hymn scores come in three common layouts, all mapped to SATB:
+ * - one part per voice
+ * - two staves (treble S+A, bass T+B), each with two voices or with chords
+ * - a single staff holding the melody
+ * Lines are read top to bottom in score order: parts, then staves, then
+ * voices, with chords split into their notes from the top.
+ */
+
+const VOICES = ['soprano', 'alto', 'tenor', 'bass'];
+
+// Lines found → voices they are read as, top to bottom
+const VOICE_LAYOUTS = {
+  1: ['soprano'],
+  2: ['soprano', 'bass'],
+  3: ['soprano', 'alto', 'bass'],
+  4: VOICES
+};
+
+const STEPS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const MAJOR_BY_FIFTHS = ['Cb', 'Gb', 'Db', 'Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#'];
+const MINOR_BY_FIFTHS = ['Ab', 'Eb', 'Bb', 'F', 'C', 'G', 'D', 'A', 'E', 'B', 'F#', 'C#', 'G#', 'D#', 'A#'];
+
+// Length of a metronome beat unit in quarter notes
+const BEAT_UNIT_QUARTERS = { whole: 4, half: 2, quarter: 1, eighth: 0.5, '16th': 0.25 };
+
+// Used when the score gives no tempo
+const DEFAULT_TEMPO = 80;
+
+/**
+ * Convert MIDI note number to frequency
+ */
+function midiToFreq(midi) {
+  return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// ─── XML helpers ────────────────────────────────────────────
+
+function child(el, name) {
+  if (!el) return null;
+  for (const c of el.children) if (c.tagName === name) return c;
+  return null;
+}
+
+function childrenNamed(el, name) {
+  return el ? [...el.children].filter(c => c.tagName === name) : [];
+}
+
+function textOf(el, ...path) {
+  let node = el;
+  for (const name of path) node = child(node, name);
+  const text = node?.textContent.trim();
+  return text ? text : null;
+}
+
+function parseXml(xmlText) {
+  const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('Not a valid MusicXML file');
+  }
+  return doc;
+}
+
+// ─── Reading the score ──────────────────────────────────────
+
+/**
+ * Key name from <key>: "Eb", or "Cm" in a minor mode
+ */
+function keyName(keyEl) {
+  const fifths = Number(textOf(keyEl, 'fifths'));
+  if (!Number.isInteger(fifths) || fifths < -7 || fifths > 7) return 'C';
+  return textOf(keyEl, 'mode') === 'minor' ? `${MINOR_BY_FIFTHS[fifths + 7]}m` : MAJOR_BY_FIFTHS[fifths + 7];
+}
+
+/**
+ * Felt-beat tempo (see getMsPerBeatUnit) from quarter notes per minute
+ */
+function tempoInBeats(quarterBpm, beats, beatType) {
+  const compound = beatType >= 8 && beats > 3 && beats % 3 === 0;
+  return Math.round(quarterBpm * beatType / 4 / (compound ? 3 : 1));
+}
+
+/**
+ * Quarter notes per minute from a <direction>'s <sound tempo> or <metronome>
+ */
+function directionTempo(direction) {
+  const sound = child(direction, 'sound');
+  if (sound?.getAttribute('tempo')) return Number(sound.getAttribute('tempo'));
+  const metronome = child(child(direction, 'direction-type'), 'metronome');
+  const perMinute = Number(textOf(metronome, 'per-minute'));
+  const unit = BEAT_UNIT_QUARTERS[textOf(metronome, 'beat-unit')];
+  if (!perMinute || !unit) return null;
+  return perMinute * unit * (child(metronome, 'beat-unit-dot') ? 1.5 : 1);
+}
+
+/**
+ * One note's lyrics: { [verse number]: { text, syllabic, extend } },
+ * extend being the melisma line's "start", "continue" or "stop" (null when none)
+ */
+function readLyrics(noteEl) {
+  const lyrics = {};
+  childrenNamed(noteEl, 'lyric').forEach(lyric => {
+    const text = childrenNamed(lyric, 'text').map(t => t.textContent.trim()).filter(Boolean).join(' ');
+    lyrics[lyric.getAttribute('number') || '1'] = {
+      text,
+      syllabic: textOf(lyric, 'syllabic') || 'single',
+      extend: child(lyric, 'extend')?.getAttribute('type') || (child(lyric, 'extend') ? 'start' : null)
+    };
+  });
+  return lyrics;
+}
+
+/**
+ * Every note and rest in a part, with onsets in beat units from the start of
+ * the score, plus the measure lengths. Score-wide settings are read into
+ * `settings` on the way; barlines and section labels only from the top part.
+ */
+function readPart(partEl, settings, top) {
+  const events = [];
+  const measureStarts = [];
+  let divisions = 1;
+  let measureStart = 0;
+  let lastOnset = 0;
+
+  childrenNamed(partEl, 'measure').forEach((measureEl, measure) => {
+    measureStarts.push(measureStart);
+    let pos = measureStart;
+    let end = measureStart;
+    const units = el => Number(textOf(el, 'duration') || 0) / divisions * settings.beatType / 4;
+
+    for (const el of measureEl.children) {
+      switch (el.tagName) {
+        case 'attributes': {
+          if (textOf(el, 'divisions')) divisions = Number(textOf(el, 'divisions'));
+          const time = child(el, 'time');
+          if (time && !settings.timeRead) {
+            settings.beats = textOf(time, 'beats').split('+').reduce((sum, b) => sum + Number(b), 0);
+            settings.beatType = Number(textOf(time, 'beat-type'));
+            settings.timeRead = true;
+          }
+          if (child(el, 'key') && !settings.key) settings.key = keyName(child(el, 'key'));
+          break;
+        }
+        case 'direction': {
+          settings.quarterBpm ??= directionTempo(el);
+          const type = child(el, 'direction-type');
+          const label = textOf(type, 'rehearsal') || textOf(type, 'words');
+          if (top && label && (child(type, 'rehearsal') || /^(refrain|chorus)\b/i.test(label))) {
+            settings.sections.push({ label, start: measure });
+          }
+          break;
+        }
+        case 'sound':
+          if (el.getAttribute('tempo')) settings.quarterBpm ??= Number(el.getAttribute('tempo'));
+          break;
+        case 'backup':
+          pos -= units(el);
+          break;
+        case 'forward':
+          pos += units(el);
+          end = Math.max(end, pos);
+          break;
+        case 'barline':
+          if (top) settings.barlines.push({ measure, el });
+          break;
+        case 'note': {
+          if (child(el, 'grace') || child(el, 'cue')) break;
+          const chord = !!child(el, 'chord');
+          const onset = chord ? lastOnset : pos;
+          const pitch = child(el, 'pitch');
+          const ties = childrenNamed(el, 'tie').map(t => t.getAttribute('type'));
+          events.push({
+            onset: round(onset),
+            dur: round(units(el)),
+            measure,
+            staff: textOf(el, 'staff') || '1',
+            voice: textOf(el, 'voice') || '1',
+            chord,
+            rest: !pitch,
+            midi: pitch ? (Number(textOf(pitch, 'octave')) + 1) * 12 + STEPS[textOf(pitch, 'step')] + Number(textOf(pitch, 'alter') || 0) : null,
+            tieStart: ties.includes('start'),
+            tieStop: ties.includes('stop'),
+            fermata: !!child(child(el, 'notations'), 'fermata'),
+            lyrics: readLyrics(el)
+          });
+          if (!chord) {
+            lastOnset = onset;
+            pos += units(el);
+            end = Math.max(end, pos);
+          }
+          break;
+        }
+        default:
+          break;
+      }
+    }
+    measureStart = end;
+  });
+
+  measureStarts.push(measureStart);
+  return { events, measureLengths: measureStarts.slice(1).map((s, i) => round(s - measureStarts[i])) };
+}
+
+/**
+ * Split a part's events into monophonic lines, top to bottom.
+ *
+ * Each staff is read measure by measure: every voice on it is a line, and a
+ * voice written in chords gives one line per chord note. A staff with fewer
+ * lines in some measures (the alto written as a second voice in one measure
+ * and in chords with the soprano in the next) shares them out to the nearest
+ * lines, as a unison shares a stem.
+ *
+ * @returns {Array} Lines, each [{ onset, dur, measure, midi, rest, ... }] in time order
+ */
+function splitLines(events) {
+  const staves = [...new Set(events.map(e => e.staff))].sort((a, b) => Number(a) - Number(b));
+  const lines = [];
+
+  for (const staff of staves) {
+    const byMeasure = {};
+    events.filter(e => e.staff === staff).forEach(e => {
+      if (!byMeasure[e.measure]) byMeasure[e.measure] = [];
+      byMeasure[e.measure].push(e);
+    });
+
+    // Lines in each measure: voices in number order, chords split from the top
+    const measureLines = Object.values(byMeasure).map(list => {
+      const voices = [...new Set(list.map(e => e.voice))].sort((a, b) => Number(a) - Number(b));
+      return voices.flatMap(voice => {
+        const chords = [];
+        list.filter(e => e.voice === voice).forEach(e => {
+          if (e.chord && chords.length) chords[chords.length - 1].push(e);
+          else chords.push([e]);
+        });
+        const size = Math.max(...chords.map(c => c.length));
+        return Array.from({ length: size }, (_, k) => chords.map(c => {
+          const sorted = c.slice().sort((a, b) => (b.midi ?? 0) - (a.midi ?? 0));
+          const pick = sorted[Math.min(sorted.length - 1, Math.round(k * (sorted.length - 1) / Math.max(1, size - 1)))];
+          // Lyrics and fermatas belong to the chord, wherever they were written in it
+          return { ...pick, lyrics: c.find(e => Object.keys(e.lyrics).length)?.lyrics || {}, fermata: c.some(e => e.fermata) };
+        }));
+      });
+    });
+
+    const count = Math.max(...measureLines.map(m => m.length));
+    for (let k = 0; k < count; k++) {
+      lines.push(measureLines.flatMap(m => m[Math.min(m.length - 1, Math.round(k * (m.length - 1) / Math.max(1, count - 1)))]));
+    }
+  }
+  return lines;
+}
+
+/**
+ * A line as melody notes: gaps filled with rests, tied notes joined into one
+ * sung note, and every verse's syllable per note.
+ *
+ * @returns {Object} { notes, verses } — verses as in the melody JSON, [] without lyrics
+ */
+function lineToNotes(line, verseNumbers) {
+  const notes = [];
+  const syllables = [];
+  const extending = {};
+  let time = 0;
+
+  const restUntil = (onset, measure) => {
+    if (onset - time > 0.001) {
+      notes.push({ rest: true, midi: null, freq: null, dur: round(onset - time), measure });
+      syllables.push(verseNumbers.map(() => ''));
+    }
+  };
+
+  for (const e of line) {
+    if (e.onset < time - 0.001) continue; // overlaps the line's previous note
+    restUntil(e.onset, e.measure);
+    time = e.onset + e.dur;
+
+    const last = notes[notes.length - 1];
+    if (e.rest) {
+      verseNumbers.forEach(v => { extending[v] = false; });
+      if (last?.rest && last.measure === e.measure) last.dur = round(last.dur + e.dur);
+      else {
+        notes.push({ rest: true, midi: null, freq: null, dur: e.dur, measure: e.measure });
+        syllables.push(verseNumbers.map(() => ''));
+      }
+      continue;
+    }
+    if (e.tieStop && last && !last.rest && last.midi === e.midi && last.tied) {
+      last.dur = round(last.dur + e.dur);
+      last.tied = e.tieStart;
+      if (e.fermata) last.fermata = true;
+      continue;
+    }
+
+    notes.push({ midi: e.midi, dur: e.dur, freq: midiToFreq(e.midi), measure: e.measure, tied: e.tieStart, ...(e.fermata ? { fermata: true } : {}) });
+    syllables.push(verseNumbers.map(v => {
+      const lyric = e.lyrics[v];
+      if (!lyric?.text) {
+        const held = extending[v];
+        if (lyric?.extend === 'stop') extending[v] = false;
+        return held ? '_' : '';
+      }
+      extending[v] = lyric.extend === 'start' || lyric.extend === 'continue' || lyric.syllabic === 'begin' || lyric.syllabic === 'middle';
+      return lyric.syllabic === 'begin' || lyric.syllabic === 'middle' ? `${lyric.text}-` : lyric.text;
+    }));
+  }
+
+  notes.forEach(n => { delete n.tied; });
+  const verses = verseNumbers.map((_, v) => syllables.map(s => s[v]));
+  notes.forEach((n, i) => { if (!n.rest) n.lyric = verses[0]?.[i] || ''; });
+  return { notes, verses };
+}
+
+/**
+ * Repeats, voltas and section labels from the barlines of the top part
+ */
+function readStructure(barlines, sections) {
+  const repeats = [];
+  const endings = [];
+  let forward = 0;
+  let openEnding = null;
+
+  barlines.forEach(({ measure, el }) => {
+    const repeat = child(el, 'repeat');
+    const ending = child(el, 'ending');
+    if (repeat?.getAttribute('direction') === 'forward') forward = measure;
+    if (ending?.getAttribute('type') === 'start') {
+      const numbers = (ending.getAttribute('number') || '1').split(/[\s,]+/).map(Number).filter(n => n > 0);
+      openEnding = { numbers, start: measure };
+    } else if (ending && openEnding) {
+      endings.push({ ...openEnding, end: measure });
+      openEnding = null;
+    }
+    if (repeat?.getAttribute('direction') === 'backward') {
+      const times = Number(repeat.getAttribute('times')) || 2;
+      repeats.push({ start: forward, end: measure, ...(times !== 2 ? { times } : {}) });
+      forward = measure + 1;
+    }
+  });
+
+  if (!repeats.length && !sections.length) return null;
+  return {
+    ...(repeats.length ? { repeats } : {}),
+    ...(endings.length ? { endings } : {}),
+    ...(sections.length ? { sections } : {})
+  };
+}
+
+/**
+ * Parse MusicXML text into the internal melody format.
+ *
+ * @param {string} xmlText - A score-partwise MusicXML document
+ * @param {Object} options
+ * @param {string} options.voice - Which SATB voice to return as `notes` (default: soprano)
+ * @returns {Object} Parsed melody data
+ */
+export function parseMusicXml(xmlText, options = {}) {
+  const doc = parseXml(xmlText);
+  const score = doc.documentElement;
+  if (score.tagName === 'score-timewise') {
+    throw new Error('Timewise MusicXML is not supported; export the score as partwise MusicXML');
+  }
+  if (score.tagName !== 'score-partwise') throw new Error('Not a MusicXML score');
+
+  const title = textOf(score, 'work', 'work-title') || textOf(score, 'movement-title') || '';
+  const partNames = Object.fromEntries(childrenNamed(child(score, 'part-list'), 'score-part')
+    .map(p => [p.getAttribute('id'), textOf(p, 'part-name') || '']));
+
+  // Time, key and tempo come from the first part that gives them
+  const settings = { beats: 4, beatType: 4, timeRead: false, key: null, quarterBpm: null, sections: [], barlines: [] };
+  const partEls = childrenNamed(score, 'part');
+  const read = partEls.map((partEl, index) => readPart(partEl, settings, index === 0));
+  const timeSignature = `${settings.beats}/${settings.beatType}`;
+  const tempo = settings.quarterBpm ? tempoInBeats(settings.quarterBpm, settings.beats, settings.beatType) : DEFAULT_TEMPO;
+
+  // Lines in score order, then SATB by how many there are
+  const partLines = read.map(p => splitLines(p.events));
+  const lines = partLines.flatMap((list, part) => list.map(line => ({ line, part })));
+  const layout = VOICE_LAYOUTS[Math.min(4, lines.length)] || [];
+
+  // Verse numbers in the order they first appear on the top line
+  const top = lines[0]?.line || [];
+  const numbers = [...new Set(top.flatMap(e => Object.keys(e.lyrics)))];
+  const verseNumbers = numbers.every(n => /^\d+$/.test(n)) ? numbers.sort((a, b) => a - b) : numbers;
+
+  const parts = {};
+  let verses = [];
+  const trackVoices = partEls.map(() => []);
+  layout.forEach((voice, k) => {
+    const result = lineToNotes(lines[k].line, k === 0 ? verseNumbers : []);
+    if (!result.notes.some(n => !n.rest)) return;
+    parts[voice] = result.notes;
+    if (k === 0) verses = result.verses.filter(v => v.some(Boolean));
+    trackVoices[lines[k].part].push(voice);
+  });
+
+  const firstMeasure = read[0]?.measureLengths[0] ?? 0;
+  const pickup = read[0]?.measureLengths.length > 1 && firstMeasure > 0 && firstMeasure < settings.beats - 0.001 ? firstMeasure : 0;
+
+  const tracks = partEls.map((partEl, i) => {
+    const pitched = read[i].events.filter(e => !e.rest);
+    return {
+      name: partNames[partEl.getAttribute('id')] || `Part ${i + 1}`,
+      noteCount: pitched.length,
+      avgMidi: pitched.length ? Math.round(pitched.reduce((sum, e) => sum + e.midi, 0) / pitched.length) : 0,
+      voices: trackVoices[i]
+    };
+  });
+
+  const voice = VOICES.includes(options.voice) && parts[options.voice] ? options.voice : 'soprano';
+  const notes = parts[voice] || [];
+  const structure = readStructure(settings.barlines, settings.sections);
+
+  console.log(`MusicXML parsed: "${title}" — ${tracks.length} parts, voices ${Object.keys(parts).join('/')}, ${voice} selected (${notes.length} notes), ${verses.length} verses, ${timeSignature} @ ${tempo} BPM, key: ${settings.key || 'C'}`);
+
+  return {
+    notes,
+    parts,
+    voice: notes.length ? voice : null,
+    timeSignature,
+    tempo,
+    keySignature: settings.key || 'C',
+    title,
+    tracks,
+    selectedTrack: trackVoices.findIndex(v => v.includes(voice)),
+    verses,
+    pickup,
+    ...(structure ? { structure } : {})
+  };
+}
+
+// ─── Compressed MusicXML (.mxl) ─────────────────────────────
+
+/**
+ * Entries of a ZIP archive: { name → () => Promise<Uint8Array> }.
+ * Stored and deflated entries are supported, which is all .mxl uses;
+ * deflate is undone by the browser's DecompressionStream.
+ */
+function readZip(buffer) {
+  const view = new DataView(buffer);
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a valid .mxl file');
+
+  const entries = {};
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Not a valid .mxl file');
+    const method = view.getUint16(offset + 10, true);
+    const size = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const local = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    entries[name] = async () => {
+      const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+      const data = new Uint8Array(buffer, start, size);
+      if (method === 0) return data;
+      if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    };
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * The score inside an .mxl archive, as text. META-INF/container.xml names it;
+ * without one, the first MusicXML file in the archive is used.
+ */
+async function readMxl(buffer) {
+  const entries = readZip(buffer);
+  const decoder = new TextDecoder();
+  let path = null;
+  if (entries['META-INF/container.xml']) {
+    const container = parseXml(decoder.decode(await entries['META-INF/container.xml']()));
+    path = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path') || null;
+  }
+  path ??= Object.keys(entries).find(name => !name.startsWith('META-INF/') && /\.(musicxml|xml)$/i.test(name));
+  if (!path || !entries[path]) throw new Error('No score found in the .mxl file');
+  return decoder.decode(await entries[path]());
+}
+
+/**
+ * Parse a MusicXML file chosen or dropped by the user.
+ *
+ * @param {File|Blob} file - .musicxml, .xml or .mxl
+ * @param {Object} options - Options passed to parseMusicXml
+ * @returns {Promise<Object>} Parsed melody data
+ */
+export async function loadMusicXmlFile(file, options = {}) {
+  const buffer = await file.arrayBuffer();
+  const bytes = new Uint8Array(buffer, 0, Math.min(2, buffer.byteLength));
+  // ZIP archives start with "PK"
+  const zipped = bytes[0] === 0x50 && bytes[1] === 0x4b;
+  const xmlText = zipped ? await readMxl(buffer) : new TextDecoder().decode(buffer);
+  return parseMusicXml(xmlText, options);
+}
+
+export default { parseMusicXml, loadMusicXmlFile };
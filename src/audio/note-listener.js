@@ -0,0 +1,96 @@
+/**
+ * Sung Note Listener
+ *
+ * Listens on the microphone for one held note and reports its pitch, for the
+ * ear-training drills. The attack is skipped — singers scoop into a note —
+ * and the pitch is the median of the voiced frames held after it.
+ */
+
+import { PitchEngine } from './pitch-engine.js';
+
+const DEFAULTS = {
+  attackMs: 300,    // ignored from the first voiced frame
+  holdMs: 900,      // then read this much of the note
+  timeoutMs: 10000  // give up when nothing is sung
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Start listening for a sung note.
+ *
+ * @param {Object} options - Overrides for DEFAULTS, plus
+ * @param {Function} options.onPitch - Called with every PitchEngine frame (for live display)
+ * @param {Function} options.onListening - Called once the microphone is open
+ * @returns {Object} {
+ *   result: Promise resolving to { midi, frames } or null when nothing was heard,
+ *           rejecting when the microphone cannot be used,
+ *   finish(): stop now and measure what was heard so far,
+ *   cancel(): stop without a result (the promise never settles)
+ * }
+ */
+export function listenForNote(options = {}) {
+  const { attackMs, holdMs, timeoutMs } = { ...DEFAULTS, ...options };
+  const frames = [];
+  let firstVoiced = null;
+  let settled = false;
+  let timer = null;
+  let resolve, reject;
+  const result = new Promise((res, rej) => { resolve = res; reject = rej; });
+
+  const engine = new PitchEngine({
+    sensitivityMode: 'standard',
+    vocalRange: 'auto',
+    onPitch: (p) => {
+      if (settled) return;
+      options.onPitch?.(p);
+      if (p.midi == null) return;
+      if (firstVoiced == null) firstVoiced = p.timestamp;
+      const held = p.timestamp - firstVoiced;
+      if (held >= attackMs) frames.push(p.midi);
+      if (held >= attackMs + holdMs) finish();
+    },
+    onError: (err) => fail(err)
+  });
+
+  function close() {
+    settled = true;
+    clearTimeout(timer);
+    engine.stop();
+    engine.destroy();
+  }
+
+  function finish() {
+    if (settled) return;
+    close();
+    resolve(frames.length ? { midi: median(frames), frames: frames.length } : null);
+  }
+
+  function fail(err) {
+    if (settled) return;
+    close();
+    reject(err instanceof Error ? err : new Error(String(err)));
+  }
+
+  engine.init()
+    .then(ok => {
+      if (!ok) throw new Error('Microphone access denied. Please allow microphone access in your browser settings.');
+      if (settled) return;
+      return engine.start().then(() => {
+        options.onListening?.();
+        timer = setTimeout(finish, timeoutMs);
+      });
+    })
+    .catch(fail);
+
+  return {
+    result,
+    finish,
+    cancel: () => { if (!settled) close(); }
+  };
+}
+
+export default { listenForNote };
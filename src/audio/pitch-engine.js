@@ -435,7 +435,8 @@ export class PitchEngine {
     this._lastRawMidi = rawMidi;
 
     // On onset, reset smoother to respond immediately
-    if (isOnset && this._onsetCooldown === 0) {
+    const onset = isOnset && this._onsetCooldown === 0;
+    if (onset) {
       this._smoothedMidi = rawMidi;
       this._smoothedFreq = frequency;
       this._medianBuffer = [rawMidi];
@@ -491,7 +492,8 @@ export class PitchEngine {
       stable: this._noteHoldCount > 6,
       gateOpen: true,
       rawFrequency: frequency,
-      rawMidi
+      rawMidi,
+      onset // true on the frame a new note attack was detected
     };
 
     // Store in history for grading
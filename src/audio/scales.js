@@ -0,0 +1,40 @@
+/**
+ * Scales
+ *
+ * Keys and major-scale degrees shared by the melody generator and the
+ * ear-training drills.
+ */
+
+/**
+ * Major keys as hymnals spell them, by pitch class from C
+ */
+export const KEYS = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+/**
+ * Semitones of each major-scale degree above the tonic
+ */
+export const MAJOR_SCALE = [0, 2, 4, 5, 7, 9, 11];
+
+/**
+ * Solfège names of the scale degrees (movable do)
+ */
+export const SOLFEGE = ['do', 're', 'mi', 'fa', 'sol', 'la', 'ti'];
+
+/**
+ * MIDI note of a scale degree in a major key.
+ * Degree 1 is the tonic in `octave` (tonic of C in octave 4 = middle C);
+ * 8 is the tonic an octave up, 0 the leading tone below.
+ *
+ * @param {string} root - Key name from KEYS
+ * @param {number} deg - Scale degree
+ * @param {number} octave
+ * @returns {number}
+ */
+export function scaleDegToMidi(root, deg, octave = 4) {
+  const rootMidi = 60 + KEYS.indexOf(root); // C4 = 60 base
+  const interval = MAJOR_SCALE[((deg - 1) % 7 + 7) % 7];
+  const octShift = Math.floor((deg - 1) / 7);
+  return rootMidi + interval + (octave - 4) * 12 + octShift * 12;
+}
+
+export default { KEYS, MAJOR_SCALE, SOLFEGE, scaleDegToMidi };
@@ -0,0 +1,179 @@
+/**
+ * Note Segmenter
+ *
+ * Turns the frame-by-frame pitch stream from PitchEngine into sung-note
+ * events: where the singer actually started and stopped each note, the pitch
+ * they settled on, how it moved while held and whether it carried vibrato.
+ *
+ * 1. Break at silences and at note attacks (detected onsets)
+ * 2. Split into runs of the same rounded pitch
+ * 3. Fold short runs (scoops, vibrato flips) into a neighbour
+ *
+ * Used by the grader (held lengths, cut-offs, extra notes) and the
+ * transcriber (draft melodies).
+ */
+
+const DEFAULTS = {
+  maxGapMs: 100,     // silence longer than this ends a note
+  minNoteMs: 90,     // shorter pitch runs are treated as scoops or glitches
+  minOnsetNoteMs: 150 // an onset only splits a note already this long (re-attacked repeated notes)
+};
+
+// Sung vibrato is a 4-8 Hz wobble of at least ±15 cents
+const VIBRATO = {
+  minNoteMs: 400,
+  minRateHz: 4,
+  maxRateHz: 8,
+  minExtentCents: 15
+};
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Pitch of a run of frames: median of the stable frames when there are any
+ */
+function runPitch(frames) {
+  const stable = frames.filter(f => f.stable);
+  return Math.round(median((stable.length >= 3 ? stable : frames).map(f => f.midi)));
+}
+
+/**
+ * Split a pitch history into discrete notes.
+ *
+ * @param {Array} pitchHistory - Frames from PitchEngine ({ timestamp, midi, midiRounded, stable, onset })
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {Array} Note events [{ midi, pitch, startMs, endMs, durationMs, slope, vibrato, frameCount }]:
+ *   midi is the rounded note, pitch the median (fractional midi) after the attack,
+ *   slope the drift while held in cents per second, vibrato { rateHz, extentCents } or null
+ */
+export function segmentNotes(pitchHistory, options = {}) {
+  const { maxGapMs, minNoteMs, minOnsetNoteMs } = { ...DEFAULTS, ...options };
+  const frames = pitchHistory.filter(p => p.midi != null);
+
+  // Pass 1: break at silences and at note attacks
+  const phrases = [];
+  let current = null;
+  for (const f of frames) {
+    const gap = current && f.timestamp - current[current.length - 1].timestamp > maxGapMs;
+    const attack = current && f.onset && f.timestamp - current[0].timestamp >= minOnsetNoteMs;
+    if (!current || gap || attack) {
+      current = [];
+      phrases.push(current);
+    }
+    current.push(f);
+  }
+
+  const notes = [];
+  for (const phrase of phrases) {
+    // Pass 2: runs of the same rounded pitch
+    const runs = [];
+    for (const f of phrase) {
+      const last = runs[runs.length - 1];
+      if (last && last.midi === f.midiRounded) last.frames.push(f);
+      else runs.push({ midi: f.midiRounded, frames: [f] });
+    }
+
+    // Pass 3: fold short runs (scoops, vibrato flips) into a neighbour,
+    // preferring the neighbour closest in pitch
+    const long = runs.filter(r => runLength(r) >= minNoteMs);
+    if (long.length === 0) {
+      if (runLength({ frames: phrase }) >= minNoteMs) notes.push(toNote(phrase));
+      continue;
+    }
+    const merged = [];
+    let pending = [];
+    for (const run of runs) {
+      if (runLength(run) >= minNoteMs) {
+        const prev = merged[merged.length - 1];
+        if (prev && prev.midi === run.midi) {
+          prev.frames.push(...pending.flatMap(r => r.frames), ...run.frames);
+        } else {
+          // Split the short runs between the previous note and this one
+          for (const short of pending) {
+            const toPrev = prev && Math.abs(short.midi - prev.midi) <= Math.abs(short.midi - run.midi);
+            (toPrev ? prev.frames : run.frames).push(...short.frames);
+          }
+          run.frames.sort((a, b) => a.timestamp - b.timestamp);
+          merged.push({ midi: run.midi, frames: [...run.frames] });
+        }
+        pending = [];
+      } else {
+        pending.push(run);
+      }
+    }
+    if (pending.length) merged[merged.length - 1].frames.push(...pending.flatMap(r => r.frames));
+
+    merged.forEach(m => notes.push(toNote(m.frames)));
+  }
+
+  return notes;
+}
+
+function runLength(run) {
+  return run.frames[run.frames.length - 1].timestamp - run.frames[0].timestamp;
+}
+
+/**
+ * One sung-note event from its frames
+ */
+function toNote(frames) {
+  const startMs = frames[0].timestamp;
+  const endMs = frames[frames.length - 1].timestamp;
+  // Pitch movement is measured after the attack, where singers scoop in
+  const body = frames.length >= 4 ? frames.slice(Math.floor(frames.length / 4)) : frames;
+  const fit = linearFit(body);
+  return {
+    midi: runPitch(frames),
+    pitch: Math.round(median(body.map(f => f.midi)) * 100) / 100,
+    startMs,
+    endMs,
+    durationMs: endMs - startMs,
+    slope: Math.round(fit.slope * 100000), // cents per second
+    vibrato: estimateVibrato(body, fit),
+    frameCount: frames.length
+  };
+}
+
+/**
+ * Least-squares line through a note's pitch: midi = intercept + slope * ms
+ */
+function linearFit(frames) {
+  const n = frames.length;
+  const t0 = frames[0].timestamp;
+  const meanT = frames.reduce((s, f) => s + f.timestamp - t0, 0) / n;
+  const meanM = frames.reduce((s, f) => s + f.midi, 0) / n;
+  let num = 0, den = 0;
+  for (const f of frames) {
+    num += (f.timestamp - t0 - meanT) * (f.midi - meanM);
+    den += (f.timestamp - t0 - meanT) ** 2;
+  }
+  const slope = den > 0 ? num / den : 0;
+  return { slope, at: ms => meanM + slope * (ms - t0 - meanT) };
+}
+
+/**
+ * Vibrato from the wobble around the note's trend line: rate from how often
+ * the pitch crosses the line, extent from its RMS.
+ * Null when the note is too short or the wobble is not vibrato-like.
+ */
+function estimateVibrato(frames, fit) {
+  const durationMs = frames[frames.length - 1].timestamp - frames[0].timestamp;
+  if (durationMs < VIBRATO.minNoteMs) return null;
+
+  const residual = frames.map(f => f.midi - fit.at(f.timestamp));
+  let crossings = 0;
+  for (let i = 1; i < residual.length; i++) {
+    if ((residual[i - 1] < 0) !== (residual[i] < 0)) crossings++;
+  }
+  const rateHz = crossings / 2 / (durationMs / 1000);
+  // Peak deviation of a sine is √2 × its RMS
+  const extentCents = Math.sqrt(residual.reduce((s, r) => s + r * r, 0) / residual.length) * Math.SQRT2 * 100;
+
+  if (rateHz < VIBRATO.minRateHz || rateHz > VIBRATO.maxRateHz || extentCents < VIBRATO.minExtentCents) return null;
+  return { rateHz: Math.round(rateHz * 10) / 10, extentCents: Math.round(extentCents) };
+}
+
+export default { segmentNotes };
@@ -0,0 +1,88 @@
+/**
+ * Melody Transcriber
+ *
+ * Turns a PitchEngine pitch history (someone singing or playing a hymn tune)
+ * into a draft melody in the /hymn_melodies JSON format.
+ *
+ * 1. Segment: split voiced frames into notes (see segmenter.js)
+ * 2. Quantize: snap note starts to the beat grid of the chosen BPM and
+ *    time signature and derive durations from the gaps between them
+ *
+ * The result is a draft — pitches and rhythms should be reviewed in the
+ * melody editor before it is published.
+ */
+
+import { serializeMelody } from './melody-format.js';
+import { segmentNotes } from './segmenter.js';
+import { getMsPerBeatUnit } from './grader.js';
+
+/**
+ * Duration of one beat unit and the quantization grid in beat units
+ */
+function beatGrid(timeSignature, bpm) {
+  const unitMs = getMsPerBeatUnit(bpm, timeSignature);
+  return {
+    unitMs,
+    // Eighths in compound meters (where a unit is shorter than the beat), half a beat unit otherwise
+    grid: unitMs < 60000 / bpm ? 1 : 0.5
+  };
+}
+
+/**
+ * Snap segmented notes to the beat grid.
+ * Rests are folded into the note before them.
+ *
+ * @param {Array} notes - From segmentNotes
+ * @param {Object} options
+ * @param {number} options.bpm
+ * @param {string} options.timeSignature
+ * @param {number} options.originMs - Time of a downbeat to align the grid to
+ *   (e.g. after a click count-in); defaults to the first note's start
+ * @returns {Array} Notes [{ midi, dur }] with dur in beat units
+ */
+export function quantizeNotes(notes, { bpm = 80, timeSignature = '4/4', originMs } = {}) {
+  if (notes.length === 0) return [];
+  const { unitMs, grid } = beatGrid(timeSignature, bpm);
+  const origin = originMs ?? notes[0].startMs;
+  const snap = ms => Math.max(0, Math.round((ms - origin) / unitMs / grid) * grid);
+
+  const positions = [];
+  notes.forEach((n, i) => {
+    const pos = snap(n.startMs);
+    positions.push(i > 0 ? Math.max(pos, positions[i - 1] + grid) : pos);
+  });
+  const last = notes[notes.length - 1];
+  const end = Math.max(snap(last.endMs), positions[positions.length - 1] + grid);
+
+  // The draft starts on its first note
+  return notes.map((n, i) => ({
+    midi: n.midi,
+    dur: (i < notes.length - 1 ? positions[i + 1] : end) - positions[i]
+  }));
+}
+
+/**
+ * Transcribe a recorded take into a draft melody JSON object.
+ *
+ * @param {Array} pitchHistory - From PitchEngine.stop()
+ * @param {Object} meta - { hymnId, number, title, key, timeSignature, bpm, meter, originMs }
+ * @returns {Object} Melody JSON (see melody-format.js) with a review _note
+ */
+export function transcribeMelody(pitchHistory, meta = {}) {
+  const timeSignature = meta.timeSignature || '4/4';
+  const bpm = Number(meta.bpm) || 80;
+  const segments = segmentNotes(pitchHistory);
+  const notes = quantizeNotes(segments, { bpm, timeSignature, originMs: meta.originMs });
+
+  return serializeMelody({
+    ...meta,
+    timeSignature,
+    bpm,
+    notes: notes.map(n => ({ ...n, lyric: '' })),
+    _note: `Draft transcribed from a recording at ${bpm} BPM — check pitches, rhythms and lyrics before publishing.`
+  });
+}
+
+export { segmentNotes };
+
+export default { segmentNotes, quantizeNotes, transcribeMelody };
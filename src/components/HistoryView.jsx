@@ -0,0 +1,159 @@
+/**
+ * HistoryView - practice history and per-hymn progress
+ *
+ * Charts pitch, rhythm and leadership scores over time, either across every
+ * stored attempt or for a single hymn (or the generated exercises), and lists
+ * the attempts behind the chart.
+ */
+
+import { useState, useMemo } from 'react';
+
+const COLORS = {
+  card: '#fff',
+  border: '#e8e0d4',
+  grid: '#f0ece4',
+  text: '#3b3127',
+  textMuted: '#8a7e70',
+  textLight: '#b5a998',
+  accent: '#5c7a5e',
+  accentBg: '#e8f0e8',
+  pass: '#2d6a4f',
+  fail: '#a33b3b'
+};
+
+// Score series drawn on the chart
+const SERIES = [
+  { key: 'pitch', label: 'Pitch', color: '#5c7a5e' },
+  { key: 'rhythm', label: 'Rhythm', color: '#b08d3a' },
+  { key: 'leadership', label: 'Leadership', color: '#3a5a8a' },
+];
+
+/**
+ * Group key for an attempt: one group per hymn, one for all generated exercises
+ */
+function groupKey(attempt) {
+  return attempt.source === 'hymn' ? `hymn:${attempt.hymnId}` : 'generated';
+}
+
+function formatDate(ts) {
+  return new Date(ts).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
+
+/**
+ * Line chart of scores over successive attempts
+ */
+function ScoreChart({ attempts, height = 140 }) {
+  if (attempts.length === 0) return null;
+
+  const w = 100;
+  const top = 6, bottom = 14;
+  const plotH = height - top - bottom;
+  const x = i => attempts.length === 1 ? w / 2 : (i / (attempts.length - 1)) * w;
+  const y = s => top + (1 - s / 100) * plotH;
+
+  return <div>
+    <svg viewBox={`0 0 ${w} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height }}>
+      {[25, 50, 75, 100].map(g => <line key={g} x1="0" y1={y(g)} x2={w} y2={y(g)} stroke={COLORS.grid} strokeWidth="0.5" vectorEffect="non-scaling-stroke" />)}
+      {SERIES.map(s => {
+        const pts = attempts
+          .map((a, i) => a.scores?.[s.key] != null ? `${x(i)},${y(a.scores[s.key])}` : null)
+          .filter(Boolean);
+        return <polyline key={s.key} points={pts.join(' ')} fill="none" stroke={s.color} strokeWidth="1.5" strokeLinejoin="round" vectorEffect="non-scaling-stroke" />;
+      })}
+    </svg>
+    <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 9, color: COLORS.textLight }}>
+      <span>{formatDate(attempts[0].timestamp)}</span>
+      <span>{attempts.length} attempt{attempts.length === 1 ? '' : 's'}</span>
+      <span>{formatDate(attempts[attempts.length - 1].timestamp)}</span>
+    </div>
+    <div style={{ display: 'flex', gap: 12, justifyContent: 'center', marginTop: 6 }}>
+      {SERIES.map(s => <span key={s.key} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 10, color: COLORS.textMuted }}>
+        <span style={{ width: 10, height: 3, borderRadius: 2, background: s.color }} />{s.label}
+      </span>)}
+    </div>
+  </div>;
+}
+
+/**
+ * Props:
+ *   attempts      - Stored attempts, oldest first (from getAttempts)
+ *   initialFilter - "all", "generated" or "hymn:<id>"
+ *   onClear       - Called when the user asks to delete all history
+ */
+export function HistoryView({ attempts = [], initialFilter = 'all', onClear }) {
+  const [filter, setFilter] = useState(initialFilter);
+
+  // One summary row per hymn (and one for generated exercises)
+  const groups = useMemo(() => {
+    const byKey = {};
+    for (const a of attempts) {
+      const k = groupKey(a);
+      if (!byKey[k]) byKey[k] = { key: k, title: a.source !== 'hymn' ? 'Generated exercises' : a.number ? `#${a.number} — ${a.title}` : a.title, attempts: [] };
+      byKey[k].attempts.push(a);
+    }
+    return Object.values(byKey).sort((a, b) => b.attempts[b.attempts.length - 1].timestamp - a.attempts[a.attempts.length - 1].timestamp);
+  }, [attempts]);
+
+  const shown = filter === 'all' ? attempts : attempts.filter(a => groupKey(a) === filter);
+
+  const card = { background: COLORS.card, border: `1px solid ${COLORS.border}`, borderRadius: 12, padding: 14, marginBottom: 10 };
+  const heading = { fontFamily: 'var(--serif)', fontSize: 15, marginBottom: 10 };
+
+  if (attempts.length === 0) {
+    return <div style={{ ...card, textAlign: 'center', color: COLORS.textMuted, fontSize: 13, padding: 32 }}>
+      No graded attempts yet. Finish a practice or test and it will appear here.
+    </div>;
+  }
+
+  return <div>
+    {/* Filter */}
+    <div style={{ display: 'flex', gap: 6, flexWrap: 'wrap', marginBottom: 12 }}>
+      {[{ key: 'all', title: 'All hymns' }, ...groups].map(g => <button key={g.key} onClick={() => setFilter(g.key)} style={{
+        padding: '6px 12px', borderRadius: 8, border: `1.5px solid ${filter === g.key ? COLORS.accent : COLORS.border}`,
+        background: filter === g.key ? COLORS.accentBg : COLORS.card, color: filter === g.key ? '#3d5640' : COLORS.textMuted,
+        fontSize: 11, fontWeight: 600, cursor: 'pointer', maxWidth: 220, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap'
+      }}>{g.title}</button>)}
+    </div>
+
+    <div style={card}>
+      <div style={heading}>Scores over time</div>
+      {shown.length > 0 ? <ScoreChart attempts={shown} /> : <div style={{ fontSize: 12, color: COLORS.textMuted }}>No attempts for this selection.</div>}
+    </div>
+
+    {/* Per-hymn progress */}
+    {filter === 'all' && <div style={card}>
+      <div style={heading}>Progress by hymn</div>
+      {groups.map(g => {
+        const first = g.attempts[0].scores || {}, last = g.attempts[g.attempts.length - 1].scores || {};
+        const delta = (last.leadership ?? 0) - (first.leadership ?? 0);
+        return <div key={g.key} onClick={() => setFilter(g.key)} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '6px 0', borderBottom: `1px solid ${COLORS.grid}`, cursor: 'pointer' }}>
+          <div style={{ flex: 1, fontSize: 12, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{g.title}</div>
+          <span style={{ fontSize: 10, color: COLORS.textMuted }}>{g.attempts.length}×</span>
+          <span style={{ fontSize: 11, color: COLORS.textMuted, width: 92, textAlign: 'right' }}>{last.pitch ?? 0} / {last.rhythm ?? 0} / {last.leadership ?? 0}</span>
+          <span style={{ fontSize: 11, fontWeight: 700, width: 34, textAlign: 'right', color: delta > 0 ? COLORS.pass : delta < 0 ? COLORS.fail : COLORS.textLight }}>{g.attempts.length > 1 ? `${delta > 0 ? '+' : ''}${delta}` : '—'}</span>
+        </div>;
+      })}
+      <div style={{ fontSize: 10, color: COLORS.textLight, marginTop: 6 }}>Latest pitch / rhythm / leadership · change in leadership since first attempt</div>
+    </div>}
+
+    {/* Attempts */}
+    <div style={card}>
+      <div style={heading}>Attempts</div>
+      {[...shown].reverse().slice(0, 20).map(a => <div key={a.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 0', borderBottom: `1px solid ${COLORS.grid}`, fontSize: 11 }}>
+        <span style={{ color: COLORS.textMuted, width: 52 }}>{formatDate(a.timestamp)}</span>
+        <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {a.source === 'hymn' ? a.title : `${a.settings?.timeSignature || ''} · ${a.settings?.bpm || ''} BPM · ${a.settings?.key || ''}`}
+        </span>
+        {a.mode === 'test' && <span style={{ fontSize: 9, fontWeight: 700, color: a.passed ? COLORS.pass : COLORS.fail, textTransform: 'uppercase' }}>{a.passed ? 'Passed' : 'Failed'}</span>}
+        <span style={{ color: COLORS.textMuted }}>{a.summary?.matchedNotes ?? 0}/{a.summary?.totalNotes ?? 0}</span>
+        <span style={{ fontWeight: 700, width: 92, textAlign: 'right' }}>{a.scores?.pitch ?? 0} / {a.scores?.rhythm ?? 0} / {a.scores?.leadership ?? 0}</span>
+      </div>)}
+    </div>
+
+    {onClear && <div style={{ textAlign: 'center', marginTop: 8 }}>
+      <button onClick={onClear} style={{ background: 'none', border: 'none', color: COLORS.fail, fontSize: 11, cursor: 'pointer', textDecoration: 'underline' }}>Clear history</button>
+    </div>}
+  </div>;
+}
+
+export default HistoryView;
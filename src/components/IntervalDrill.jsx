@@ -0,0 +1,383 @@
+/**
+ * IntervalDrill - sing an interval or scale degree from a reference note
+ *
+ * Plays a note in a random key and asks for the note an interval above or
+ * below it ("a major 3rd above") or for another scale degree ("this is mi —
+ * sing sol"). The motions are the ones hymn tunes are built from, as in the
+ * melody generator: steps first, then 3rds, then 4ths and 5ths, then 6ths and
+ * octaves. A level opens once the earlier ones are mostly right, and prompts
+ * lean towards the intervals missed most.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { listenForNote } from '../audio/note-listener';
+import { KEYS, SOLFEGE, scaleDegToMidi } from '../audio/scales';
+import { saveDrillResult, getDrillResults, clearDrillResults } from '../storage/history';
+
+const COLORS = {
+  card: '#fff',
+  border: '#e8e0d4',
+  grid: '#f0ece4',
+  text: '#3b3127',
+  textMuted: '#8a7e70',
+  textLight: '#b5a998',
+  accent: '#5c7a5e',
+  accentBg: '#e8f0e8',
+  warning: '#b08d3a',
+  error: '#a33b3b'
+};
+
+const DRILL_TYPE = 'interval';
+
+const FLAT_KEYS = new Set(['F', 'Bb', 'Eb', 'Ab', 'Db']);
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Interval categories, by scale steps between the two degrees
+const CATEGORIES = [
+  { id: '2nd', steps: 1 },
+  { id: '3rd', steps: 2 },
+  { id: '4th', steps: 3 },
+  { id: '5th', steps: 4 },
+  { id: '6th', steps: 5 },
+  { id: 'octave', steps: 7 }
+];
+
+// Each level adds these categories
+const LEVELS = [['2nd'], ['3rd'], ['4th', '5th'], ['6th', 'octave']];
+
+const INTERVAL_NAMES = {
+  1: 'minor 2nd', 2: 'major 2nd', 3: 'minor 3rd', 4: 'major 3rd', 5: 'perfect 4th',
+  7: 'perfect 5th', 8: 'minor 6th', 9: 'major 6th', 12: 'octave'
+};
+
+// Tries on the open categories before the next level can open, and the hit rate needed
+const LEVEL_UP_TRIES = 8;
+const LEVEL_UP_RATE = 0.75;
+// Tries per category that count towards its recent miss rate
+const RECENT_TRIES = 10;
+const HIT_CENTS = 50;
+
+// Tonic octave of the reference key: around middle C or an octave down
+const RANGES = { high: 4, low: 3 };
+
+function noteName(midi, key = 'C') {
+  const names = FLAT_KEYS.has(key) ? FLAT_NAMES : SHARP_NAMES;
+  const pc = ((Math.round(midi) % 12) + 12) % 12;
+  return `${names[pc]}${Math.floor(Math.round(midi) / 12) - 1}`;
+}
+
+function degreeName(deg) {
+  return SOLFEGE[((deg - 1) % 7 + 7) % 7];
+}
+
+function pick(items, weight = () => 1) {
+  const total = items.reduce((s, x) => s + weight(x), 0);
+  let r = Math.random() * total;
+  for (const x of items) {
+    r -= weight(x);
+    if (r <= 0) return x;
+  }
+  return items[items.length - 1];
+}
+
+/**
+ * The current level, worked out from the saved tries in order
+ *
+ * @returns {Object} { level, tries, hits } - level index, and tries/hits since it opened
+ */
+function currentLevel(history) {
+  let level = 0;
+  let since = [];
+  history.forEach(r => {
+    const open = LEVELS.slice(0, level + 1).flat();
+    if (!open.includes(r.category)) return;
+    since.push(r.hit);
+    const last = since.slice(-LEVEL_UP_TRIES);
+    if (level < LEVELS.length - 1 && last.length >= LEVEL_UP_TRIES &&
+        last.filter(Boolean).length / last.length >= LEVEL_UP_RATE) {
+      level++;
+      since = [];
+    }
+  });
+  return { level, tries: since.length, hits: since.slice(-LEVEL_UP_TRIES).filter(Boolean).length };
+}
+
+/**
+ * Recent hit rate per category: { [id]: { tries, hits, missRate } }
+ */
+function categoryStats(history) {
+  const stats = {};
+  CATEGORIES.forEach(c => {
+    const recent = history.filter(r => r.category === c.id).slice(-RECENT_TRIES);
+    const hits = recent.filter(r => r.hit).length;
+    stats[c.id] = { tries: recent.length, hits, missRate: recent.length ? 1 - hits / recent.length : null };
+  });
+  return stats;
+}
+
+/**
+ * A prompt from the open categories, weighted towards the ones missed most.
+ * Categories not tried yet count as half missed; the newest level gets extra weight.
+ */
+function randomPrompt(level, stats, mode, range) {
+  const open = CATEGORIES.filter(c => LEVELS.slice(0, level + 1).flat().includes(c.id));
+  const category = pick(open, c => {
+    const base = LEVELS[level].includes(c.id) ? 2 : 1;
+    return base * (1 + 3 * (stats[c.id].missRate ?? 0.5));
+  });
+
+  // Keep both notes between low sol and high sol of the key, and no tritones
+  const motions = [];
+  for (let from = -2; from <= 12; from++) {
+    [1, -1].forEach(dir => {
+      const to = from + dir * category.steps;
+      if (to < -2 || to > 12 || (from < 1 && to < 1) || (from > 8 && to > 8)) return;
+      motions.push({ from, to });
+    });
+  }
+  const key = KEYS[Math.floor(Math.random() * KEYS.length)];
+  const candidates = motions.filter(m => Math.abs(scaleDegToMidi(key, m.to) - scaleDegToMidi(key, m.from)) !== 6);
+  const { from, to } = pick(candidates);
+  const refMidi = scaleDegToMidi(key, from, RANGES[range]);
+  const targetMidi = scaleDegToMidi(key, to, RANGES[range]);
+  return {
+    mode,
+    key,
+    category: category.id,
+    fromDeg: from,
+    toDeg: to,
+    refMidi,
+    targetMidi,
+    interval: INTERVAL_NAMES[Math.abs(targetMidi - refMidi)],
+    direction: targetMidi > refMidi ? 'above' : 'below'
+  };
+}
+
+/**
+ * How far the sung pitch is from the target, and in which octave
+ */
+function measureError(sungMidi, targetMidi) {
+  const diff = sungMidi - targetMidi;
+  const octaveOffset = Math.round(diff / 12);
+  return { centsOff: Math.round((diff - octaveOffset * 12) * 100), octaveOffset };
+}
+
+function verdict(result) {
+  const abs = Math.abs(result.centsOff);
+  if (abs <= HIT_CENTS && result.octaveOffset) return { label: 'Right note, wrong octave', color: COLORS.warning };
+  if (abs <= 25) return { label: 'In tune', color: COLORS.accent };
+  if (abs <= HIT_CENTS) return { label: 'Close enough', color: COLORS.accent };
+  const semitones = Math.round(abs / 100);
+  return {
+    label: `About ${semitones} semitone${semitones === 1 ? '' : 's'} ${result.centsOff > 0 ? 'sharp' : 'flat'}`,
+    color: COLORS.error
+  };
+}
+
+/**
+ * Props:
+ *   playNote - (midi, seconds) => void, plays the reference and target notes
+ */
+export function IntervalDrill({ playNote }) {
+  const [mode, setMode] = useState('interval'); // interval | degree
+  const [range, setRange] = useState('high');
+  const [history, setHistory] = useState([]);
+  const [prompt, setPrompt] = useState(() => randomPrompt(0, categoryStats([]), 'interval', 'high'));
+  const [phase, setPhase] = useState('ready'); // ready | listening | result
+  const [live, setLive] = useState(null);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const listenerRef = useRef(null);
+
+  useEffect(() => {
+    getDrillResults(DRILL_TYPE).then(setHistory).catch(e => console.warn('Could not load drill results:', e));
+  }, []);
+
+  useEffect(() => () => listenerRef.current?.cancel(), []);
+
+  const progress = useMemo(() => currentLevel(history), [history]);
+  const stats = useMemo(() => categoryStats(history), [history]);
+
+  const stopListening = () => {
+    listenerRef.current?.cancel();
+    listenerRef.current = null;
+  };
+
+  const record = (sungMidi) => {
+    const { centsOff, octaveOffset } = measureError(sungMidi, prompt.targetMidi);
+    const entry = {
+      type: DRILL_TYPE,
+      mode: prompt.mode,
+      category: prompt.category,
+      key: prompt.key,
+      fromDeg: prompt.fromDeg,
+      toDeg: prompt.toDeg,
+      refMidi: prompt.refMidi,
+      targetMidi: prompt.targetMidi,
+      sungMidi: Math.round(sungMidi * 100) / 100,
+      centsOff,
+      octaveOffset,
+      hit: Math.abs(centsOff) <= HIT_CENTS && octaveOffset === 0
+    };
+    setResult(entry);
+    setPhase('result');
+    saveDrillResult(entry)
+      .then(() => setHistory(h => [...h, { ...entry, timestamp: Date.now() }]))
+      .catch(e => console.warn('Could not save drill result:', e));
+  };
+
+  const listen = () => {
+    stopListening();
+    setError(null);
+    setResult(null);
+    const listener = listenForNote({
+      onPitch: p => setLive(p.midi != null ? p : null),
+      onListening: () => setPhase('listening')
+    });
+    listenerRef.current = listener;
+    listener.result
+      .then(sung => {
+        if (sung) record(sung.midi);
+        else {
+          setError('No pitch was heard. Sing the note clearly and hold it for a second.');
+          setPhase('ready');
+        }
+      })
+      .catch(err => {
+        setError(err.message || 'Microphone error');
+        setPhase('ready');
+      })
+      .finally(() => {
+        setLive(null);
+        if (listenerRef.current === listener) listenerRef.current = null;
+      });
+  };
+
+  const next = (nextMode = mode, nextRange = range) => {
+    stopListening();
+    setResult(null);
+    setError(null);
+    setPhase('ready');
+    const nextPrompt = randomPrompt(progress.level, stats, nextMode, nextRange);
+    setPrompt(nextPrompt);
+    playNote?.(nextPrompt.refMidi, 1.5);
+  };
+
+  const changeMode = (m) => {
+    setMode(m);
+    next(m, range);
+  };
+
+  const changeRange = (r) => {
+    setRange(r);
+    next(mode, r);
+  };
+
+  const clearStats = async () => {
+    await clearDrillResults(DRILL_TYPE).catch(e => console.warn('Could not clear drill results:', e));
+    setHistory([]);
+  };
+
+  const card = { background: COLORS.card, border: `1px solid ${COLORS.border}`, borderRadius: 12, padding: 16, marginBottom: 10 };
+  const btn = (primary) => ({
+    padding: '10px 18px', borderRadius: 10, border: `1.5px solid ${primary ? COLORS.accent : COLORS.border}`,
+    background: primary ? COLORS.accent : COLORS.card, color: primary ? '#fff' : COLORS.textMuted,
+    fontSize: 13, fontWeight: 600, cursor: 'pointer'
+  });
+  const toggle = (on) => ({
+    padding: '6px 12px', borderRadius: 8, border: `1.5px solid ${on ? COLORS.accent : COLORS.border}`,
+    background: on ? COLORS.accentBg : COLORS.card, color: on ? '#3d5640' : COLORS.textMuted,
+    fontSize: 11, fontWeight: 600, cursor: 'pointer'
+  });
+  const liveError = live ? measureError(live.midi, prompt.targetMidi) : null;
+  const v = result && verdict(result);
+  const open = LEVELS.slice(0, progress.level + 1).flat();
+
+  return <div>
+    <div style={{ display: 'flex', gap: 6, marginBottom: 10, flexWrap: 'wrap' }}>
+      {[['interval', 'Intervals'], ['degree', 'Scale degrees']].map(([m, label]) => (
+        <button key={m} disabled={phase === 'listening'} onClick={() => changeMode(m)} style={toggle(mode === m)}>{label}</button>
+      ))}
+      <span style={{ width: 8 }} />
+      {[['high', 'Higher voice'], ['low', 'Lower voice']].map(([r, label]) => (
+        <button key={r} disabled={phase === 'listening'} onClick={() => changeRange(r)} style={toggle(range === r)}>{label}</button>
+      ))}
+    </div>
+
+    {/* Prompt */}
+    <div style={{ ...card, textAlign: 'center', padding: 24 }}>
+      <div style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: '0.08em', textTransform: 'uppercase' }}>
+        Key of {prompt.key} · reference {noteName(prompt.refMidi, prompt.key)}
+      </div>
+      {prompt.mode === 'interval'
+        ? <div style={{ fontFamily: 'var(--serif)', fontSize: 30, color: COLORS.text, lineHeight: 1.3, margin: '8px 0' }}>
+          Sing a {prompt.interval} {prompt.direction}
+        </div>
+        : <div style={{ fontFamily: 'var(--serif)', fontSize: 30, color: COLORS.text, lineHeight: 1.3, margin: '8px 0' }}>
+          This is {degreeName(prompt.fromDeg)} — sing {degreeName(prompt.toDeg)} {prompt.direction}
+        </div>}
+
+      {playNote && <button disabled={phase === 'listening'} onClick={() => playNote(prompt.refMidi, 1.5)} style={{ ...btn(false), marginTop: 6 }}>🔊 Play reference</button>}
+
+      {phase === 'ready' && <div style={{ marginTop: 14 }}>
+        <button onClick={listen} style={btn(true)}>🎤 Sing it</button>
+        <div style={{ fontSize: 11, color: COLORS.textLight, marginTop: 8 }}>Hear the reference, find the note in your head, then sing and hold it.</div>
+      </div>}
+
+      {phase === 'listening' && <div style={{ marginTop: 14 }}>
+        <div style={{ fontSize: 13, color: COLORS.accent, fontWeight: 600 }}>Listening… hold the note</div>
+        <div style={{ fontSize: 12, color: COLORS.textMuted, marginTop: 4, minHeight: 18 }}>
+          {live ? `${noteName(live.midi, prompt.key)} ${liveError.centsOff > 0 ? '+' : ''}${liveError.centsOff}¢` : 'Waiting for your voice'}
+        </div>
+        <button onClick={() => listenerRef.current?.finish()} style={{ ...btn(false), marginTop: 10 }}>Done</button>
+      </div>}
+
+      {phase === 'result' && result && <div style={{ marginTop: 14 }}>
+        <div style={{ fontFamily: 'var(--serif)', fontSize: 28, color: v.color }}>{result.centsOff > 0 ? '+' : ''}{result.centsOff}¢</div>
+        <div style={{ fontSize: 13, fontWeight: 600, color: v.color }}>{v.label}</div>
+        <div style={{ fontSize: 11, color: COLORS.textMuted, marginTop: 4 }}>
+          Target {noteName(prompt.targetMidi, prompt.key)} · you sang {noteName(result.sungMidi, prompt.key)}
+        </div>
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginTop: 14 }}>
+          {playNote && <button onClick={() => playNote(prompt.targetMidi, 2)} style={btn(false)}>🔊 Play target</button>}
+          <button onClick={listen} style={btn(false)}>Try again</button>
+          <button onClick={() => next()} style={btn(true)}>Next</button>
+        </div>
+      </div>}
+
+      {error && <div style={{ fontSize: 12, color: COLORS.error, marginTop: 12 }}>{error}</div>}
+    </div>
+
+    {/* Level and per-interval accuracy */}
+    <div style={card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 6 }}>
+        <div style={{ fontFamily: 'var(--serif)', fontSize: 15 }}>Level {progress.level + 1} of {LEVELS.length}</div>
+        {history.length > 0 && <button onClick={clearStats} style={{ background: 'none', border: 'none', color: COLORS.textLight, fontSize: 11, cursor: 'pointer' }}>Clear</button>}
+      </div>
+      <div style={{ fontSize: 12, color: COLORS.textMuted, marginBottom: 10 }}>
+        {progress.level < LEVELS.length - 1
+          ? `${LEVELS[progress.level + 1].map(c => `${c}s`).join(' and ')} open at ${Math.round(LEVEL_UP_RATE * 100)}% right over your last ${LEVEL_UP_TRIES} tries` +
+            (progress.tries ? ` (now ${progress.hits} of ${Math.min(progress.tries, LEVEL_UP_TRIES)})` : '')
+          : 'All intervals open. Prompts favour the ones you miss most.'}
+      </div>
+      {CATEGORIES.map(c => {
+        const s = stats[c.id];
+        const locked = !open.includes(c.id);
+        const rate = s.tries ? Math.round(s.hits / s.tries * 100) : null;
+        return <div key={c.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '4px 0', borderBottom: `1px solid ${COLORS.grid}`, opacity: locked ? 0.45 : 1 }}>
+          <span style={{ width: 52, fontFamily: 'var(--serif)', fontSize: 14 }}>{c.id}</span>
+          <div style={{ flex: 1, height: 5, borderRadius: 3, background: COLORS.border, overflow: 'hidden' }}>
+            {rate != null && <div style={{ height: '100%', width: `${Math.max(4, rate)}%`, background: rate >= 75 ? COLORS.accent : rate >= 50 ? COLORS.warning : COLORS.error }} />}
+          </div>
+          <span style={{ width: 64, fontSize: 11, color: COLORS.textMuted, textAlign: 'right' }}>{locked ? 'locked' : rate != null ? `${rate}%` : '—'}</span>
+          <span style={{ width: 44, fontSize: 10, color: COLORS.textLight, textAlign: 'right' }}>{s.tries ? `${s.tries}×` : ''}</span>
+        </div>;
+      })}
+      <div style={{ fontSize: 10, color: COLORS.textLight, marginTop: 8 }}>Hit rate over the last {RECENT_TRIES} tries of each interval, within {HIT_CENTS}¢ in the right octave.</div>
+    </div>
+  </div>;
+}
+
+export default IntervalDrill;
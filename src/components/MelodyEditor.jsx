@@ -0,0 +1,470 @@
+/**
+ * MelodyEditor - enter a hymn's soprano line and export it as melody JSON
+ *
+ * Notes are entered on a one-octave keyboard at the current duration and
+ * appended after the selected note, as are rests. The selected note's duration,
+ * pitch, fermata and lyric can be edited in place, and a pickup length shifts the
+ * barlines for hymns that start on an upbeat. NotationDisplay renders a live preview, and the
+ * result exports in the /hymn_melodies/{id}.json format the hymn loader reads.
+ *
+ * Each SATB part is entered the same way; the soprano is the melody and carries
+ * the lyrics. A melody can also be sung (or played) into the microphone; the take is
+ * transcribed into a draft that replaces the notes for review.
+ */
+
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { NotationDisplay } from './NotationDisplay';
+import { VOICES, clefForVoice, assignMeasures, findIncompleteMeasures, melodyToJson, normalizeMelody } from '../audio/melody-format';
+import { transcribeMelody } from '../audio/transcriber';
+import { PitchEngine } from '../audio/pitch-engine';
+import { KEYS } from '../audio/scales';
+
+const COLORS = {
+  card: '#fff',
+  border: '#e8e0d4',
+  text: '#3b3127',
+  textMuted: '#8a7e70',
+  textLight: '#b5a998',
+  accent: '#5c7a5e',
+  accentDark: '#3d5640',
+  accentBg: '#e8f0e8',
+  warning: '#8a6d1f',
+  warningBg: '#f5eedc',
+  error: '#a33b3b'
+};
+
+const TIME_SIGNATURES = ['2/4', '3/4', '4/4', '2/2', '3/2', '4/2', '6/8', '9/8', '12/8'];
+const FLAT_KEYS = new Set(['F', 'Bb', 'Eb', 'Ab', 'Db']);
+const NAMES_SHARP = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const NAMES_FLAT = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Note values in quarter-note equivalents
+const NOTE_VALUES = [
+  { label: 'Whole', symbol: '𝅝', quarters: 4 },
+  { label: 'Dotted half', symbol: '𝅗𝅥.', quarters: 3 },
+  { label: 'Half', symbol: '𝅗𝅥', quarters: 2 },
+  { label: 'Dotted quarter', symbol: '♩.', quarters: 1.5 },
+  { label: 'Quarter', symbol: '♩', quarters: 1 },
+  { label: 'Eighth', symbol: '♪', quarters: 0.5 },
+  { label: 'Sixteenth', symbol: '𝅘𝅥𝅯', quarters: 0.25 },
+];
+
+function midiName(midi, key) {
+  const names = FLAT_KEYS.has(key) ? NAMES_FLAT : NAMES_SHARP;
+  return names[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
+function noteLabel(note, key) {
+  return note.rest ? 'Rest' : midiName(note.midi, key) + (note.fermata ? ' 𝄐' : '');
+}
+
+/**
+ * Duration options for a time signature, in its beat units
+ * (x/4 counts quarters, x/2 halves, x/8 eighths)
+ */
+function durationOptions(timeSignature) {
+  const [, d] = timeSignature.split('/').map(Number);
+  return NOTE_VALUES.map(v => ({ ...v, dur: v.quarters * d / 4 }));
+}
+
+function emptyMeta(hymn) {
+  return {
+    // A score opened from a MusicXML file is not in the hymnal until one is chosen
+    hymnId: hymn?.number ? hymn.id : null,
+    number: hymn?.number ?? '',
+    title: hymn?.title ?? '',
+    key: 'C',
+    timeSignature: '4/4',
+    bpm: 80,
+    meter: '',
+    pickup: 0,
+  };
+}
+
+function metaFrom(data, hymn) {
+  const base = emptyMeta(hymn);
+  if (!data) return base;
+  return {
+    hymnId: data.hymnId ?? base.hymnId,
+    number: data.number ?? base.number,
+    title: data.title || base.title,
+    key: data.key || data.keySignature || base.key,
+    timeSignature: data.timeSignature || base.timeSignature,
+    bpm: data.bpm || base.bpm,
+    meter: data.meter || '',
+    pickup: data.pickup || 0,
+    // Later verses ride along untouched; the first is edited as the notes' lyrics
+    ...(data.verses?.length > 1 ? { verses: data.verses } : {}),
+    // Repeats and endings are kept as written in the file
+    ...(data.structure ? { structure: data.structure } : {}),
+    ...(data._note ? { _note: data._note } : {}),
+  };
+}
+
+/**
+ * Count-in length and click spacing for a time signature.
+ * BPM counts the felt beat (dotted quarter in compound meters).
+ */
+function clickPattern(timeSignature, bpm) {
+  const [n, d] = timeSignature.split('/').map(Number);
+  const compound = d >= 8 && n > 3 && n % 3 === 0;
+  return { beats: compound ? n / 3 : n, beatMs: 60000 / (Number(bpm) || 80) };
+}
+
+// Keyboard octave each part starts on
+const VOICE_OCTAVES = { soprano: 4, alto: 4, tenor: 3, bass: 3 };
+
+function notesFrom(list) {
+  return (list || []).map(n => n.rest
+    ? { rest: true, dur: n.dur, lyric: '' }
+    : { midi: n.midi, dur: n.dur, lyric: n.lyric || '', ...(n.fermata ? { fermata: true } : {}) });
+}
+
+function partsFrom(data) {
+  const parts = { soprano: notesFrom(data?.parts?.soprano || data?.notes) };
+  for (const v of VOICES.slice(1)) {
+    if (data?.parts?.[v]?.length) parts[v] = notesFrom(data.parts[v]);
+  }
+  return parts;
+}
+
+/**
+ * Props:
+ *   hymn          - Hymn from hymn_index.json being transcribed (optional)
+ *   hymnIndex     - Full hymn index, for choosing which hymn the melody belongs to
+ *   initialMelody - Existing melody JSON to edit (optional)
+ *   onPractice    - Called with a normalized melody to practice the draft right away
+ */
+export function MelodyEditor({ hymn, hymnIndex = [], initialMelody, onPractice }) {
+  const [meta, setMeta] = useState(() => metaFrom(initialMelody, hymn));
+  const [parts, setParts] = useState(() => partsFrom(initialMelody));
+  const [voice, setVoice] = useState('soprano');
+  const [sel, setSel] = useState(() => partsFrom(initialMelody).soprano.length - 1);
+  const [dur, setDur] = useState(1);
+  const [octave, setOctave] = useState(4);
+  const [message, setMessage] = useState(null);
+  const [recording, setRecording] = useState(null); // null | 'countin' | 'recording'
+  const [useClick, setUseClick] = useState(true);
+  const [livePitch, setLivePitch] = useState(null);
+  const fileRef = useRef(null);
+  const engineRef = useRef(null);
+  const clickTimer = useRef(null);
+  const originMs = useRef(null);
+
+  // Release the microphone when leaving the editor
+  useEffect(() => () => {
+    clearInterval(clickTimer.current);
+    if (engineRef.current) { engineRef.current.destroy(); engineRef.current = null; }
+  }, []);
+
+  // The part being edited
+  const notes = useMemo(() => parts[voice] || [], [parts, voice]);
+  const setNotes = update => setParts(p => ({ ...p, [voice]: typeof update === 'function' ? update(p[voice] || []) : update }));
+
+  const durOpts = useMemo(() => durationOptions(meta.timeSignature), [meta.timeSignature]);
+  const pickup = Number(meta.pickup) || 0;
+  const measured = useMemo(() => assignMeasures(notes, meta.timeSignature, pickup), [notes, meta.timeSignature, pickup]);
+  const incomplete = useMemo(() => findIncompleteMeasures(measured, meta.timeSignature, pickup), [measured, meta.timeSignature, pickup]);
+  const previewNotes = useMemo(() => measured.map(n => n.rest ? n : { ...n, freq: 440 * Math.pow(2, (n.midi - 69) / 12) }), [measured]);
+  const totalMeasures = measured.length ? measured[measured.length - 1].measure + 1 : 0;
+
+  const selected = sel >= 0 ? notes[sel] : null;
+
+  const updateMeta = (field, value) => setMeta(m => ({ ...m, [field]: value }));
+
+  const updateSelected = (patch) => {
+    if (sel < 0) return;
+    setNotes(ns => ns.map((n, i) => i === sel ? { ...n, ...patch } : n));
+  };
+
+  // Keyboard: insert a new note (or a rest, with no pitch) after the selection at the current duration
+  const addNote = (midi) => {
+    const at = sel + 1;
+    const note = midi == null ? { rest: true, dur, lyric: '' } : { midi, dur, lyric: '' };
+    setNotes(ns => [...ns.slice(0, at), note, ...ns.slice(at)]);
+    setSel(at);
+  };
+
+  const chooseDuration = (value) => {
+    setDur(value);
+    updateSelected({ dur: value });
+  };
+
+  const deleteSelected = () => {
+    if (sel < 0) return;
+    setNotes(ns => ns.filter((_, i) => i !== sel));
+    setSel(s => Math.min(s, notes.length - 2));
+  };
+
+  const selectNote = (i) => {
+    setSel(i);
+    if (notes[i]) setDur(notes[i].dur);
+  };
+
+  const chooseHymn = (id) => {
+    const h = hymnIndex.find(x => String(x.id) === id);
+    if (h) setMeta(m => ({ ...m, hymnId: h.id, number: h.number, title: h.title }));
+  };
+
+  const chooseVoice = (v) => {
+    setVoice(v);
+    setSel((parts[v]?.length || 0) - 1);
+    setOctave(VOICE_OCTAVES[v]);
+  };
+
+  const melody = () => {
+    const measuredParts = {};
+    for (const v of VOICES) {
+      if (parts[v]?.length) measuredParts[v] = assignMeasures(parts[v], meta.timeSignature, pickup);
+    }
+    return { ...meta, bpm: Number(meta.bpm) || 80, pickup, notes: measuredParts.soprano || [], parts: measuredParts };
+  };
+
+  const download = () => {
+    const blob = new Blob([melodyToJson(melody())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${meta.hymnId ?? 'melody'}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setMessage(`Saved ${a.download} — add it to public/hymn_melodies/`);
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(melodyToJson(melody()));
+      setMessage('Melody JSON copied to clipboard');
+    } catch (e) {
+      setMessage(`Could not copy: ${e.message}`);
+    }
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const data = JSON.parse(await file.text());
+      setMeta(metaFrom(data, hymn));
+      setParts(partsFrom(data));
+      setVoice('soprano');
+      setSel((data.notes?.length || 0) - 1);
+      setMessage(`Loaded ${file.name}`);
+    } catch (e) {
+      setMessage(`Could not read ${file.name}: ${e.message}`);
+    }
+  };
+
+  const click = (ctx, accent) => {
+    const osc = ctx.createOscillator(), gain = ctx.createGain();
+    osc.frequency.value = accent ? 1500 : 1000;
+    gain.gain.setValueAtTime(0.25, ctx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.001, ctx.currentTime + 0.05);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start();
+    osc.stop(ctx.currentTime + 0.06);
+  };
+
+  const startTranscription = async () => {
+    setMessage(null);
+    const engine = new PitchEngine({
+      sensitivityMode: 'standard',
+      vocalRange: 'auto',
+      onPitch: p => setLivePitch(p.midi != null ? p : null),
+      onError: err => setMessage(err.message || 'Microphone error')
+    });
+    if (!(await engine.init())) {
+      setMessage('Microphone access denied. Please allow microphone access in your browser settings.');
+      return;
+    }
+    engineRef.current = engine;
+    await engine.start();
+
+    if (useClick) {
+      // One measure of count-in. The click stops there: the microphone would
+      // pick it up and the transcriber would read it as sung pitch.
+      const { beats, beatMs } = clickPattern(meta.timeSignature, meta.bpm);
+      originMs.current = beats * beatMs;
+      let beat = 0;
+      const tick = () => {
+        if (beat === beats) {
+          clearInterval(clickTimer.current);
+          setRecording('recording');
+          return;
+        }
+        click(engine.audioContext, beat === 0);
+        beat++;
+      };
+      tick();
+      clickTimer.current = setInterval(tick, beatMs);
+      setRecording('countin');
+    } else {
+      originMs.current = undefined;
+      setRecording('recording');
+    }
+  };
+
+  const stopTranscription = () => {
+    clearInterval(clickTimer.current);
+    const engine = engineRef.current;
+    engineRef.current = null;
+    setRecording(null);
+    setLivePitch(null);
+    if (!engine) return;
+
+    const history = engine.stop().filter(p => originMs.current == null || p.timestamp >= originMs.current - 150);
+    engine.destroy();
+    const draft = transcribeMelody(history, { ...meta, originMs: originMs.current });
+    if (draft.notes.length === 0) {
+      setMessage('No notes were detected. Sing clearly on a neutral syllable such as "la".');
+      return;
+    }
+    // Keep any lyrics already entered, note for note
+    setNotes(draft.notes.map((n, i) => ({ midi: n.midi, dur: n.dur, lyric: notes[i]?.lyric || '' })));
+    setMeta(m => ({ ...m, _note: draft._note }));
+    setSel(draft.notes.length - 1);
+    setMessage(`Transcribed ${draft.notes.length} notes — review the draft before exporting`);
+  };
+
+  const shiftOctave = (delta) => setNotes(ns => ns.map(n => n.rest ? n : { ...n, midi: n.midi + 12 * delta }));
+
+  const card = { background: COLORS.card, border: `1px solid ${COLORS.border}`, borderRadius: 12, padding: 14, marginBottom: 10 };
+  const label = { fontSize: 11, fontWeight: 600, color: COLORS.textMuted, marginBottom: 6, letterSpacing: '0.06em', textTransform: 'uppercase' };
+  const input = { width: '100%', padding: '7px 10px', borderRadius: 8, border: `1.5px solid ${COLORS.border}`, fontSize: 12, fontFamily: 'var(--sans)', color: COLORS.text, outline: 'none', background: '#fff' };
+  const chip = (active) => ({
+    padding: '6px 10px', borderRadius: 8, border: `1.5px solid ${active ? COLORS.accent : COLORS.border}`,
+    background: active ? COLORS.accentBg : COLORS.card, color: active ? COLORS.accentDark : COLORS.textMuted,
+    fontSize: 12, fontWeight: 600, cursor: 'pointer'
+  });
+
+  return <div>
+    {/* Metadata */}
+    <div style={card}>
+      <div style={label}>Hymn</div>
+      {hymnIndex.length > 0 && <select value={meta.hymnId ?? ''} onChange={e => chooseHymn(e.target.value)} style={{ ...input, marginBottom: 8 }}>
+        <option value="">Choose a hymn…</option>
+        {hymnIndex.map(h => <option key={h.id} value={h.id}>#{h.number} — {h.title}</option>)}
+      </select>}
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 8 }}>
+        <div><div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 3 }}>Key</div>
+          <select value={meta.key} onChange={e => updateMeta('key', e.target.value)} style={input}>{KEYS.map(k => <option key={k}>{k}</option>)}</select></div>
+        <div><div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 3 }}>Time</div>
+          <select value={meta.timeSignature} onChange={e => updateMeta('timeSignature', e.target.value)} style={input}>{TIME_SIGNATURES.map(t => <option key={t}>{t}</option>)}</select></div>
+        <div><div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 3 }}>BPM</div>
+          <input type="number" min="30" max="200" value={meta.bpm} onChange={e => updateMeta('bpm', e.target.value)} style={input} /></div>
+      </div>
+      <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: 8, marginTop: 8 }}>
+        <div><div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 3 }}>Meter (e.g. 8.7.8.7)</div>
+          <input type="text" value={meta.meter} onChange={e => updateMeta('meter', e.target.value)} style={input} /></div>
+        <div><div style={{ fontSize: 10, color: COLORS.textMuted, marginBottom: 3 }} title="Beats before the first full measure, for hymns that start on an upbeat">Pickup beats</div>
+          <input type="number" min="0" step="0.5" value={meta.pickup} onChange={e => updateMeta('pickup', e.target.value)} style={input} /></div>
+      </div>
+    </div>
+
+    {/* Part being edited */}
+    <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+      {VOICES.map(v => <button key={v} onClick={() => chooseVoice(v)} disabled={!!recording} style={{ ...chip(v === voice), flex: 1, textTransform: 'capitalize' }}>
+        {v}{parts[v]?.length ? ` · ${parts[v].length}` : ''}
+      </button>)}
+    </div>
+
+    {/* Transcribe from the microphone */}
+    <div style={card}>
+      <div style={label}>Sing it in</div>
+      <div style={{ display: 'flex', gap: 8, alignItems: 'center', flexWrap: 'wrap' }}>
+        {recording
+          ? <button onClick={stopTranscription} style={{ ...chip(false), borderColor: COLORS.error, color: COLORS.error }}>■ Stop</button>
+          : <button onClick={startTranscription} style={chip(true)}>🎤 Record melody</button>}
+        <label style={{ fontSize: 11, color: COLORS.textMuted, display: 'flex', alignItems: 'center', gap: 4 }}>
+          <input type="checkbox" checked={useClick} disabled={!!recording} onChange={e => setUseClick(e.target.checked)} /> Count in at {meta.bpm} BPM
+        </label>
+        {recording && <span style={{ fontSize: 12, fontWeight: 600, color: recording === 'countin' ? COLORS.warning : COLORS.accentDark }}>
+          {recording === 'countin' ? 'Count-in…' : livePitch ? midiName(livePitch.midiRounded, meta.key) : 'Listening…'}
+        </span>}
+        {!recording && notes.length > 0 && <span style={{ marginLeft: 'auto', display: 'flex', gap: 4 }}>
+          <button onClick={() => shiftOctave(-1)} style={chip(false)} title="Move the whole part down an octave">Part −8va</button>
+          <button onClick={() => shiftOctave(1)} style={chip(false)} title="Move the whole part up an octave">Part +8va</button>
+        </span>}
+      </div>
+      <div style={{ fontSize: 10, color: COLORS.textLight, marginTop: 6, lineHeight: 1.5 }}>
+        Set the key, time and BPM first, then sing the tune on "la" from the first downbeat after the count-in, keeping that tempo. The recording replaces the notes below; lyrics you have already entered are kept.
+      </div>
+    </div>
+
+    {/* Preview */}
+    <div style={{ marginBottom: 10 }}>
+      {notes.length > 0
+        ? <NotationDisplay notes={previewNotes} timeSignature={meta.timeSignature} keySignature={meta.key} structure={meta.structure} currentNote={sel} clef={clefForVoice(voice)} />
+        : <div style={{ ...card, textAlign: 'center', fontSize: 12, color: COLORS.textMuted, padding: 24 }}>Choose a duration, then click keys to enter the {voice} part.</div>}
+    </div>
+
+    {/* Entry */}
+    <div style={card}>
+      <div style={label}>Duration</div>
+      <div style={{ display: 'flex', gap: 5, flexWrap: 'wrap', marginBottom: 12 }}>
+        {durOpts.map(o => <button key={o.label} title={o.label} onClick={() => chooseDuration(o.dur)} style={{ ...chip(Math.abs(dur - o.dur) < 0.001), minWidth: 40, fontSize: 15 }}>{o.symbol}</button>)}
+      </div>
+
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 6 }}>
+        <div style={label}>Pitch · octave {octave}</div>
+        <div style={{ display: 'flex', gap: 4 }}>
+          <button onClick={() => addNote(null)} style={chip(false)} title="Insert a rest at the current duration">𝄽 Rest</button>
+          <button onClick={() => setOctave(o => Math.max(2, o - 1))} style={chip(false)}>− 8va</button>
+          <button onClick={() => setOctave(o => Math.min(6, o + 1))} style={chip(false)}>+ 8va</button>
+        </div>
+      </div>
+      {/* One-octave keyboard */}
+      <div style={{ position: 'relative', height: 84, marginBottom: 12, userSelect: 'none' }}>
+        {[0, 2, 4, 5, 7, 9, 11].map((pc, i) => {
+          const midi = (octave + 1) * 12 + pc;
+          return <button key={pc} onClick={() => addNote(midi)} style={{ position: 'absolute', left: `${(i / 7) * 100}%`, width: `${100 / 7}%`, height: 84, border: `1px solid ${COLORS.border}`, borderRadius: '0 0 6px 6px', background: '#fff', cursor: 'pointer', display: 'flex', alignItems: 'flex-end', justifyContent: 'center', paddingBottom: 6, fontSize: 11, color: COLORS.textMuted }}>{midiName(midi, meta.key)}</button>;
+        })}
+        {[1, 3, 6, 8, 10].map(pc => {
+          const midi = (octave + 1) * 12 + pc;
+          const whiteBelow = [0, 2, 4, 5, 7, 9, 11].filter(w => w < pc).length;
+          return <button key={pc} onClick={() => addNote(midi)} style={{ position: 'absolute', left: `calc(${(whiteBelow / 7) * 100}% - 11px)`, width: 22, height: 50, border: 'none', borderRadius: '0 0 4px 4px', background: COLORS.text, cursor: 'pointer', zIndex: 1 }} title={midiName(midi, meta.key)} />;
+        })}
+      </div>
+
+      {/* Selected note */}
+      {selected && <div style={{ display: 'flex', gap: 6, alignItems: 'center', flexWrap: 'wrap' }}>
+        <span style={{ fontSize: 12, fontWeight: 700, color: COLORS.accentDark, minWidth: 86 }}>#{sel + 1} {noteLabel(selected, meta.key)} · m.{measured[sel].measure + 1}</span>
+        <button onClick={() => updateSelected({ midi: selected.midi - 1 })} disabled={selected.rest} style={chip(false)} title="Semitone down">▼</button>
+        <button onClick={() => updateSelected({ midi: selected.midi + 1 })} disabled={selected.rest} style={chip(false)} title="Semitone up">▲</button>
+        <button onClick={() => updateSelected({ fermata: !selected.fermata || undefined })} disabled={selected.rest} style={chip(!!selected.fermata)} title="Fermata: the leader holds this note">𝄐</button>
+        <input type="text" placeholder="Lyric (end with - to join syllables)" value={selected.lyric} disabled={selected.rest}
+          onChange={e => updateSelected({ lyric: e.target.value })}
+          onKeyDown={e => { if (e.key === 'Enter' && sel < notes.length - 1) selectNote(sel + 1); }}
+          style={{ ...input, flex: 1, minWidth: 140, width: 'auto' }} />
+        <button onClick={() => selectNote(Math.max(0, sel - 1))} style={chip(false)}>‹</button>
+        <button onClick={() => selectNote(Math.min(notes.length - 1, sel + 1))} style={chip(false)}>›</button>
+        <button onClick={deleteSelected} style={{ ...chip(false), color: COLORS.error }}>Delete</button>
+      </div>}
+    </div>
+
+    {/* Notes by measure */}
+    {notes.length > 0 && <div style={card}>
+      <div style={label}>{notes.length} notes · {totalMeasures} measures</div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4 }}>
+        {measured.map((n, i) => <button key={i} onClick={() => selectNote(i)} style={{
+          ...chip(i === sel), padding: '3px 6px', fontSize: 10, fontWeight: 500,
+          marginLeft: i > 0 && n.measure !== measured[i - 1].measure ? 8 : 0
+        }}>{noteLabel(n, meta.key)}{n.lyric ? ` ${n.lyric}` : ''}</button>)}
+      </div>
+      {incomplete.length > 0 && <div style={{ marginTop: 10, padding: '8px 10px', background: COLORS.warningBg, borderRadius: 6, fontSize: 11, color: COLORS.warning, lineHeight: 1.6 }}>
+        {incomplete.map(m => <div key={m.measure}>Measure {m.measure + 1} holds {m.total} of {m.expected} beats{m.total > m.expected ? ' — a note crosses the barline' : ''}</div>)}
+      </div>}
+    </div>}
+
+    {/* Export */}
+    <div style={{ ...card, display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+      <button onClick={download} disabled={!parts.soprano.length} style={chip(true)}>⬇ Download JSON</button>
+      <button onClick={copy} disabled={!parts.soprano.length} style={chip(false)}>Copy JSON</button>
+      <button onClick={() => fileRef.current?.click()} style={chip(false)}>Open JSON…</button>
+      {onPractice && <button onClick={() => onPractice(normalizeMelody(melody()))} disabled={!parts.soprano.length} style={chip(false)}>▶ Practice draft</button>}
+      <input ref={fileRef} type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={e => { importFile(e.target.files[0]); e.target.value = ''; }} />
+      {message && <div style={{ width: '100%', fontSize: 11, color: COLORS.textMuted }}>{message}</div>}
+    </div>
+  </div>;
+}
+
+export default MelodyEditor;
@@ -1,7 +1,7 @@
 import { useRef, useEffect, useCallback, useMemo } from 'react';
 import Vex from 'vexflow';
 
-const { Renderer, Stave, StaveNote, Voice, Formatter, Beam, Dot, Accidental, KeySignature } = Vex;
+const { Renderer, Stave, StaveNote, Voice, Formatter, Beam, Dot, Accidental, Articulation, KeySignature, Annotation, Modifier, Tables } = Vex;
 
 // ─── MIDI / Duration helpers ────────────────────────────────
 
@@ -11,6 +11,17 @@ const NOTE_NAMES_FLAT  = ['c', 'db', 'd', 'eb', 'e', 'f', 'gb', 'g', 'ab', 'a',
 // Keys that conventionally use flats
 const FLAT_KEYS = new Set(['F', 'Bb', 'Eb', 'Ab', 'Db', 'Gb', 'Cb']);
 
+// Colour of the note being sung
+const HIGHLIGHT = '#5c7a5e';
+
+// Where rests sit on each staff (the middle line)
+const REST_KEY = { treble: 'b/4', bass: 'd/3' };
+
+// Lyrics: one line per verse, below the staff or its lowest note
+const LYRIC_FONT = { family: 'Georgia, serif', size: 11 };
+const LYRIC_LINE_HEIGHT = 15;
+const LYRIC_GAP = 14;
+
 /**
  * Convert a MIDI number to a VexFlow key string like "c/4", "f#/5", "bb/3"
  */
@@ -103,6 +114,147 @@ function getBeatsPerMeasure(timeSignature) {
   return n;
 }
 
+// ─── Repeats ────────────────────────────────────────────────
+
+// Room above the first staff for volta brackets and section labels
+const STRUCTURE_HEADROOM = 24;
+
+/**
+ * Repeat signs, volta and section label for one written measure of a melody's
+ * `structure` ({ repeats, endings, sections }, by measure index).
+ */
+function structureMarks(structure, measure) {
+  if (!structure) return {};
+  const ending = structure.endings?.find(e => measure >= e.start && measure <= (e.end ?? e.start));
+  let volta = null;
+  if (ending) {
+    const end = ending.end ?? ending.start;
+    const { BEGIN, MID, END, BEGIN_END } = Vex.VoltaType;
+    volta = {
+      type: ending.start === end ? BEGIN_END : measure === ending.start ? BEGIN : measure === end ? END : MID,
+      label: `${ending.numbers.join(', ')}.`
+    };
+  }
+  return {
+    repeatStart: !!structure.repeats?.some(r => (r.start ?? 0) === measure && measure > 0),
+    repeatEnd: !!structure.repeats?.some(r => r.end === measure),
+    volta,
+    section: structure.sections?.find(sec => sec.start === measure)?.label
+  };
+}
+
+// ─── Lyrics ─────────────────────────────────────────────────
+
+/**
+ * One note's syllable as { text, hyphen, melisma }, or null for none.
+ * Accepts hymn JSON strings ("u-" continues the word on the next note) and the
+ * generator's { text, hyphen?, melisma? } entries; "_" or a melisma entry holds
+ * the previous syllable.
+ */
+function normalizeLyric(entry) {
+  if (entry == null) return null;
+  const raw = typeof entry === 'string' ? entry : entry.text || '';
+  const melisma = typeof entry === 'object' && !!entry.melisma || raw === '_';
+  if (melisma) return { text: '', hyphen: false, melisma: true };
+  const text = raw.trim().replace(/-$/, '');
+  if (!text) return null;
+  return { text, hyphen: raw.trim().endsWith('-') || (typeof entry === 'object' && !!entry.hyphen), melisma: false };
+}
+
+/**
+ * Lyric lines (verses) aligned with the notes: the `lyrics` prop when given,
+ * otherwise the notes' own `lyric` fields
+ */
+function buildLyricLines(notes, lyrics) {
+  if (lyrics?.length) return lyrics.map(line => notes.map((_, i) => normalizeLyric(line?.[i])));
+  if (notes.some(n => n.lyric)) return [notes.map(n => normalizeLyric(n.lyric))];
+  return [];
+}
+
+/**
+ * A syllable under a note. Formatted like any annotation, so notes are spaced
+ * to fit their words, but drawn on a shared baseline per verse so the words of
+ * a line read straight across rather than following the notes up and down.
+ */
+class LyricAnnotation extends Annotation {
+  constructor(text, verse, baseline) {
+    super(text);
+    this.verse = verse;
+    this.baseline = baseline;
+    this.setFont(LYRIC_FONT.family, LYRIC_FONT.size);
+    this.setVerticalJustification(Annotation.VerticalJustify.BOTTOM);
+  }
+
+  draw() {
+    const ctx = this.checkContext();
+    const note = this.checkAttachedNote();
+    this.setRendered();
+    ctx.openGroup('annotation', this.getAttribute('id'));
+    const start = note.getModifierStartXY(Modifier.Position.BELOW, this.index);
+    this.x = start.x - this.getWidth() / 2;
+    this.y = this.baseline.y + this.verse * LYRIC_LINE_HEIGHT;
+    this.renderText(ctx, 0, 0);
+    ctx.closeGroup();
+  }
+}
+
+/**
+ * Hyphens between the syllables of a word and extender lines under melismas,
+ * drawn once every note is in place. A word or melisma running onto the next
+ * staff line is continued there.
+ *
+ * @param {Array} drawn - [{ index, line, staveNote, lyrics: [LyricAnnotation|null per verse] }] in note order
+ */
+function drawLyricConnectors(context, drawn, lyricLines, lineEnds) {
+  context.save();
+  context.setFont(LYRIC_FONT.family, LYRIC_FONT.size);
+  lyricLines.forEach((entries, verse) => {
+    const sung = drawn.filter(d => entries[d.index]);
+    sung.forEach((d, k) => {
+      const entry = entries[d.index];
+      const ann = d.lyrics[verse];
+      if (entry.melisma || !ann) return;
+      const y = ann.y;
+      const held = [];
+      let next = null;
+      for (let j = k + 1; j < sung.length; j++) {
+        if (!entries[sung[j].index].melisma) {
+          next = sung[j];
+          break;
+        }
+        held.push(sung[j]);
+      }
+      const textEnd = ann.x + ann.getWidth();
+
+      if (entry.hyphen) {
+        const nextAnn = next?.lyrics[verse];
+        if (nextAnn && next.line === d.line) {
+          const gap = nextAnn.x - textEnd;
+          if (gap > 6) context.fillText('-', textEnd + gap / 2 - 2, y);
+        } else {
+          context.fillText('-', textEnd + 3, y);
+          if (nextAnn) context.fillText('-', nextAnn.x - 8, y);
+        }
+        return;
+      }
+
+      // Extender: from the syllable to the end of its last held note, line by line
+      const byLine = {};
+      held.forEach(h => {
+        if (!byLine[h.line]) byLine[h.line] = [];
+        byLine[h.line].push(h);
+      });
+      Object.entries(byLine).forEach(([line, notes]) => {
+        const last = notes[notes.length - 1].staveNote;
+        const x0 = Number(line) === d.line ? textEnd + 2 : notes[0].staveNote.getAbsoluteX() - 4;
+        const x1 = Math.min(last.getAbsoluteX() + last.getGlyphWidth(), lineEnds[line] ?? Infinity);
+        if (x1 > x0) context.fillRect(x0, y + 1, x1 - x0, 0.8);
+      });
+    });
+  });
+  context.restore();
+}
+
 // ─── Key signature mapping ──────────────────────────────────
 
 // Map our internal key names to VexFlow key signature strings
@@ -120,11 +272,19 @@ const KEY_TO_VEX = {
  * NotationDisplay - renders an array of notes as standard music notation
  *
  * Props:
- *   notes       - Array of { midi, dur, measure, deg?, freq? }
+ *   notes       - Array of { midi, dur, measure, deg?, freq?, lyric?, fermata? }; { rest: true, dur, measure }
+ *                 entries are drawn as rests. A short first measure is drawn as a pickup.
  *   timeSignature - String like "4/4", "3/4", "6/8"
  *   keySignature  - String like "C", "G", "Bb", "F#"
- *   currentNote   - Index of the currently active note (for highlighting), -1 for none
+ *   currentNote   - Index of the currently active note (for highlighting), -1 for none.
+ *                   Changing it recolours the note in place and scrolls its line into view.
  *   clef          - "treble" or "bass" (default "treble")
+ *   lyrics        - Optional array of verses, each one entry per note: a string ("u-" is
+ *                   hyphenated to the next note) or { text, hyphen?, melisma? }. Verses stack
+ *                   as separate lines. Defaults to the notes' own `lyric` fields.
+ *   structure     - Optional { repeats, endings, sections } from the melody JSON: drawn as repeat
+ *                   barlines, first/second ending brackets and section labels. The notes are
+ *                   the written ones, not the unrolled playback order.
  *   measuresPerLine - How many measures per staff line (default: auto based on container width)
  */
 export function NotationDisplay({
@@ -133,10 +293,15 @@ export function NotationDisplay({
   keySignature = 'C',
   currentNote = -1,
   clef = 'treble',
+  lyrics,
+  structure,
   measuresPerLine: measuresPerLineProp,
 }) {
   const containerRef = useRef(null);
   const rendererRef = useRef(null);
+  // note index -> { el, line }: the drawn SVG group of each note, for highlighting
+  const noteElsRef = useRef({});
+  const highlightRef = useRef({ index: -1, line: -1 });
 
   // Group notes by measure
   const measureGroups = useMemo(() => {
@@ -153,6 +318,8 @@ export function NotationDisplay({
       .map(k => groups[k]);
   }, [notes]);
 
+  const lyricLines = useMemo(() => buildLyricLines(notes, lyrics), [notes, lyrics]);
+
   const render = useCallback(() => {
     const container = containerRef.current;
     if (!container || !measureGroups.length) return;
@@ -160,6 +327,8 @@ export function NotationDisplay({
     try {
     // Clear previous render
     container.innerHTML = '';
+    noteElsRef.current = {};
+    const drawn = [];
 
     const containerWidth = container.clientWidth || 500;
 
@@ -178,8 +347,8 @@ export function NotationDisplay({
     }
 
     // Calculate dimensions
-    const staveHeight = 120;
-    const topPadding = 10;
+    const staveHeight = 120 + lyricLines.length * LYRIC_LINE_HEIGHT;
+    const topPadding = 10 + (structure?.endings?.length || structure?.sections?.length ? STRUCTURE_HEADROOM : 0);
     const lineSpacing = 20;
     const totalHeight = topPadding + lines.length * (staveHeight + lineSpacing);
 
@@ -194,10 +363,24 @@ export function NotationDisplay({
     const beatsPerMeasure = getBeatsPerMeasure(timeSignature);
     const [tsNum, tsDenom] = timeSignature.split('/').map(Number);
 
+    const lineEnds = {};
+
     lines.forEach((lineMeasures, lineIdx) => {
       const isFirstLine = lineIdx === 0;
       const y = topPadding + lineIdx * (staveHeight + lineSpacing);
 
+      // Lyrics sit below the lowest note of the line (staff positions: 1 = bottom line)
+      const lyricBaseline = { y: 0 };
+      let lowestLine = 1;
+      lineMeasures.flat().forEach(note => {
+        if (note.midi == null || isNaN(note.midi)) return;
+        try {
+          lowestLine = Math.min(lowestLine, Tables.keyProperties(midiToVexKey(note.midi, keySignature), clef).line);
+        } catch {
+          // Unknown key: keep the staff's own bottom line
+        }
+      });
+
       // First stave in the line gets clef + key sig + time sig (more width)
       const firstStaveExtra = isFirstLine ? 80 : 30;
       const availableWidth = containerWidth - 20; // 10px padding each side
@@ -225,11 +408,26 @@ export function NotationDisplay({
           stave.addClef(clef);
         }
 
+        const marks = structureMarks(structure, measureNotes[0].measure ?? 0);
+        if (marks.repeatStart) stave.setBegBarType(Vex.BarlineType.REPEAT_BEGIN);
+        if (marks.repeatEnd) stave.setEndBarType(Vex.BarlineType.REPEAT_END);
+        if (marks.volta) stave.setVoltaType(marks.volta.type, marks.volta.label, 0);
+        if (marks.section) stave.setSection(marks.section, 0, 0, 11, false);
+
         stave.setContext(context).draw();
+        if (measIdx === 0) lyricBaseline.y = stave.getYForNote(lowestLine) + LYRIC_GAP + LYRIC_FONT.size;
 
         // Create VexFlow notes for this measure
         const vexNotes = [];
         measureNotes.forEach((note) => {
+          if (note.rest) {
+            const { duration, dotted } = durToVexDuration(note.dur, timeSignature);
+            const rest = new StaveNote({ keys: [REST_KEY[clef] || REST_KEY.treble], duration: `${duration}r`, clef });
+            if (dotted) Dot.buildAndAttach([rest]);
+            vexNotes.push(rest);
+            drawn.push({ index: note._idx, line: lineIdx, staveNote: rest, lyrics: [] });
+            return;
+          }
           if (note.midi == null || isNaN(note.midi)) {
             console.warn('NotationDisplay: skipping note with invalid midi:', note);
             return;
@@ -260,12 +458,21 @@ export function NotationDisplay({
               Dot.buildAndAttach([staveNote]);
             }
 
-            // Highlight current note
-            if (note._idx === currentNote && currentNote >= 0) {
-              staveNote.setStyle({ fillStyle: '#5c7a5e', strokeStyle: '#5c7a5e' });
+            if (note.fermata) {
+              staveNote.addModifier(new Articulation('a@a').setPosition(Modifier.Position.ABOVE));
             }
 
+            // One syllable per verse; empty verses keep their line
+            const noteLyrics = lyricLines.map((entries, verse) => {
+              const entry = entries[note._idx];
+              if (!entry?.text) return null;
+              const annotation = new LyricAnnotation(entry.text, verse, lyricBaseline);
+              staveNote.addModifier(annotation);
+              return annotation;
+            });
+
             vexNotes.push(staveNote);
+            drawn.push({ index: note._idx, line: lineIdx, staveNote, lyrics: noteLyrics });
           } catch (e) {
             console.warn('NotationDisplay: error creating note:', e.message, { midi: note.midi, dur: note.dur, vexKey, duration });
           }
@@ -300,12 +507,24 @@ export function NotationDisplay({
 
         x += finalWidth;
       });
+      lineEnds[lineIdx] = x;
     });
+
+    if (lyricLines.length) drawLyricConnectors(context, drawn, lyricLines, lineEnds);
+
+    drawn.forEach(({ index, line, staveNote }) => {
+      const el = staveNote.getSVGElement();
+      if (el) noteElsRef.current[index] = { el, line };
+    });
+    // A fresh render has no highlight yet; reapply the current one
+    const { index } = highlightRef.current;
+    highlightRef.current = { index: -1, line: highlightRef.current.line };
+    setHighlight(noteElsRef.current, highlightRef.current, index, false);
     } catch (e) {
       console.error('NotationDisplay render error:', e);
       container.innerHTML = '<div style="padding:12px;color:#a33b3b;font-size:12px;">⚠ Notation rendering failed: ' + e.message + '</div>';
     }
-  }, [measureGroups, notes, timeSignature, keySignature, currentNote, clef, measuresPerLineProp]);
+  }, [measureGroups, notes, lyricLines, structure, timeSignature, keySignature, clef, measuresPerLineProp]);
 
   // Render on mount and when dependencies change
   useEffect(() => {
@@ -317,6 +536,11 @@ export function NotationDisplay({
     return () => observer.disconnect();
   }, [render]);
 
+  // Follow the current note without redrawing the whole score
+  useEffect(() => {
+    setHighlight(noteElsRef.current, highlightRef.current, currentNote, true);
+  }, [currentNote, render]);
+
   if (!notes.length) return null;
 
   return (
@@ -334,6 +558,31 @@ export function NotationDisplay({
   );
 }
 
+/**
+ * Move the highlight to note `index` (-1 clears it). Colours are set on the
+ * note's own SVG shapes, overriding VexFlow's fill/stroke attributes.
+ * With `scroll`, a note on a new staff line brings that line into view.
+ */
+function setHighlight(noteEls, state, index, scroll) {
+  if (state.index === index) return;
+  const paint = (entry, color) => {
+    entry?.el.querySelectorAll('path, text, rect').forEach(shape => {
+      if (shape.getAttribute('fill') !== 'none') shape.style.fill = color;
+      if (shape.getAttribute('stroke') && shape.getAttribute('stroke') !== 'none') shape.style.stroke = color;
+    });
+  };
+  paint(noteEls[state.index], '');
+  state.index = index;
+
+  const entry = noteEls[index];
+  if (!entry) return;
+  paint(entry, HIGHLIGHT);
+  if (scroll && entry.line !== state.line) {
+    entry.el.scrollIntoView?.({ block: 'nearest', behavior: 'smooth' });
+  }
+  state.line = entry.line;
+}
+
 /**
  * Get beam grouping for a time signature.
  * Returns VexFlow Fraction groups for Beam.generateBeams().
@@ -0,0 +1,168 @@
+/**
+ * OfflineManager - choose which hymns to keep on the device
+ *
+ * Lists every hymn with its offline state, downloads or removes hymns one at a
+ * time or all at once, and shows how much storage the site is using. The app
+ * itself and the instrument samples are always kept by the service worker.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { isOfflineSupported, getOfflineHymnIds, downloadHymn, removeHymn, getStorageEstimate } from '../storage/offline';
+
+const COLORS = {
+  card: '#fff',
+  border: '#e8e0d4',
+  grid: '#f0ece4',
+  text: '#3b3127',
+  textMuted: '#8a7e70',
+  textLight: '#b5a998',
+  accent: '#5c7a5e',
+  accentBg: '#e8f0e8',
+  warning: '#7a6c3d',
+  warningBg: '#fff8e8',
+  error: '#a33b3b'
+};
+
+function formatBytes(bytes) {
+  if (bytes == null) return '—';
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+/**
+ * Props:
+ *   hymns    - Full hymn index
+ *   onChange - Called with the new Set of offline hymn ids after a download or removal
+ */
+export function OfflineManager({ hymns = [], onChange }) {
+  const [offlineIds, setOfflineIds] = useState(new Set());
+  const [busy, setBusy] = useState({}); // id -> 'downloading' | 'removing'
+  const [progress, setProgress] = useState(null); // { done, total } while downloading several
+  const [search, setSearch] = useState('');
+  const [estimate, setEstimate] = useState(null);
+  const [error, setError] = useState(null);
+  const [online, setOnline] = useState(typeof navigator === 'undefined' ? true : navigator.onLine);
+  const supported = isOfflineSupported();
+
+  const refresh = async () => {
+    const ids = await getOfflineHymnIds();
+    setOfflineIds(ids);
+    setEstimate(await getStorageEstimate());
+    onChange?.(ids);
+  };
+
+  useEffect(() => {
+    if (supported) {
+      getOfflineHymnIds().then(setOfflineIds).catch(e => setError(e.message));
+      getStorageEstimate().then(setEstimate).catch(() => {});
+    }
+    const update = () => setOnline(navigator.onLine);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, [supported]);
+
+  const shown = useMemo(() => {
+    const q = search.toLowerCase();
+    return q ? hymns.filter(h => h.title.toLowerCase().includes(q) || h.number.includes(q)) : hymns;
+  }, [hymns, search]);
+
+  const download = async (list) => {
+    setError(null);
+    const failed = [];
+    setProgress({ done: 0, total: list.length });
+    for (let i = 0; i < list.length; i++) {
+      const h = list[i];
+      setBusy(b => ({ ...b, [h.id]: 'downloading' }));
+      try {
+        await downloadHymn(h);
+      } catch {
+        failed.push(h.number);
+      }
+      setBusy(b => { const next = { ...b }; delete next[h.id]; return next; });
+      setProgress({ done: i + 1, total: list.length });
+    }
+    setProgress(null);
+    if (failed.length) setError(`Could not download ${failed.length === 1 ? `#${failed[0]}` : `${failed.length} hymns`} — check your connection`);
+    await refresh();
+  };
+
+  const remove = async (h) => {
+    setBusy(b => ({ ...b, [h.id]: 'removing' }));
+    try {
+      await removeHymn(h);
+    } catch (e) {
+      setError(e.message);
+    }
+    setBusy(b => { const next = { ...b }; delete next[h.id]; return next; });
+    await refresh();
+  };
+
+  const card = { background: COLORS.card, border: `1px solid ${COLORS.border}`, borderRadius: 12, padding: 14, marginBottom: 10 };
+  const btn = (primary) => ({
+    padding: '6px 12px', borderRadius: 8, border: `1.5px solid ${primary ? COLORS.accent : COLORS.border}`,
+    background: primary ? COLORS.accentBg : COLORS.card, color: primary ? '#3d5640' : COLORS.textMuted,
+    fontSize: 11, fontWeight: 600, cursor: 'pointer', whiteSpace: 'nowrap'
+  });
+
+  if (!supported) {
+    return <div style={{ ...card, textAlign: 'center', color: COLORS.textMuted, fontSize: 13, padding: 32 }}>
+      This browser cannot keep hymns offline. Try Chrome, Edge, Safari or Firefox.
+    </div>;
+  }
+
+  const notKept = shown.filter(h => !offlineIds.has(h.id));
+
+  return <div>
+    {/* Status */}
+    <div style={{ ...card, display: 'flex', alignItems: 'center', gap: 12 }}>
+      <span style={{ width: 10, height: 10, borderRadius: '50%', background: online ? COLORS.accent : COLORS.error, flexShrink: 0 }} />
+      <div style={{ flex: 1 }}>
+        <div style={{ fontSize: 13, fontWeight: 600 }}>{offlineIds.size} of {hymns.length} hymns kept offline</div>
+        <div style={{ fontSize: 11, color: COLORS.textMuted }}>
+          {online ? 'Online' : 'Offline — only kept hymns have melodies and sheet music'} · {estimate ? `${formatBytes(estimate.usage)} used of ${formatBytes(estimate.quota)}` : 'storage use unknown'}
+        </div>
+      </div>
+    </div>
+
+    {error && <div style={{ ...card, background: COLORS.warningBg, color: COLORS.warning, fontSize: 12 }}>{error}</div>}
+
+    <div style={{ display: 'flex', gap: 8, marginBottom: 10 }}>
+      <input type="text" placeholder="Search by number or title..." value={search} onChange={e => setSearch(e.target.value)}
+        style={{ flex: 1, padding: '8px 12px', borderRadius: 10, border: `1.5px solid ${COLORS.border}`, background: COLORS.card, fontSize: 12, fontFamily: 'var(--sans)', color: COLORS.text, outline: 'none' }} />
+      <button disabled={!online || !!progress || notKept.length === 0} onClick={() => download(notKept)} style={btn(true)}>
+        {progress ? `${progress.done}/${progress.total}…` : `Download ${search ? 'shown' : 'all'} (${notKept.length})`}
+      </button>
+    </div>
+
+    <div style={card}>
+      {shown.length === 0 && <div style={{ fontSize: 12, color: COLORS.textMuted, textAlign: 'center' }}>No hymns match "{search}"</div>}
+      {shown.map(h => {
+        const kept = offlineIds.has(h.id);
+        const state = busy[h.id];
+        return <div key={h.id} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '7px 0', borderBottom: `1px solid ${COLORS.grid}` }}>
+          <span style={{ width: 16, fontSize: 12, color: kept ? COLORS.accent : COLORS.textLight }}>{kept ? '✓' : '○'}</span>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: 12, fontWeight: 600, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>#{h.number} — {h.title}</div>
+            <div style={{ fontSize: 10, color: COLORS.textLight }}>{h.images.length} pg</div>
+          </div>
+          {state
+            ? <span style={{ fontSize: 11, color: COLORS.textMuted }}>{state === 'downloading' ? 'Downloading…' : 'Removing…'}</span>
+            : kept
+              ? <button onClick={() => remove(h)} style={{ ...btn(false), color: COLORS.error }}>Remove</button>
+              : <button disabled={!online || !!progress} onClick={() => download([h])} style={btn(false)}>Download</button>}
+        </div>;
+      })}
+    </div>
+
+    <div style={{ fontSize: 10, color: COLORS.textLight, textAlign: 'center', lineHeight: 1.6 }}>
+      The app, hymn list and instrument sounds are saved automatically after your first visit.
+    </div>
+  </div>;
+}
+
+export default OfflineManager;
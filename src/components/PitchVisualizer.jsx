@@ -10,9 +10,17 @@
  * - Tuning meter (cents deviation)
  * - Level meter
  * - Note name display
+ * - Piano roll (when given a melody): upcoming notes scroll toward a "now"
+ *   line, the note to sing is drawn as a band, and the sung trace is coloured
+ *   by its distance from that note
+ * - Trace lane (mode="trace"): the last few seconds of pitch as a curve, so
+ *   scoops, wobbles and drift are visible
+ *
+ * PitchTraceReview draws a whole take after it is graded.
  */
 
-import { useRef, useEffect, useCallback } from 'react';
+import { useRef, useEffect, useCallback, useMemo } from 'react';
+import { buildExpectedTiming, expectedNoteAt, getMsPerBeatUnit } from '../audio/grader';
 
 // Color palette
 const COLORS = {
@@ -27,9 +35,36 @@ const COLORS = {
   error: '#a33b3b',
   scaleGradientTop: '#e8f5e9',
   scaleGradientMid: '#f5f5dc',
-  scaleGradientBottom: '#fff3e0'
+  scaleGradientBottom: '#fff3e0',
+  accentBg: '#e8f0e8',
+  warningBg: '#f6ecd2',
+  rollNote: '#d9d2c5',
+  rollTarget: 'rgba(92, 122, 94, 0.18)'
 };
 
+// Piano roll window: how much of the past and future is visible
+const ROLL_PAST_MS = 3000;
+const ROLL_FUTURE_MS = 5000;
+
+// Sung trace colours by distance from the target note
+const TRACE_CENTS = { good: 25, close: 50 };
+
+// Frames further apart than this are drawn as a break in the curve
+const TRACE_MAX_GAP_MS = 150;
+
+function traceColor(centsOff) {
+  const off = Math.abs(centsOff);
+  if (off < TRACE_CENTS.good) return COLORS.accentDark;
+  if (off < TRACE_CENTS.close) return COLORS.warning;
+  return COLORS.error;
+}
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+function midiName(midi) {
+  return NOTE_NAMES[((midi % 12) + 12) % 12] + (Math.floor(midi / 12) - 1);
+}
+
 export function PitchVisualizer({
   pitchData,        // Current pitch data from PitchEngine
   width = 320,
@@ -37,17 +72,42 @@ export function PitchVisualizer({
   midiMin = 30,     // F#1 (extended half octave lower)
   midiMax = 73,     // C#5 (extended half octave higher)
   showLabels = true,
+  melody = null,    // Reference notes [{ midi, dur, rest?, fermata? }] — switches to the piano roll
+  bpm = 80,
+  timeSignature = '4/4',
+  startTime = null, // performance.now() at which the first melody note starts
+  mode = 'meter',   // 'meter' or 'trace'
+  traceSeconds = 6, // Length of the trace lane
   style = {}
 }) {
   const canvasRef = useRef(null);
   const animationRef = useRef(null);
+  const renderRef = useRef(null);
   const currentPitchRef = useRef(null);
   const smoothedPositionRef = useRef(null);
+  const traceRef = useRef([]); // [{ at, midi }] recent pitch, at = performance.now(), midi null when silent
+
+  const expectedNotes = useMemo(
+    () => melody?.length ? buildExpectedTiming(melody, getMsPerBeatUnit(bpm, timeSignature)) : null,
+    [melody, bpm, timeSignature]
+  );
 
-  // Update pitch data ref (avoids re-renders)
+  // Update pitch data ref (avoids re-renders) and extend the trace
   useEffect(() => {
     currentPitchRef.current = pitchData;
-  }, [pitchData]);
+    if (!pitchData) return;
+    const at = performance.now();
+    const trace = traceRef.current;
+    trace.push({ at, midi: pitchData.gateOpen ? pitchData.midi : null });
+    // Keep only what can still be drawn
+    const keepMs = Math.max(ROLL_PAST_MS, traceSeconds * 1000);
+    while (trace.length && trace[0].at < at - keepMs) trace.shift();
+  }, [pitchData, traceSeconds]);
+
+  // A new take starts with an empty trace
+  useEffect(() => {
+    traceRef.current = [];
+  }, [startTime]);
 
   // Generate note labels for the scale
   const generateNoteLabels = useCallback(() => {
@@ -93,6 +153,17 @@ export function PitchVisualizer({
     ctx.fillRect(0, 0, displayWidth, displayHeight);
 
     const pitch = currentPitchRef.current;
+
+    if (expectedNotes && startTime != null) {
+      const trace = traceRef.current.map(p => ({ t: p.at - startTime, midi: p.midi }));
+      drawPianoRoll(ctx, displayWidth, displayHeight, expectedNotes, performance.now() - startTime, trace, pitch);
+      return;
+    }
+    if (mode === 'trace') {
+      drawTraceLane(ctx, displayWidth, displayHeight, traceRef.current, traceSeconds * 1000, midiMin, midiMax, pitch);
+      return;
+    }
+
     const labels = generateNoteLabels();
 
     // Layout
@@ -308,21 +379,27 @@ export function PitchVisualizer({
       ctx.roundRect(levelX, levelY + levelHeight - barHeight, levelWidth, barHeight, 6);
       ctx.fill();
     }
+  }, [width, height, midiMin, midiMax, showLabels, generateNoteLabels, expectedNotes, startTime, mode, traceSeconds]);
 
-    // Continue animation loop
-    animationRef.current = requestAnimationFrame(render);
-  }, [width, height, midiMin, midiMax, showLabels, generateNoteLabels]);
+  // The loop always draws with the latest render, without restarting when it changes
+  useEffect(() => {
+    renderRef.current = render;
+  }, [render]);
 
   // Start/stop animation loop
   useEffect(() => {
-    animationRef.current = requestAnimationFrame(render);
+    const loop = () => {
+      renderRef.current?.();
+      animationRef.current = requestAnimationFrame(loop);
+    };
+    animationRef.current = requestAnimationFrame(loop);
 
     return () => {
       if (animationRef.current) {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [render]);
+  }, []);
 
   return (
     <canvas
@@ -337,6 +414,292 @@ export function PitchVisualizer({
   );
 }
 
+/**
+ * Draw a pitch curve from [{ t, midi }] points, breaking it where the voice
+ * stopped (midi null) or frames are missing. colorAt(point) colours each segment.
+ */
+function drawTrace(ctx, points, xAt, yAt, colorAt, maxGapMs = TRACE_MAX_GAP_MS) {
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (a.midi == null || b.midi == null || b.t - a.t > maxGapMs) continue;
+    ctx.strokeStyle = colorAt(b);
+    ctx.beginPath();
+    ctx.moveTo(xAt(a.t), yAt(a.midi));
+    ctx.lineTo(xAt(b.t), yAt(b.midi));
+    ctx.stroke();
+  }
+}
+
+/**
+ * Semitone rows with natural-note labels to the left of x
+ */
+function drawPitchRows(ctx, x, width, lo, hi, yAt) {
+  // Tight rows only get C and G labelled
+  const crowded = Math.abs(yAt(lo) - yAt(lo + 1)) < 8;
+  ctx.font = '9px system-ui';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (let midi = lo; midi <= hi; midi++) {
+    const y = yAt(midi);
+    const isC = midi % 12 === 0;
+    ctx.strokeStyle = isC ? COLORS.accent : COLORS.border;
+    ctx.globalAlpha = isC ? 0.6 : 0.4;
+    ctx.lineWidth = 0.5;
+    ctx.beginPath();
+    ctx.moveTo(x, y);
+    ctx.lineTo(x + width, y);
+    ctx.stroke();
+    ctx.globalAlpha = 1;
+    const pc = ((midi % 12) + 12) % 12;
+    if (crowded ? pc === 0 || pc === 7 : !NOTE_NAMES[pc].includes('#')) {
+      ctx.fillStyle = COLORS.textMuted;
+      ctx.fillText(midiName(midi), x - 6, y);
+    }
+  }
+}
+
+/**
+ * Trace lane: the last `windowMs` of pitch, newest at the right edge,
+ * coloured by distance from the nearest semitone
+ */
+function drawTraceLane(ctx, width, height, trace, windowMs, lo, hi, pitch) {
+  const padding = 12;
+  const labelWidth = 34;
+  const headerHeight = 22;
+  const laneX = padding + labelWidth;
+  const laneY = padding + headerHeight;
+  const laneW = width - laneX - padding;
+  const laneH = height - laneY - padding;
+  const now = performance.now();
+  const xAt = at => laneX + laneW - (now - at) / windowMs * laneW;
+  const rowH = laneH / (hi - lo + 1);
+  const yAt = midi => laneY + (hi - midi + 0.5) * rowH;
+
+  ctx.fillStyle = COLORS.bgAlt;
+  ctx.beginPath();
+  ctx.roundRect(laneX, laneY, laneW, laneH, 8);
+  ctx.fill();
+  drawPitchRows(ctx, laneX, laneW, lo, hi, yAt);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(laneX, laneY, laneW, laneH);
+  ctx.clip();
+  const points = trace.map(p => ({ t: p.at, midi: p.midi }));
+  drawTrace(ctx, points, xAt, yAt, p => traceColor((p.midi - Math.round(p.midi)) * 100));
+  ctx.restore();
+
+  ctx.textBaseline = 'middle';
+  ctx.font = '600 11px system-ui';
+  ctx.textAlign = 'left';
+  ctx.fillStyle = COLORS.textMuted;
+  ctx.fillText(`Last ${Math.round(windowMs / 1000)} s`, laneX, padding + headerHeight / 2 - 2);
+  if (pitch && pitch.midi != null && pitch.gateOpen) {
+    ctx.textAlign = 'right';
+    ctx.fillStyle = traceColor(pitch.cents);
+    ctx.fillText(`${pitch.noteName} ${pitch.cents > 0 ? '+' : ''}${pitch.cents}¢`, laneX + laneW, padding + headerHeight / 2 - 2);
+  }
+}
+
+/**
+ * Piano roll: time runs right to left past a "now" line. Notes are bars, the
+ * note due now is a highlighted band across the roll, and the sung trace is
+ * green, amber or red by its cents distance from the note that was due.
+ */
+function drawPianoRoll(ctx, width, height, expectedNotes, elapsed, trace, pitch) {
+  const padding = 12;
+  const labelWidth = 34;
+  const headerHeight = 22;
+  const rollX = padding + labelWidth;
+  const rollY = padding + headerHeight;
+  const rollW = width - rollX - padding;
+  const rollH = height - rollY - padding;
+  const nowX = rollX + rollW * (ROLL_PAST_MS / (ROLL_PAST_MS + ROLL_FUTURE_MS));
+  const pxPerMs = rollW / (ROLL_PAST_MS + ROLL_FUTURE_MS);
+  const xAt = t => nowX + (t - elapsed) * pxPerMs;
+
+  // Fit the vertical range to the melody
+  const midis = expectedNotes.filter(n => !n.rest).map(n => n.midi);
+  const lo = Math.min(...midis) - 3;
+  const hi = Math.max(...midis) + 3;
+  const rowH = rollH / (hi - lo + 1);
+  const yAt = midi => rollY + (hi - midi + 0.5) * rowH;
+
+  // Background and semitone rows
+  ctx.fillStyle = COLORS.bgAlt;
+  ctx.beginPath();
+  ctx.roundRect(rollX, rollY, rollW, rollH, 8);
+  ctx.fill();
+
+  drawPitchRows(ctx, rollX, rollW, lo, hi, yAt);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(rollX, rollY, rollW, rollH);
+  ctx.clip();
+
+  // Target band for the note due now
+  const currentIdx = expectedNoteAt(expectedNotes, elapsed);
+  const due = currentIdx >= 0 ? expectedNotes[currentIdx] : null;
+  const target = due?.rest ? null : due;
+  if (target) {
+    ctx.fillStyle = COLORS.rollTarget;
+    ctx.fillRect(rollX, yAt(target.midi) - rowH, rollW, rowH * 2);
+  }
+
+  // Notes
+  for (const note of expectedNotes) {
+    if (note.rest) continue;
+    const x0 = xAt(note.expectedStart);
+    const x1 = xAt(note.expectedStart + note.expectedDuration);
+    if (x1 < rollX || x0 > rollX + rollW) continue;
+    ctx.fillStyle = note === target ? COLORS.accent : COLORS.rollNote;
+    ctx.beginPath();
+    ctx.roundRect(x0 + 1, yAt(note.midi) - rowH * 0.4, Math.max(2, x1 - x0 - 2), rowH * 0.8, 3);
+    ctx.fill();
+  }
+
+  // Sung trace, coloured against the note due at each moment
+  drawTrace(ctx, trace, xAt, yAt, p => {
+    const note = expectedNotes[expectedNoteAt(expectedNotes, p.t)];
+    return note && !note.rest ? traceColor((p.midi - note.midi) * 100) : COLORS.textMuted;
+  });
+  ctx.restore();
+
+  // Now line
+  ctx.strokeStyle = COLORS.text;
+  ctx.globalAlpha = 0.5;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(nowX, rollY);
+  ctx.lineTo(nowX, rollY + rollH);
+  ctx.stroke();
+  ctx.globalAlpha = 1;
+
+  // Header: target and sung note
+  ctx.textBaseline = 'middle';
+  ctx.textAlign = 'left';
+  ctx.font = '600 11px system-ui';
+  ctx.fillStyle = COLORS.textMuted;
+  ctx.fillText(target ? `Sing ${midiName(target.midi)}` : due ? 'Rest' : elapsed < 0 ? 'Get ready…' : '', rollX, padding + headerHeight / 2 - 2);
+
+  if (pitch && pitch.midi != null && pitch.gateOpen) {
+    const off = target ? Math.round((pitch.midi - target.midi) * 100) : null;
+    ctx.textAlign = 'right';
+    ctx.fillStyle = off == null ? COLORS.textMuted : traceColor(off);
+    const detail = off == null ? '' : Math.abs(off) < TRACE_CENTS.good ? ' ✓' : ` ${off > 0 ? '+' : ''}${off}¢`;
+    ctx.fillText(`You ${pitch.noteName}${detail}`, rollX + rollW, padding + headerHeight / 2 - 2);
+  }
+}
+
+/**
+ * PitchTraceReview - a whole graded take: the expected notes as boxes with
+ * the sung pitch drawn over them. Scrolls sideways for long takes.
+ *
+ * Props:
+ *   trace       - [{ t, midi }] from gradePerformance (pitchTrace), t in ms
+ *   noteByNote  - Match results from gradePerformance
+ *   height      - Canvas height (default 220)
+ *   pxPerSecond - Horizontal scale (default 60)
+ */
+export function PitchTraceReview({ trace = [], noteByNote = [], height = 220, pxPerSecond = 60, style = {} }) {
+  const canvasRef = useRef(null);
+
+  const expectedNotes = useMemo(() => noteByNote.map(r => r.expected), [noteByNote]);
+
+  const padding = 12;
+  const labelWidth = 34;
+  const endMs = Math.max(
+    trace.length ? trace[trace.length - 1].t : 0,
+    ...expectedNotes.map(n => n.expectedStart + n.expectedDuration)
+  );
+  const width = Math.max(320, Math.ceil(padding * 2 + labelWidth + (endMs / 1000) * pxPerSecond));
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    ctx.scale(dpr, dpr);
+
+    ctx.fillStyle = COLORS.bg;
+    ctx.fillRect(0, 0, width, height);
+
+    const sung = trace.filter(p => p.midi != null).map(p => p.midi);
+    const midis = [...expectedNotes.map(n => n.midi), ...sung];
+    if (!midis.length) return;
+    const lo = Math.floor(Math.min(...midis)) - 2;
+    const hi = Math.ceil(Math.max(...midis)) + 2;
+
+    const laneX = padding + labelWidth;
+    const laneY = padding;
+    const laneW = width - laneX - padding;
+    const laneH = height - padding * 2;
+    const rowH = laneH / (hi - lo + 1);
+    const xAt = t => laneX + (t / 1000) * pxPerSecond;
+    const yAt = midi => laneY + (hi - midi + 0.5) * rowH;
+
+    ctx.fillStyle = COLORS.bgAlt;
+    ctx.beginPath();
+    ctx.roundRect(laneX, laneY, laneW, laneH, 8);
+    ctx.fill();
+    drawPitchRows(ctx, laneX, laneW, lo, hi, yAt);
+
+    // Expected notes: filled when hit, outlined in red when missed
+    noteByNote.forEach(r => {
+      const n = r.expected;
+      const x = xAt(n.expectedStart) + 1;
+      const w = Math.max(2, n.expectedDuration / 1000 * pxPerSecond - 2);
+      ctx.beginPath();
+      ctx.roundRect(x, yAt(n.midi) - rowH * 0.45, w, rowH * 0.9, 3);
+      if (r.matched) {
+        ctx.fillStyle = r.isSharp || r.isFlat ? COLORS.warningBg : COLORS.accentBg;
+        ctx.fill();
+      } else {
+        ctx.strokeStyle = COLORS.error;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.6;
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+      if (n.lyric) {
+        ctx.fillStyle = COLORS.textMuted;
+        ctx.font = '9px system-ui';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(n.lyric, x, yAt(n.midi) - rowH * 0.5);
+      }
+    });
+
+    drawTrace(ctx, trace, xAt, yAt, p => {
+      const due = expectedNoteAt(expectedNotes, p.t);
+      return due >= 0 ? traceColor((p.midi - expectedNotes[due].midi) * 100) : COLORS.textMuted;
+    });
+
+    // Seconds along the bottom
+    ctx.fillStyle = COLORS.textMuted;
+    ctx.font = '9px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    for (let sec = 0; sec * 1000 <= endMs; sec += 5) {
+      ctx.fillText(`${sec}s`, xAt(sec * 1000), height - 1);
+    }
+  }, [trace, noteByNote, expectedNotes, width, height, pxPerSecond, endMs]);
+
+  return (
+    <div style={{ overflowX: 'auto', borderRadius: 12, border: `1px solid ${COLORS.border}`, ...style }}>
+      <canvas ref={canvasRef} style={{ display: 'block' }} />
+    </div>
+  );
+}
+
 /**
  * Compact version for smaller spaces
  */
@@ -0,0 +1,292 @@
+/**
+ * StartingPitchDrill - find a hymn's first note without an instrument
+ *
+ * Shows a key and the note a hymn starts on, listens while the leader sings it
+ * cold, and reports how far off it was in cents (in whichever octave they
+ * sang). The reference can be played afterwards to check against. Every try is
+ * stored so accuracy for each starting note can be followed across sessions.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { listenForNote } from '../audio/note-listener';
+import { KEYS } from '../audio/scales';
+import { saveDrillResult, getDrillResults, clearDrillResults } from '../storage/history';
+
+const COLORS = {
+  card: '#fff',
+  border: '#e8e0d4',
+  grid: '#f0ece4',
+  text: '#3b3127',
+  textMuted: '#8a7e70',
+  textLight: '#b5a998',
+  accent: '#5c7a5e',
+  accentBg: '#e8f0e8',
+  warning: '#b08d3a',
+  error: '#a33b3b'
+};
+
+const DRILL_TYPE = 'starting-pitch';
+
+const FLAT_KEYS = new Set(['F', 'Bb', 'Eb', 'Ab', 'Db']);
+const SHARP_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const FLAT_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B'];
+
+// Notes hymns most often start on, as semitones from the tonic
+const START_DEGREES = [
+  { label: 'do', semitones: 0 },
+  { label: 'mi', semitones: 4 },
+  { label: 'sol', semitones: 7 },
+  { label: 'low sol', semitones: -5 }
+];
+
+// Where prompts are placed: C4-C5 for higher voices, an octave down for lower
+const RANGES = { high: 60, low: 48 };
+
+function noteName(midi, key = 'C') {
+  const names = FLAT_KEYS.has(key) ? FLAT_NAMES : SHARP_NAMES;
+  const pc = ((Math.round(midi) % 12) + 12) % 12;
+  return `${names[pc]}${Math.floor(Math.round(midi) / 12) - 1}`;
+}
+
+function pitchClassName(midi, key = 'C') {
+  return noteName(midi, key).replace(/-?\d+$/, '');
+}
+
+/**
+ * A generated prompt: a random key and a common starting note in the chosen range
+ */
+function randomPrompt(range) {
+  const key = KEYS[Math.floor(Math.random() * KEYS.length)];
+  const degree = START_DEGREES[Math.floor(Math.random() * START_DEGREES.length)];
+  let midi = RANGES[range] + KEYS.indexOf(key) + degree.semitones;
+  while (midi > RANGES[range] + 12) midi -= 12;
+  while (midi < RANGES[range] - 5) midi += 12;
+  return { key, degree: degree.label, targetMidi: midi };
+}
+
+/**
+ * How far the sung pitch is from the target, ignoring octave
+ */
+function measureError(sungMidi, targetMidi) {
+  const diff = sungMidi - targetMidi;
+  const octaveOffset = Math.round(diff / 12);
+  return { centsOff: Math.round((diff - octaveOffset * 12) * 100), octaveOffset };
+}
+
+function verdict(centsOff) {
+  const abs = Math.abs(centsOff);
+  if (abs <= 25) return { label: 'Spot on', color: COLORS.accent };
+  if (abs <= 50) return { label: 'Close', color: COLORS.warning };
+  const semitones = Math.round(abs / 100);
+  return {
+    label: `About ${semitones} semitone${semitones === 1 ? '' : 's'} ${centsOff > 0 ? 'sharp' : 'flat'}`,
+    color: COLORS.error
+  };
+}
+
+/**
+ * Props:
+ *   hymnPrompt - Optional { key, targetMidi, degree?, hymnId, title } to start with one hymn's
+ *                first note; "Next" moves on to random keys and common starting notes
+ *   playNote   - (midi, seconds) => void, plays the reference after a try
+ */
+export function StartingPitchDrill({ hymnPrompt = null, playNote }) {
+  const [range, setRange] = useState(() => (hymnPrompt?.targetMidi ?? 60) < 57 ? 'low' : 'high');
+  const [prompt, setPrompt] = useState(() => hymnPrompt || randomPrompt('high'));
+  const [phase, setPhase] = useState('ready'); // ready | listening | result
+  const [live, setLive] = useState(null);      // current pitch while listening
+  const [result, setResult] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState(null);
+
+  const listenerRef = useRef(null);
+
+  useEffect(() => {
+    getDrillResults(DRILL_TYPE).then(setHistory).catch(e => console.warn('Could not load drill results:', e));
+  }, []);
+
+  const stopListening = () => {
+    listenerRef.current?.cancel();
+    listenerRef.current = null;
+  };
+
+  useEffect(() => () => listenerRef.current?.cancel(), []);
+
+  const record = (sungMidi) => {
+    const { centsOff, octaveOffset } = measureError(sungMidi, prompt.targetMidi);
+    const entry = {
+      type: DRILL_TYPE,
+      key: prompt.key,
+      degree: prompt.degree || null,
+      hymnId: prompt.hymnId ?? null,
+      title: prompt.title || null,
+      targetMidi: prompt.targetMidi,
+      sungMidi: Math.round(sungMidi * 100) / 100,
+      centsOff,
+      octaveOffset
+    };
+    setResult(entry);
+    setPhase('result');
+    saveDrillResult(entry)
+      .then(() => setHistory(h => [...h, { ...entry, timestamp: Date.now() }]))
+      .catch(e => console.warn('Could not save drill result:', e));
+  };
+
+  const listen = () => {
+    stopListening();
+    setError(null);
+    setResult(null);
+    const listener = listenForNote({
+      onPitch: p => setLive(p.midi != null ? p : null),
+      onListening: () => setPhase('listening')
+    });
+    listenerRef.current = listener;
+    listener.result
+      .then(sung => {
+        if (sung) record(sung.midi);
+        else {
+          setError('No pitch was heard. Sing the note clearly and hold it for a second.');
+          setPhase('ready');
+        }
+      })
+      .catch(err => {
+        setError(err.message || 'Microphone error');
+        setPhase('ready');
+      })
+      .finally(() => {
+        setLive(null);
+        if (listenerRef.current === listener) listenerRef.current = null;
+      });
+  };
+
+  const show = (nextPrompt) => {
+    stopListening();
+    setResult(null);
+    setError(null);
+    setPhase('ready');
+    setPrompt(nextPrompt);
+  };
+
+  const next = (nextRange = range) => show(randomPrompt(nextRange));
+
+  const changeRange = (r) => {
+    setRange(r);
+    next(r);
+  };
+
+  const clearStats = async () => {
+    await clearDrillResults(DRILL_TYPE).catch(e => console.warn('Could not clear drill results:', e));
+    setHistory([]);
+  };
+
+  // Accuracy per starting note, most practiced first
+  const stats = useMemo(() => {
+    const recent = history.slice(-20);
+    const byNote = {};
+    history.forEach(r => {
+      const name = pitchClassName(r.targetMidi, r.key);
+      if (!byNote[name]) byNote[name] = { name, tries: 0, total: 0 };
+      byNote[name].tries++;
+      byNote[name].total += Math.abs(r.centsOff);
+    });
+    return {
+      tries: history.length,
+      recentAvg: recent.length ? Math.round(recent.reduce((s, r) => s + Math.abs(r.centsOff), 0) / recent.length) : null,
+      recentHit: recent.length ? Math.round(recent.filter(r => Math.abs(r.centsOff) <= 25).length / recent.length * 100) : null,
+      notes: Object.values(byNote)
+        .map(n => ({ ...n, avg: Math.round(n.total / n.tries) }))
+        .sort((a, b) => b.tries - a.tries)
+        .slice(0, 12)
+    };
+  }, [history]);
+
+  const card = { background: COLORS.card, border: `1px solid ${COLORS.border}`, borderRadius: 12, padding: 16, marginBottom: 10 };
+  const btn = (primary) => ({
+    padding: '10px 18px', borderRadius: 10, border: `1.5px solid ${primary ? COLORS.accent : COLORS.border}`,
+    background: primary ? COLORS.accent : COLORS.card, color: primary ? '#fff' : COLORS.textMuted,
+    fontSize: 13, fontWeight: 600, cursor: 'pointer'
+  });
+  const liveError = live ? measureError(live.midi, prompt.targetMidi).centsOff : null;
+  const v = result && verdict(result.centsOff);
+
+  return <div>
+    <div style={{ display: 'flex', gap: 6, marginBottom: 10 }}>
+      {[['high', 'Higher voice'], ['low', 'Lower voice']].map(([r, label]) => (
+        <button key={r} disabled={phase === 'listening'} onClick={() => changeRange(r)} style={{
+          padding: '6px 12px', borderRadius: 8, border: `1.5px solid ${range === r ? COLORS.accent : COLORS.border}`,
+          background: range === r ? COLORS.accentBg : COLORS.card, color: range === r ? '#3d5640' : COLORS.textMuted,
+          fontSize: 11, fontWeight: 600, cursor: 'pointer'
+        }}>{label}</button>
+      ))}
+      {hymnPrompt && prompt !== hymnPrompt && <button disabled={phase === 'listening'} onClick={() => show(hymnPrompt)} style={{
+        marginLeft: 'auto', padding: '6px 12px', borderRadius: 8, border: `1.5px solid ${COLORS.border}`,
+        background: COLORS.card, color: COLORS.textMuted, fontSize: 11, fontWeight: 600, cursor: 'pointer'
+      }}>Back to {hymnPrompt.title || 'the hymn'}</button>}
+    </div>
+
+    {/* Prompt */}
+    <div style={{ ...card, textAlign: 'center', padding: 24 }}>
+      {prompt.title && <div style={{ fontSize: 12, color: COLORS.textMuted, marginBottom: 6 }}>{prompt.title}</div>}
+      <div style={{ fontSize: 11, color: COLORS.textMuted, fontWeight: 600, letterSpacing: '0.08em', textTransform: 'uppercase' }}>Key of {prompt.key}</div>
+      <div style={{ fontFamily: 'var(--serif)', fontSize: 44, color: COLORS.text, lineHeight: 1.2, margin: '6px 0' }}>{pitchClassName(prompt.targetMidi, prompt.key)}</div>
+      <div style={{ fontSize: 12, color: COLORS.textMuted }}>
+        First note{prompt.degree ? ` — ${prompt.degree}` : ''} · {noteName(prompt.targetMidi, prompt.key)} (any octave)
+      </div>
+
+      {phase === 'ready' && <div style={{ marginTop: 18 }}>
+        <button onClick={listen} style={btn(true)}>🎤 Sing it</button>
+        <div style={{ fontSize: 11, color: COLORS.textLight, marginTop: 8 }}>Find the note in your head first, then sing and hold it.</div>
+      </div>}
+
+      {phase === 'listening' && <div style={{ marginTop: 18 }}>
+        <div style={{ fontSize: 13, color: COLORS.accent, fontWeight: 600 }}>Listening… hold the note</div>
+        <div style={{ fontSize: 12, color: COLORS.textMuted, marginTop: 4, minHeight: 18 }}>
+          {live ? `${noteName(live.midi, prompt.key)} ${liveError > 0 ? '+' : ''}${liveError}¢` : 'Waiting for your voice'}
+        </div>
+        <button onClick={() => listenerRef.current?.finish()} style={{ ...btn(false), marginTop: 10 }}>Done</button>
+      </div>}
+
+      {phase === 'result' && result && <div style={{ marginTop: 18 }}>
+        <div style={{ fontFamily: 'var(--serif)', fontSize: 28, color: v.color }}>{result.centsOff > 0 ? '+' : ''}{result.centsOff}¢</div>
+        <div style={{ fontSize: 13, fontWeight: 600, color: v.color }}>{v.label}</div>
+        <div style={{ fontSize: 11, color: COLORS.textMuted, marginTop: 4 }}>
+          You sang {noteName(result.sungMidi, prompt.key)}{result.octaveOffset ? ` (${Math.abs(result.octaveOffset) === 1 ? 'an octave' : `${Math.abs(result.octaveOffset)} octaves`} ${result.octaveOffset < 0 ? 'below' : 'above'})` : ''}
+        </div>
+        <div style={{ display: 'flex', gap: 8, justifyContent: 'center', marginTop: 14 }}>
+          {playNote && <button onClick={() => playNote(prompt.targetMidi + result.octaveOffset * 12, 2)} style={btn(false)}>🔊 Play reference</button>}
+          <button onClick={listen} style={btn(false)}>Try again</button>
+          <button onClick={() => next()} style={btn(true)}>Next</button>
+        </div>
+      </div>}
+
+      {error && <div style={{ fontSize: 12, color: COLORS.error, marginTop: 12 }}>{error}</div>}
+    </div>
+
+    {/* Accuracy over sessions */}
+    <div style={card}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginBottom: 10 }}>
+        <div style={{ fontFamily: 'var(--serif)', fontSize: 15 }}>Your Accuracy</div>
+        {stats.tries > 0 && <button onClick={clearStats} style={{ background: 'none', border: 'none', color: COLORS.textLight, fontSize: 11, cursor: 'pointer' }}>Clear</button>}
+      </div>
+      {stats.tries === 0
+        ? <div style={{ fontSize: 12, color: COLORS.textMuted }}>No tries yet. Your results are kept on this device.</div>
+        : <>
+          <div style={{ fontSize: 12, color: COLORS.textMuted, marginBottom: 10 }}>
+            {stats.tries} tries · last {Math.min(20, stats.tries)}: {stats.recentHit}% within 25¢, average {stats.recentAvg}¢ off
+          </div>
+          {stats.notes.map(n => (
+            <div key={n.name} style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '4px 0', borderBottom: `1px solid ${COLORS.grid}` }}>
+              <span style={{ width: 32, fontFamily: 'var(--serif)', fontSize: 14 }}>{n.name}</span>
+              <div style={{ flex: 1, height: 5, borderRadius: 3, background: COLORS.border, overflow: 'hidden' }}>
+                <div style={{ height: '100%', width: `${Math.max(4, 100 - n.avg)}%`, background: n.avg <= 25 ? COLORS.accent : n.avg <= 50 ? COLORS.warning : COLORS.error }} />
+              </div>
+              <span style={{ width: 48, fontSize: 11, color: COLORS.textMuted, textAlign: 'right' }}>{n.avg}¢</span>
+              <span style={{ width: 44, fontSize: 10, color: COLORS.textLight, textAlign: 'right' }}>{n.tries}×</span>
+            </div>
+          ))}
+        </>}
+    </div>
+  </div>;
+}
+
+export default StartingPitchDrill;
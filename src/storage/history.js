@@ -0,0 +1,161 @@
+/**
+ * Practice History Store
+ *
+ * Persists every graded attempt in IndexedDB so trainees can follow their progress.
+ *
+ * Attempt format: {
+ *   id,                       // assigned by IndexedDB
+ *   timestamp: 1700000000000,
+ *   source: "hymn" | "generated",
+ *   hymnId: 237,              // hymn attempts only
+ *   title: "Unity",
+ *   settings: { timeSignature, bpm, key, ... },
+ *   mode: "practice" | "test",
+ *   scores: { pitch, rhythm, leadership, stability, countOff },
+ *   passed: true | false | null,
+ *   summary: { ... },         // from gradePerformance
+ *   noteByNote: [ ... ]       // from gradePerformance
+ * }
+ *
+ * Ear-training drills keep their own results: {
+ *   id, timestamp,
+ *   type: "starting-pitch" | ...,
+ *   ...                       // fields of that drill, e.g. { targetMidi, sungMidi, centsOff }
+ * }
+ */
+
+const DB_NAME = 'zions-hymns-trainer';
+const DB_VERSION = 2;
+const ATTEMPTS = 'attempts';
+const DRILLS = 'drills'; // added in version 2
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the history database
+ */
+function openDb() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(ATTEMPTS)) {
+        const store = db.createObjectStore(ATTEMPTS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('hymnId', 'hymnId');
+        store.createIndex('timestamp', 'timestamp');
+      }
+      if (!db.objectStoreNames.contains(DRILLS)) {
+        const store = db.createObjectStore(DRILLS, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('type', 'type');
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let a newer version of the app (in another tab) upgrade the database
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+
+  // Allow a later retry if opening failed
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Store a graded attempt.
+ *
+ * @param {Object} attempt - Attempt without an id (see format above)
+ * @returns {Promise<number>} The new attempt id
+ */
+export async function saveAttempt(attempt) {
+  const db = await openDb();
+  const tx = db.transaction(ATTEMPTS, 'readwrite');
+  return promisify(tx.objectStore(ATTEMPTS).add({ timestamp: Date.now(), ...attempt }));
+}
+
+/**
+ * Load stored attempts, oldest first.
+ *
+ * @param {Object} options
+ * @param {number} options.hymnId - Only attempts for this hymn
+ * @returns {Promise<Array>} Attempts sorted by timestamp
+ */
+export async function getAttempts(options = {}) {
+  const db = await openDb();
+  const store = db.transaction(ATTEMPTS, 'readonly').objectStore(ATTEMPTS);
+  const attempts = options.hymnId != null
+    ? await promisify(store.index('hymnId').getAll(options.hymnId))
+    : await promisify(store.index('timestamp').getAll());
+  return attempts.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Delete every stored attempt
+ */
+export async function clearHistory() {
+  const db = await openDb();
+  const tx = db.transaction(ATTEMPTS, 'readwrite');
+  return promisify(tx.objectStore(ATTEMPTS).clear());
+}
+
+/**
+ * Store one drill result.
+ *
+ * @param {Object} result - { type, ... } without an id
+ * @returns {Promise<number>} The new result id
+ */
+export async function saveDrillResult(result) {
+  const db = await openDb();
+  const tx = db.transaction(DRILLS, 'readwrite');
+  return promisify(tx.objectStore(DRILLS).add({ timestamp: Date.now(), ...result }));
+}
+
+/**
+ * Load the results of one drill, oldest first.
+ *
+ * @param {string} type - e.g. "starting-pitch"
+ * @returns {Promise<Array>}
+ */
+export async function getDrillResults(type) {
+  const db = await openDb();
+  const store = db.transaction(DRILLS, 'readonly').objectStore(DRILLS);
+  const results = await promisify(store.index('type').getAll(type));
+  return results.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Delete the stored results of one drill
+ */
+export async function clearDrillResults(type) {
+  const db = await openDb();
+  const tx = db.transaction(DRILLS, 'readwrite');
+  const store = tx.objectStore(DRILLS);
+  const ids = await promisify(store.index('type').getAllKeys(type));
+  await Promise.all(ids.map(id => promisify(store.delete(id))));
+}
+
+export default { saveAttempt, getAttempts, clearHistory, saveDrillResult, getDrillResults, clearDrillResults };
@@ -0,0 +1,117 @@
+/**
+ * Offline Hymns
+ *
+ * Registers the service worker (public/sw.js) and manages which hymns are kept
+ * for offline use. The app shell and bundled instrument samples are precached by the
+ * service worker; each hymn's melody, MIDI and sheet-music pages are stored in
+ * HYMN_CACHE on request, so users choose what takes up space on their device.
+ *
+ * Every downloaded hymn also gets a marker entry listing the files that were
+ * stored, so the manager can tell which hymns are available without the network.
+ */
+
+const HYMN_CACHE = 'hymns-v1'; // must match public/sw.js
+const MARKER_PREFIX = '/__offline__/hymn/';
+
+/**
+ * Register the service worker. Only in production builds: in development it
+ * would serve stale Vite modules.
+ */
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(e => console.warn('Service worker registration failed:', e));
+  });
+}
+
+/**
+ * Whether this browser can keep hymns offline
+ */
+export function isOfflineSupported() {
+  return typeof caches !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Files that make up one hymn. Not every hymn has a melody or MIDI file yet.
+ */
+export function hymnAssetUrls(hymn) {
+  return [
+    `/hymn_melodies/${hymn.id}.json`,
+    `/hymn_midi/${hymn.id}.mid`,
+    ...(hymn.images || []).map(img => `/sheet_music/${img}`),
+  ];
+}
+
+/**
+ * Ids of the hymns currently kept offline
+ *
+ * @returns {Promise<Set<number>>}
+ */
+export async function getOfflineHymnIds() {
+  if (typeof caches === 'undefined') return new Set();
+  const cache = await caches.open(HYMN_CACHE);
+  const keys = await cache.keys();
+  return new Set(keys
+    .map(req => new URL(req.url).pathname)
+    .filter(path => path.startsWith(MARKER_PREFIX))
+    .map(path => Number(path.slice(MARKER_PREFIX.length))));
+}
+
+/**
+ * Download a hymn's files into the offline cache.
+ * Missing files (a hymn without MIDI, say) are skipped.
+ *
+ * @returns {Promise<{ stored: number, missing: number }>}
+ */
+export async function downloadHymn(hymn) {
+  const cache = await caches.open(HYMN_CACHE);
+  const stored = [];
+  let missing = 0;
+
+  for (const url of hymnAssetUrls(hymn)) {
+    try {
+      const response = await fetch(url, { cache: 'no-cache' });
+      // Vite's dev server answers unknown paths with index.html
+      if (!response.ok || (response.headers.get('content-type') || '').includes('text/html')) {
+        missing++;
+        continue;
+      }
+      await cache.put(url, response);
+      stored.push(url);
+    } catch {
+      missing++;
+    }
+  }
+
+  if (stored.length === 0) {
+    throw new Error(`Could not download #${hymn.number} — check your connection`);
+  }
+
+  await cache.put(`${MARKER_PREFIX}${hymn.id}`, new Response(JSON.stringify({ files: stored, savedAt: Date.now() }), {
+    headers: { 'Content-Type': 'application/json' }
+  }));
+
+  // Ask the browser not to evict offline hymns under storage pressure
+  if (navigator.storage?.persist) navigator.storage.persist().catch(() => {});
+
+  return { stored: stored.length, missing };
+}
+
+/**
+ * Remove a hymn's files from the offline cache
+ */
+export async function removeHymn(hymn) {
+  const cache = await caches.open(HYMN_CACHE);
+  await Promise.all([...hymnAssetUrls(hymn), `${MARKER_PREFIX}${hymn.id}`].map(url => cache.delete(url)));
+}
+
+/**
+ * Storage used and available for this site, in bytes (null when unknown)
+ */
+export async function getStorageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage, quota } = await navigator.storage.estimate();
+  return { usage, quota };
+}
+
+export default { registerServiceWorker, isOfflineSupported, hymnAssetUrls, getOfflineHymnIds, downloadHymn, removeHymn, getStorageEstimate };
@@ -0,0 +1,54 @@
+/**
+ * Hymn Preferences
+ *
+ * Remembers per-hymn practice choices on this device, such as the key a
+ * leader pitches a hymn in. Kept in localStorage: the data is small and is
+ * needed synchronously when a hymn opens.
+ *
+ * Format: { [hymnId]: { transpose: -2, ... } }
+ */
+
+const STORAGE_KEY = 'zions-hymns-trainer:hymn-preferences';
+
+function readAll() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    // Private browsing or corrupt data — start afresh
+    return {};
+  }
+}
+
+/**
+ * Saved preferences for one hymn ({} when none)
+ *
+ * @param {number|string} hymnId
+ * @returns {Object}
+ */
+export function getHymnPreferences(hymnId) {
+  if (hymnId == null) return {};
+  return readAll()[hymnId] || {};
+}
+
+/**
+ * Merge preferences into a hymn's saved ones.
+ * Values equal to null or undefined are removed.
+ *
+ * @param {number|string} hymnId
+ * @param {Object} changes - e.g. { transpose: 2 }
+ */
+export function setHymnPreferences(hymnId, changes) {
+  if (hymnId == null) return;
+  const all = readAll();
+  const next = { ...all[hymnId], ...changes };
+  Object.keys(next).forEach(k => next[k] == null && delete next[k]);
+  if (Object.keys(next).length) all[hymnId] = next;
+  else delete all[hymnId];
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+  } catch (e) {
+    console.warn('Could not save hymn preferences:', e);
+  }
+}
+
+export default { getHymnPreferences, setHymnPreferences };